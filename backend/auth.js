@@ -0,0 +1,194 @@
+// Local user accounts: password hashing, sessions, roles, and the Express middleware
+// that identifies the signed-in user and checks what they may do.
+//
+// A session is a random token, sent as an HttpOnly cookie by the browser or as an
+// `Authorization: Bearer` header by API clients. Only its SHA-256 hash is stored,
+// so a copy of the database cannot be used to sign in.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const storage = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'session';
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Viewers browse the images they may see, annotators also import, tag and annotate,
+// and admins manage accounts, groups and every image. Each role can do what the ones before it can.
+const ROLES = ['viewer', 'annotator', 'admin'];
+
+// --- Passwords ---
+
+// Stored as `scrypt$<salt>$<key>`, both hex
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, key] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !key) {
+        return false;
+    }
+
+    const expected = Buffer.from(key, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// --- Sessions ---
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Start a session for a user and return its token
+function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    storage.deleteExpiredSessions(new Date(now).toISOString());
+    storage.insertSession({
+        tokenHash: hashToken(token),
+        userId,
+        created: new Date(now).toISOString(),
+        expires: new Date(now + SESSION_TTL).toISOString()
+    });
+    return token;
+}
+
+function endSession(token) {
+    storage.deleteSession(hashToken(token));
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+        const name = pair.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (error) {
+            // Ignore cookies that are not URI-encoded
+        }
+    });
+    return cookies;
+}
+
+// Session token of a request: a bearer token, or else the session cookie.
+// Reads the raw headers, so it also works for WebSocket upgrade requests.
+function readSessionToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim() || null;
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// The signed-in user of a session token, or null
+function findSessionUser(token) {
+    return token ? storage.getSessionUser(hashToken(token), new Date().toISOString()) : null;
+}
+
+// The signed-in user of a request (Express or plain Node), or null
+function userFromRequest(req) {
+    return findSessionUser(readSessionToken(req));
+}
+
+function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: SESSION_TTL,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// --- Middleware ---
+
+// Sets req.user to the signed-in user (or null) and req.sessionToken to their token
+function identifyUser(req, res, next) {
+    try {
+        req.sessionToken = readSessionToken(req);
+        req.user = findSessionUser(req.sessionToken);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Rejects requests from visitors who are not signed in
+function requireUser(req, res, next) {
+    if (!req.user) {
+        return res.status(401).send('Sign in to make changes');
+    }
+    next();
+}
+
+// --- Roles ---
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Middleware rejecting visitors (401) and users whose role is below `role` (403)
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).send('Sign in to make changes');
+        }
+        if (!hasRole(req.user, role)) {
+            return res.status(403).send(`Your account needs the ${role} role to do this`);
+        }
+        next();
+    };
+}
+
+// Changing an image's visibility or deleting it is for admins and the annotator who imported it
+function canManageImage(user, image) {
+    return hasRole(user, 'admin') || (hasRole(user, 'annotator') && Boolean(image) && image.importedById === user.id);
+}
+
+// Collections are renamed, deleted and filled by the annotator who created them or an admin
+function canManageCollection(user, collection) {
+    return hasRole(user, 'admin') || (hasRole(user, 'annotator') && Boolean(collection) && collection.createdById === user.id);
+}
+
+// Annotations are edited by their author or an admin; ones made before accounts existed only by an admin
+function canEditAnnotation(user, annotation) {
+    return hasRole(user, 'admin') || (hasRole(user, 'annotator') && annotation.authorId === user.id);
+}
+
+// Comments follow the same rule as annotations
+function canEditComment(user, comment) {
+    return canEditAnnotation(user, comment);
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    createSession,
+    endSession,
+    setSessionCookie,
+    clearSessionCookie,
+    userFromRequest,
+    identifyUser,
+    requireUser,
+    hasRole,
+    requireRole,
+    canManageImage,
+    canManageCollection,
+    canEditAnnotation,
+    canEditComment
+};
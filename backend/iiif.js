@@ -0,0 +1,516 @@
+// IIIF Image API 3.0 (https://iiif.io/api/image/3.0/) served from the
+// Deep Zoom pyramids written by `vips dzsave`, plus Presentation 3.0
+// manifests for library images and a reader for external manifests.
+//
+// An image request is answered from the smallest pyramid level that still has
+// enough resolution: the DZI tiles covering the region are stitched, cropped
+// and resized with sharp (libvips), then mirrored, rotated and re-encoded.
+
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { toWebAnnotation } = require('./webAnnotation');
+
+const IMAGE_CONTEXT = 'http://iiif.io/api/image/3/context.json';
+const PRESENTATION_CONTEXT = 'http://iiif.io/api/presentation/3/context.json';
+const MAX_MANIFEST_CANVASES = 1000;
+const MAX_ANNOTATION_PAGE_FETCHES = 10; // Linked annotation pages/lists loaded per manifest
+const MAX_DIMENSION = 4096; // Largest width/height served in a single response
+
+const FORMATS = {
+    jpg: { mime: 'image/jpeg', encode: (image) => image.jpeg({ quality: 85 }) },
+    png: { mime: 'image/png', encode: (image) => image.png(), alpha: true },
+    webp: { mime: 'image/webp', encode: (image) => image.webp({ quality: 85 }), alpha: true },
+    gif: { mime: 'image/gif', encode: (image) => image.gif() }
+};
+const QUALITIES = ['default', 'color', 'gray', 'bitonal'];
+
+// Errors carry the HTTP status to answer with
+class IiifError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function maxLevelFor(info) {
+    return Math.ceil(Math.log2(Math.max(info.width, info.height)));
+}
+
+// Build info.json for an image whose pyramid is described by `info`
+// ({ width, height, tileSize, overlap, format })
+function createImageInfo(id, info) {
+    const maxLevel = maxLevelFor(info);
+    const scaleFactors = [];
+    const sizes = [];
+
+    for (let level = maxLevel; level >= 0; level--) {
+        const factor = Math.pow(2, maxLevel - level);
+        const width = Math.ceil(info.width / factor);
+        const height = Math.ceil(info.height / factor);
+
+        // Stop after the first level that fits in a single tile
+        if (factor > 1 && Math.max(width, height) * 2 <= info.tileSize) {
+            break;
+        }
+
+        scaleFactors.push(factor);
+        if (width <= MAX_DIMENSION && height <= MAX_DIMENSION) {
+            sizes.push({ width, height });
+        }
+    }
+
+    return {
+        '@context': IMAGE_CONTEXT,
+        id,
+        type: 'ImageService3',
+        protocol: 'http://iiif.io/api/image',
+        profile: 'level2',
+        width: info.width,
+        height: info.height,
+        maxWidth: Math.min(info.width, MAX_DIMENSION),
+        maxHeight: Math.min(info.height, MAX_DIMENSION),
+        tiles: [{ width: info.tileSize, scaleFactors }],
+        sizes: sizes.reverse(),
+        extraQualities: ['color', 'gray', 'bitonal'],
+        extraFormats: ['png', 'webp', 'gif'],
+        extraFeatures: ['mirroring', 'rotationArbitrary', 'sizeUpscaling']
+    };
+}
+
+// --- Request parsing ---
+
+function parseNumberList(value, count, { integers }) {
+    const parts = value.split(',');
+    const pattern = integers ? /^\d+$/ : /^\d+(\.\d+)?$/;
+
+    if (parts.length !== count || !parts.every(part => pattern.test(part))) {
+        return null;
+    }
+    return parts.map(Number);
+}
+
+function parseRegion(region, info) {
+    let x, y, w, h;
+
+    if (region === 'full') {
+        return { x: 0, y: 0, width: info.width, height: info.height };
+    } else if (region === 'square') {
+        const side = Math.min(info.width, info.height);
+        return {
+            x: Math.floor((info.width - side) / 2),
+            y: Math.floor((info.height - side) / 2),
+            width: side,
+            height: side
+        };
+    } else if (region.startsWith('pct:')) {
+        const values = parseNumberList(region.slice(4), 4, { integers: false });
+        if (!values) throw new IiifError(400, `Invalid region: ${region}`);
+        [x, y, w, h] = [
+            values[0] / 100 * info.width, values[1] / 100 * info.height,
+            values[2] / 100 * info.width, values[3] / 100 * info.height
+        ].map(Math.round);
+    } else {
+        const values = parseNumberList(region, 4, { integers: true });
+        if (!values) throw new IiifError(400, `Invalid region: ${region}`);
+        [x, y, w, h] = values;
+    }
+
+    if (w <= 0 || h <= 0 || x >= info.width || y >= info.height) {
+        throw new IiifError(400, `Region is empty or outside the image: ${region}`);
+    }
+
+    // Regions reaching past the edge are cropped to the image
+    return { x, y, width: Math.min(w, info.width - x), height: Math.min(h, info.height - y) };
+}
+
+function parseSize(size, region) {
+    const upscale = size.startsWith('^');
+    const spec = upscale ? size.slice(1) : size;
+    const aspect = region.width / region.height;
+    let width, height;
+
+    if (spec === 'max') {
+        width = region.width;
+        height = region.height;
+        const fit = Math.min(1, MAX_DIMENSION / width, MAX_DIMENSION / height);
+        width = Math.round(width * fit);
+        height = Math.round(height * fit);
+    } else if (spec.startsWith('pct:')) {
+        const pct = Number(spec.slice(4));
+        if (!/^\d+(\.\d+)?$/.test(spec.slice(4)) || pct <= 0) {
+            throw new IiifError(400, `Invalid size: ${size}`);
+        }
+        width = Math.round(region.width * pct / 100);
+        height = Math.round(region.height * pct / 100);
+    } else {
+        const confined = spec.startsWith('!');
+        const match = /^(\d*),(\d*)$/.exec(confined ? spec.slice(1) : spec);
+        if (!match || (!match[1] && !match[2]) || (confined && (!match[1] || !match[2]))) {
+            throw new IiifError(400, `Invalid size: ${size}`);
+        }
+
+        const w = match[1] ? Number(match[1]) : null;
+        const h = match[2] ? Number(match[2]) : null;
+
+        if (confined) {
+            const fit = Math.min(w / region.width, h / region.height);
+            width = Math.round(region.width * fit);
+            height = Math.round(region.height * fit);
+        } else {
+            width = w !== null ? w : Math.round(h * aspect);
+            height = h !== null ? h : Math.round(w / aspect);
+        }
+    }
+
+    width = Math.max(1, width);
+    height = Math.max(1, height);
+
+    if (!upscale && (width > region.width || height > region.height)) {
+        throw new IiifError(400, `Size ${size} is larger than the region; use ^ to upscale`);
+    }
+    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+        throw new IiifError(400, `Size exceeds the maximum of ${MAX_DIMENSION} pixels`);
+    }
+
+    return { width, height };
+}
+
+function parseRotation(rotation) {
+    const mirror = rotation.startsWith('!');
+    const value = mirror ? rotation.slice(1) : rotation;
+    const degrees = Number(value);
+
+    if (!/^\d+(\.\d+)?$/.test(value) || degrees > 360) {
+        throw new IiifError(400, `Invalid rotation: ${rotation}`);
+    }
+    return { mirror, degrees: degrees % 360 };
+}
+
+// Parse the {region}/{size}/{rotation}/{quality}.{format} path segments
+function parseImageRequest(params, info) {
+    const dot = params.qualityFormat.lastIndexOf('.');
+    const quality = params.qualityFormat.slice(0, dot);
+    const format = params.qualityFormat.slice(dot + 1);
+
+    if (dot === -1 || !QUALITIES.includes(quality)) {
+        throw new IiifError(400, `Invalid quality: ${params.qualityFormat}`);
+    }
+    if (!FORMATS[format]) {
+        throw new IiifError(400, `Unsupported format: ${format}`);
+    }
+
+    const region = parseRegion(params.region, info);
+    return {
+        region,
+        size: parseSize(params.size, region),
+        rotation: parseRotation(params.rotation),
+        quality,
+        format
+    };
+}
+
+// --- Rendering ---
+
+// Read the part of one DZI tile that overlaps the requested level rectangle
+async function readTilePart(tilePath, tileLeft, tileTop, rect) {
+    const tile = sharp(await fs.readFile(tilePath));
+    const { width, height } = await tile.metadata();
+
+    const left = Math.max(rect.left, tileLeft);
+    const top = Math.max(rect.top, tileTop);
+    const right = Math.min(rect.left + rect.width, tileLeft + width);
+    const bottom = Math.min(rect.top + rect.height, tileTop + height);
+
+    if (right <= left || bottom <= top) {
+        return null;
+    }
+
+    const input = await tile
+        .extract({ left: left - tileLeft, top: top - tileTop, width: right - left, height: bottom - top })
+        .removeAlpha()
+        .toBuffer();
+
+    return { input, left: left - rect.left, top: top - rect.top };
+}
+
+// Render an image request from the pyramid in `tilesDir` (the dzsave `tiles_files` folder)
+async function renderImage(tilesDir, info, request) {
+    const { region, size, rotation, quality, format } = request;
+    const maxLevel = maxLevelFor(info);
+
+    // Smallest level that still has at least the requested resolution
+    const scale = Math.max(size.width / region.width, size.height / region.height);
+    let level = maxLevel;
+    while (level > 0 && Math.pow(2, level - 1 - maxLevel) >= scale) {
+        level--;
+    }
+
+    const levelScale = Math.pow(2, level - maxLevel);
+    const levelWidth = Math.ceil(info.width * levelScale);
+    const levelHeight = Math.ceil(info.height * levelScale);
+
+    const left = Math.min(levelWidth - 1, Math.floor(region.x * levelScale));
+    const top = Math.min(levelHeight - 1, Math.floor(region.y * levelScale));
+    const rect = {
+        left,
+        top,
+        width: Math.max(1, Math.min(levelWidth, Math.ceil((region.x + region.width) * levelScale)) - left),
+        height: Math.max(1, Math.min(levelHeight, Math.ceil((region.y + region.height) * levelScale)) - top)
+    };
+
+    // Tiles overlap their neighbours by `overlap` pixels on each inner edge
+    const { tileSize, overlap } = info;
+    const parts = [];
+    for (let row = Math.floor(rect.top / tileSize); row <= Math.floor((rect.top + rect.height - 1) / tileSize); row++) {
+        for (let col = Math.floor(rect.left / tileSize); col <= Math.floor((rect.left + rect.width - 1) / tileSize); col++) {
+            const tilePath = path.join(tilesDir, String(level), `${col}_${row}.${info.format}`);
+            parts.push(readTilePart(
+                tilePath,
+                col * tileSize - (col > 0 ? overlap : 0),
+                row * tileSize - (row > 0 ? overlap : 0),
+                rect
+            ));
+        }
+    }
+
+    const composites = (await Promise.all(parts)).filter(Boolean);
+    const stitched = await sharp({
+        create: { width: rect.width, height: rect.height, channels: 3, background: '#ffffff' }
+    })
+        .composite(composites)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    // Size and mirror first, in a separate step, so rotation applies afterwards as IIIF specifies
+    let sized = sharp(stitched.data, { raw: stitched.info }).resize(size.width, size.height, { fit: 'fill' });
+    if (rotation.mirror) {
+        sized = sized.flop();
+    }
+    const resized = await sized.raw().toBuffer({ resolveWithObject: true });
+
+    const formatSpec = FORMATS[format];
+    let image = sharp(resized.data, { raw: resized.info });
+
+    if (rotation.degrees !== 0) {
+        const background = formatSpec.alpha ? { r: 0, g: 0, b: 0, alpha: 0 } : '#ffffff';
+        image = image.rotate(rotation.degrees, { background });
+    }
+    if (quality === 'gray') {
+        image = image.grayscale();
+    } else if (quality === 'bitonal') {
+        image = image.grayscale().threshold(128);
+    }
+
+    return { buffer: await formatSpec.encode(image).toBuffer(), mimeType: formatSpec.mime };
+}
+
+// --- Presentation API ---
+
+function languageMap(value) {
+    return { none: [String(value)] };
+}
+
+function metadataEntry(label, value) {
+    return { label: { en: [label] }, value: languageMap(value) };
+}
+
+// Build a Presentation 3.0 manifest with a single canvas for a library image.
+// `image` is the stored image record (null for untracked folders).
+function createManifest({ baseUrl, imageId, image, info, annotations }) {
+    const manifestId = `${baseUrl}/iiif/${imageId}/manifest`;
+    const canvasId = `${manifestId}/canvas/1`;
+    const serviceId = `${baseUrl}/iiif/${imageId}`;
+    const name = image ? image.name : imageId;
+    const fit = Math.min(1, MAX_DIMENSION / info.width, MAX_DIMENSION / info.height);
+
+    const metadata = [];
+    if (image) {
+        if (image.source) metadata.push(metadataEntry('Source', image.source));
+        if (image.nasa_id) metadata.push(metadataEntry('NASA ID', image.nasa_id));
+        if (image.sourceUrl) metadata.push(metadataEntry('Source URL', image.sourceUrl));
+        if (image.created) metadata.push(metadataEntry('Added', image.created));
+    }
+
+    return {
+        '@context': PRESENTATION_CONTEXT,
+        id: manifestId,
+        type: 'Manifest',
+        label: languageMap(name),
+        metadata,
+        homepage: [{
+            id: `${baseUrl}/?image_id=${imageId}`,
+            type: 'Text',
+            label: languageMap(name),
+            format: 'text/html'
+        }],
+        items: [{
+            id: canvasId,
+            type: 'Canvas',
+            label: languageMap(name),
+            width: info.width,
+            height: info.height,
+            items: [{
+                id: `${canvasId}/page/1`,
+                type: 'AnnotationPage',
+                items: [{
+                    id: `${canvasId}/annotation/image`,
+                    type: 'Annotation',
+                    motivation: 'painting',
+                    body: {
+                        id: `${serviceId}/full/max/0/default.jpg`,
+                        type: 'Image',
+                        format: 'image/jpeg',
+                        width: Math.round(info.width * fit),
+                        height: Math.round(info.height * fit),
+                        service: [{ id: serviceId, type: 'ImageService3', profile: 'level2' }]
+                    },
+                    target: canvasId
+                }]
+            }],
+            annotations: [{
+                id: `${canvasId}/annotations`,
+                type: 'AnnotationPage',
+                items: annotations.map(annotation => toWebAnnotation(annotation, {
+                    source: canvasId,
+                    annotationBaseUrl: `${baseUrl}/api/images/${imageId}/annotations`
+                }))
+            }]
+        }]
+    };
+}
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// First string of a v3 language map, or a v2 label string / value list
+function readLabel(label) {
+    if (typeof label === 'string') return label;
+    if (Array.isArray(label)) return readLabel(label[0]);
+    if (label && typeof label === 'object') {
+        if ('@value' in label) return String(label['@value']);
+        const values = Object.values(label)[0];
+        return Array.isArray(values) ? String(values[0] || '') : '';
+    }
+    return '';
+}
+
+// Tile source for OpenSeadragon: an image service info.json, or a plain image
+function readTileSource(resource) {
+    if (!resource || typeof resource !== 'object') return null;
+    if (resource.type === 'Choice') return readTileSource(asArray(resource.items)[0]);
+
+    const service = asArray(resource.service).find(s => s && (s.id || s['@id']));
+    if (service) {
+        return `${String(service.id || service['@id']).replace(/\/$/, '')}/info.json`;
+    }
+
+    const url = resource.id || resource['@id'];
+    return url ? { type: 'image', url } : null;
+}
+
+// Presentation 2 annotations (oa:Annotation) expressed as Web Annotations
+function fromV2Annotation(annotation) {
+    const resource = asArray(annotation.resource)[0] || {};
+    const on = asArray(annotation.on)[0];
+    let target = on;
+
+    if (on && typeof on === 'object' && on.selector) {
+        const selectors = asArray(on.selector.item || on.selector.default || on.selector);
+        target = {
+            selector: selectors.map(selector => ({
+                type: String(selector['@type'] || selector.type || '').replace(/^oa:/, ''),
+                value: selector.value
+            }))
+        };
+    }
+
+    return { type: 'Annotation', body: { type: 'TextualBody', value: resource.chars || '' }, target };
+}
+
+// Read an external Presentation 2 or 3 manifest into
+// { label, canvases: [{ label, width, height, tileSource, annotations }] },
+// where annotations are Web Annotations targeting canvas coordinates.
+// `fetchJson` loads referenced annotation pages/lists that are not embedded, at most
+// MAX_ANNOTATION_PAGE_FETCHES of them; later ones are left out.
+async function readManifest(manifest, fetchJson) {
+    if (!manifest || typeof manifest !== 'object') {
+        throw new IiifError(400, 'Manifest is not a JSON object');
+    }
+
+    const isV3 = manifest.type === 'Manifest';
+    const isV2 = manifest['@type'] === 'sc:Manifest';
+    if (!isV3 && !isV2) {
+        throw new IiifError(400, 'Not a IIIF Presentation 2 or 3 manifest');
+    }
+
+    let pageFetches = 0;
+    const loadPage = async (page, itemsKey) => {
+        if (page && Array.isArray(page[itemsKey])) return page[itemsKey];
+        const pageId = typeof page === 'string' ? page : page && (page.id || page['@id']);
+        if (!pageId || pageFetches >= MAX_ANNOTATION_PAGE_FETCHES) return [];
+        pageFetches++;
+        try {
+            const loaded = await fetchJson(pageId);
+            return asArray(loaded && loaded[itemsKey]);
+        } catch (error) {
+            return [];
+        }
+    };
+
+    const rawCanvases = isV3
+        ? asArray(manifest.items).filter(item => item && item.type === 'Canvas')
+        : asArray(asArray(manifest.sequences)[0] && manifest.sequences[0].canvases);
+
+    const canvases = [];
+    for (const canvas of rawCanvases.slice(0, MAX_MANIFEST_CANVASES)) {
+        let tileSource;
+        let annotations = [];
+
+        if (isV3) {
+            const painting = asArray(asArray(canvas.items)[0] && canvas.items[0].items)
+                .find(a => a && a.motivation === 'painting');
+            tileSource = readTileSource(painting && asArray(painting.body)[0]);
+
+            for (const page of asArray(canvas.annotations)) {
+                annotations = annotations.concat(await loadPage(page, 'items'));
+            }
+        } else {
+            const image = asArray(canvas.images)[0];
+            tileSource = readTileSource(image && image.resource);
+
+            for (const list of asArray(canvas.otherContent)) {
+                annotations = annotations.concat((await loadPage(list, 'resources')).map(fromV2Annotation));
+            }
+        }
+
+        if (!tileSource) continue;
+
+        canvases.push({
+            label: readLabel(canvas.label) || `Canvas ${canvases.length + 1}`,
+            width: Number(canvas.width) || null,
+            height: Number(canvas.height) || null,
+            tileSource,
+            annotations
+        });
+    }
+
+    if (canvases.length === 0) {
+        throw new IiifError(400, 'Manifest contains no displayable images');
+    }
+
+    return { label: readLabel(manifest.label) || 'IIIF manifest', canvases };
+}
+
+module.exports = {
+    IMAGE_CONTEXT,
+    PRESENTATION_CONTEXT,
+    IiifError,
+    createImageInfo,
+    parseImageRequest,
+    renderImage,
+    createManifest,
+    readManifest
+};
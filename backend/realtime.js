@@ -0,0 +1,185 @@
+// Real-time channel per image over WebSockets: annotation changes and the presence
+// (cursor and view) of everyone looking at the same image.
+//
+// Clients connect to /ws/images/<imageId>, signed in by their session cookie or as guests,
+// and only to images they may see. Annotation changes are sent by the REST routes through
+// broadcast(); presence messages from a client are relayed to the others on its image.
+//
+// Server messages:
+//   { type: 'welcome', peerId, peers }                   peers already on the image
+//   { type: 'peer.joined', peer } / { type: 'peer.left', peerId }
+//   { type: 'presence', peerId, cursor, view }          cursor { x, y } and view { x, y, width, height }
+//                                                       in image pixels, either null when unknown
+//   { type: 'annotation.created' | 'annotation.updated', annotation }
+//   { type: 'annotation.deleted', annotationId }
+//   { type: 'annotations.changed' }                     many changed at once (an import); reload them
+//   { type: 'comments.changed', annotationId }          a comment on the annotation was added, edited,
+//                                                       resolved or deleted; reload its threads
+//   { type: 'scale.changed', scale }                    the image's scale ({ pixelsPerUnit, unit } or null)
+//   { type: 'categories.changed' }                      annotation categories were changed (sent on
+//                                                       every image); reload them
+// Client messages:
+//   { type: 'presence', cursor, view }
+
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const storage = require('./storage');
+const auth = require('./auth');
+
+const PATH_PATTERN = /^\/ws\/images\/([a-zA-Z0-9_-]{1,100})$/;
+const MAX_MESSAGE_SIZE = 1024; // Presence messages are a few numbers
+const HEARTBEAT_INTERVAL = 30000; // Connections that miss a ping in this time are closed
+const ACCESS_REVOKED = 4403; // Close code when the user may no longer see the image
+
+const rooms = new Map(); // image id -> Set of clients
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// A cursor { x, y } or view { x, y, width, height } from a client, or null if missing or malformed
+function readPoint(value) {
+    return value && isFiniteNumber(value.x) && isFiniteNumber(value.y)
+        ? { x: value.x, y: value.y }
+        : null;
+}
+
+function readRect(value) {
+    return readPoint(value) && isFiniteNumber(value.width) && isFiniteNumber(value.height) &&
+        value.width > 0 && value.height > 0
+        ? { x: value.x, y: value.y, width: value.width, height: value.height }
+        : null;
+}
+
+function describePeer(client) {
+    return { peerId: client.peerId, username: client.user ? client.user.username : null };
+}
+
+function send(client, message) {
+    if (client.socket.readyState === WebSocket.OPEN) {
+        client.socket.send(JSON.stringify(message));
+    }
+}
+
+function sendToOthers(client, message) {
+    const room = rooms.get(client.imageId);
+    if (!room) return;
+    room.forEach(other => {
+        if (other !== client) send(other, message);
+    });
+}
+
+function join(socket, imageId, user) {
+    const client = { socket, imageId, user, peerId: crypto.randomBytes(8).toString('hex'), alive: true, presence: null };
+
+    if (!rooms.has(imageId)) {
+        rooms.set(imageId, new Set());
+    }
+    const room = rooms.get(imageId);
+
+    send(client, {
+        type: 'welcome',
+        peerId: client.peerId,
+        peers: Array.from(room).map(other => ({ ...describePeer(other), ...other.presence }))
+    });
+    room.add(client);
+    sendToOthers(client, { type: 'peer.joined', peer: describePeer(client) });
+
+    socket.on('pong', () => {
+        client.alive = true;
+    });
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        if (!message || message.type !== 'presence') return;
+
+        client.presence = { cursor: readPoint(message.cursor), view: readRect(message.view) };
+        sendToOthers(client, { type: 'presence', peerId: client.peerId, ...client.presence });
+    });
+
+    socket.on('close', () => {
+        room.delete(client);
+        if (room.size === 0) {
+            rooms.delete(imageId);
+        }
+        sendToOthers(client, { type: 'peer.left', peerId: client.peerId });
+    });
+
+    socket.on('error', (error) => {
+        console.warn(`WebSocket error on ${imageId}:`, error.message);
+    });
+}
+
+// Accept WebSocket connections on an HTTP server
+function attach(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+    server.on('upgrade', (req, socket, head) => {
+        let match = null;
+        let user = null;
+        let allowed = false;
+        try {
+            // Malformed paths such as '//' make the URL parser throw
+            match = PATH_PATTERN.exec(new URL(req.url, 'http://localhost').pathname);
+            user = auth.userFromRequest(req);
+            allowed = Boolean(match) && storage.canViewImage(user, match[1]);
+        } catch (error) {
+            console.error('Error checking WebSocket access:', error);
+        }
+
+        // Unknown paths and hidden images look the same
+        if (!allowed) {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n', () => socket.destroy());
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => join(ws, match[1], user));
+    });
+
+    const heartbeat = setInterval(() => {
+        rooms.forEach(room => room.forEach(client => {
+            if (!client.alive) {
+                client.socket.terminate();
+                return;
+            }
+            client.alive = false;
+            client.socket.ping();
+        }));
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+}
+
+// Disconnect users who can no longer see an image (or, without an id, any image they are on).
+// Roles are re-read, since an admin may have changed them since the user connected.
+function checkAccess(imageId) {
+    const imageIds = imageId === undefined ? Array.from(rooms.keys()) : [imageId];
+    imageIds.forEach(id => (rooms.get(id) || []).forEach(client => {
+        client.user = client.user && storage.getUser(client.user.id);
+        if (!storage.canViewImage(client.user, id)) {
+            client.socket.close(ACCESS_REVOKED, 'Access removed');
+        }
+    }));
+}
+
+// Send a message to everyone on an image who may still see it
+function broadcast(imageId, message) {
+    checkAccess(imageId);
+    (rooms.get(imageId) || []).forEach(client => send(client, message));
+}
+
+// Send a message to everyone on any image
+function broadcastAll(message) {
+    Array.from(rooms.keys()).forEach(imageId => broadcast(imageId, message));
+}
+
+module.exports = {
+    attach,
+    broadcast,
+    broadcastAll,
+    checkAccess
+};
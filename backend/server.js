@@ -4,9 +4,19 @@ const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
+const EventEmitter = require('events');
 const { promisify } = require('util');
 const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const Busboy = require('busboy');
+const { toAnnotationCollection, fromWebAnnotationDocument } = require('./webAnnotation');
+const iiif = require('./iiif');
+const sharp = require('sharp');
+const storage = require('./storage');
+const auth = require('./auth');
+const realtime = require('./realtime');
 
 const execAsync = promisify(exec);
 
@@ -14,18 +24,77 @@ const execAsync = promisify(exec);
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NASA_API_KEY = process.env.NASA_API_KEY || 'DEMO_KEY';
+const NASA_IMAGES_API_URL = (process.env.NASA_IMAGES_API_URL || 'https://images-api.nasa.gov').replace(/\/$/, '');
 
 // --- Configuration ---
 const MAX_URL_LENGTH = 2048;
 const MAX_TITLE_LENGTH = 255;
 const MAX_ANNOTATION_LENGTH = 500;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 20000;
+// Shapes, and measurements: a ruler is a line of two points, an angle three points with the vertex
+// in the middle, and an area a polygon
+const ANNOTATION_TYPES = ['point', 'rectangle', 'ellipse', 'polygon', 'polyline', 'freehand', 'ruler', 'angle', 'area'];
+const MAX_SHAPE_POINTS = 10000; // Vertex limit for polygons, polylines and freehand strokes
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/; // Annotation and category colors, as #rrggbb
+const MAX_ICON_LENGTH = 8; // An emoji or two, which can take several UTF-16 code units each
+const MAX_MANIFEST_SIZE = 10 * 1024 * 1024; // 10MB
+const EXTERNAL_JSON_TIMEOUT = 10000; // ms per manifest or annotation page fetch
+const MAX_IMPORT_ANNOTATIONS = 5000;
+const NASA_PAGE_SIZE = 50;
+const MAX_SEARCH_LENGTH = 200;
+const DEFAULT_SEARCH_RESULTS = 20;
+const MAX_SEARCH_RESULTS = 50;
+const LIBRARY_PAGE_SIZE = 24;
+const MAX_LIBRARY_PAGE_SIZE = 100;
+const LIBRARY_SORTS = ['name', 'created', 'source', 'annotations'];
+const IMAGE_SOURCES = ['nasa', 'url', 'upload'];
+const THUMBNAIL_SIZE = 256; // Longest side of library thumbnails, in pixels
+const PREVIEW_WIDTH = 1200; // Open Graph preview of a shared view, at the size social sites display
+const PREVIEW_HEIGHT = 630;
+const PREVIEW_BACKGROUND = '#1a1a1d'; // Viewer background, shown around the image when zoomed out
+const MAX_PREVIEW_SCALE = 4; // Deepest preview zoom, in preview pixels per image pixel
+const MAX_PREVIEW_DESCRIPTION_LENGTH = 200;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_IMAGE = 30;
+const NASA_RENDITIONS = ['orig', 'large', 'medium', 'small']; // Largest first
+const PROBE_BYTES = 256 * 1024; // Bytes fetched to read a rendition's dimensions
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+// Once an account exists, new ones are only created by admins unless this is set
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+const VISIBILITIES = ['private', 'shared', 'public'];
+const SCALE_UNITS = ['m', 'km', 'arcsec']; // Units an image can be calibrated in
+// Visibility of newly imported images; their importer can change it
+const DEFAULT_VISIBILITY = VISIBILITIES.includes(process.env.DEFAULT_VISIBILITY) ? process.env.DEFAULT_VISIBILITY : 'private';
+const MAX_SHARES = 200; // Users or groups one image can be shared with
+const MAX_GROUP_MEMBERS = 1000;
+// Deleted images and annotations can be restored for this long before they are removed for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_RETENTION = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const TRASH_SWEEP_INTERVAL = 60 * 60 * 1000; // Check for expired trash every hour
+const NASA_MAX_RESULTS = 10000; // The NASA Images API does not page past this many hits
 const ALLOWED_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.gif', '.bmp'];
 const REQUEST_TIMEOUT = 300000; // 5 minutes for large file processing
+const MAX_DOWNLOAD_SIZE = 1024 * 1024 * 1024; // 1GB max
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 4 * 1024 * 1024 * 1024; // 4GB, room for BigTIFF
+const UPLOAD_EXTENSIONS = [...ALLOWED_IMAGE_EXTENSIONS, '.btf', '.tf8']; // plus BigTIFF-specific extensions
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2;
+const JOB_TIMEOUT = 3600000; // 1 hour for a single VIPS run
+const JOB_RETENTION = 24 * 60 * 60 * 1000; // Keep finished jobs for 24 hours
+const PROGRESS_INTERVAL = 500; // Minimum ms between download progress events
 
 // --- File Paths ---
-const dataPath = path.join(__dirname, 'data');
-const imagesDbPath = path.join(__dirname, 'data', 'images.json');
-const annotationsDbPath = path.join(__dirname, 'data', 'annotations.json');
+const dataPath = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
+const databasePath = path.join(dataPath, 'viewer.db');
+// JSON stores used before SQLite; imported once by the 'import-json-stores' migration
+const legacyJsonPaths = {
+    images: path.join(dataPath, 'images.json'),
+    annotations: path.join(dataPath, 'annotations.json'),
+    jobs: path.join(dataPath, 'jobs.json'),
+    migrations: path.join(dataPath, 'migrations.json')
+};
 const gigaImagesPath = path.join(__dirname, '../public/gigaimages');
 
 // --- Utility Functions ---
@@ -45,19 +114,6 @@ async function readJsonFile(filePath, defaultValue = null) {
     }
 }
 
-// Safely write JSON file with atomic write
-async function writeJsonFile(filePath, data) {
-    const tempPath = `${filePath}.tmp`;
-    try {
-        await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
-        await fs.rename(tempPath, filePath);
-    } catch (error) {
-        // Clean up temp file if it exists
-        await fs.unlink(tempPath).catch(() => {});
-        throw error;
-    }
-}
-
 // Validate URL
 function isValidUrl(urlString) {
     try {
@@ -74,11 +130,158 @@ function hasValidImageExtension(filename) {
     return ALLOWED_IMAGE_EXTENSIONS.includes(ext);
 }
 
+// Check the leading bytes of a file for a JPEG, PNG, GIF, BMP, TIFF or BigTIFF signature
+function hasImageSignature(header) {
+    const startsWith = (...bytes) => bytes.every((byte, i) => header[i] === byte);
+    return startsWith(0xFF, 0xD8, 0xFF) ||                   // JPEG
+        startsWith(0x89, 0x50, 0x4E, 0x47) ||                // PNG
+        startsWith(0x47, 0x49, 0x46, 0x38) ||                // GIF
+        startsWith(0x42, 0x4D) ||                            // BMP
+        startsWith(0x49, 0x49, 0x2A, 0x00) ||                // TIFF, little-endian
+        startsWith(0x4D, 0x4D, 0x00, 0x2A) ||                // TIFF, big-endian
+        startsWith(0x49, 0x49, 0x2B, 0x00) ||                // BigTIFF, little-endian
+        startsWith(0x4D, 0x4D, 0x00, 0x2B);                  // BigTIFF, big-endian
+}
+
+// Absolute base URL of this server, as seen by the client
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
 // Sanitize filename
 function sanitizeFilename(filename) {
     return filename.replace(/[^a-zA-Z0-9._-]/g, '_').substring(0, MAX_TITLE_LENGTH);
 }
 
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Validate a shape geometry (image pixel coordinates) for the given annotation type
+function isValidGeometry(type, geometry) {
+    if (!geometry || typeof geometry !== 'object') {
+        return false;
+    }
+
+    switch (type) {
+        case 'rectangle':
+            return [geometry.x, geometry.y, geometry.width, geometry.height].every(isFiniteNumber) &&
+                geometry.width > 0 && geometry.height > 0;
+        case 'ellipse':
+            return [geometry.cx, geometry.cy, geometry.rx, geometry.ry].every(isFiniteNumber) &&
+                geometry.rx > 0 && geometry.ry > 0;
+        case 'ruler':
+        case 'angle':
+            return Array.isArray(geometry.points) &&
+                geometry.points.length === (type === 'ruler' ? 2 : 3) &&
+                geometry.points.every(p => p && isFiniteNumber(p.x) && isFiniteNumber(p.y));
+        case 'polygon':
+        case 'area':
+        case 'polyline':
+        case 'freehand': {
+            const minPoints = type === 'polygon' || type === 'area' ? 3 : 2;
+            return Array.isArray(geometry.points) &&
+                geometry.points.length >= minPoints &&
+                geometry.points.length <= MAX_SHAPE_POINTS &&
+                geometry.points.every(p => p && isFiniteNumber(p.x) && isFiniteNumber(p.y));
+        }
+        default:
+            return false;
+    }
+}
+
+// Validate a complete annotation, returning an error message or null.
+// Annotations without a type are point pins.
+function validateAnnotation(annotation) {
+    if (!annotation || typeof annotation !== 'object') {
+        return 'Invalid annotation data';
+    }
+
+    const type = annotation.type === undefined ? 'point' : annotation.type;
+    if (!ANNOTATION_TYPES.includes(type)) {
+        return 'Invalid annotation type';
+    }
+
+    if (!annotation.id || !annotation.text || (type === 'point' ? !annotation.point : !annotation.geometry)) {
+        return 'Annotation missing required fields';
+    }
+
+    if (!isValidAnnotationId(annotation.id)) {
+        return 'Invalid annotation ID';
+    }
+
+    if (typeof annotation.text !== 'string' || annotation.text.length > MAX_ANNOTATION_LENGTH) {
+        return 'Invalid annotation text';
+    }
+
+    if (type === 'point') {
+        if (!isFiniteNumber(annotation.point.x) || !isFiniteNumber(annotation.point.y)) {
+            return 'Invalid annotation coordinates';
+        }
+    } else if (!isValidGeometry(type, annotation.geometry)) {
+        return `Invalid ${type} geometry`;
+    }
+
+    if (annotation.category !== undefined && annotation.category !== null &&
+        (typeof annotation.category !== 'string' || !storage.getCategory(annotation.category))) {
+        return 'Unknown annotation category';
+    }
+
+    if (annotation.style !== undefined && annotation.style !== null && !isValidStyle(annotation.style)) {
+        return 'Invalid annotation style (expected { color: "#rrggbb", icon })';
+    }
+
+    return null;
+}
+
+// A color as #rrggbb and an icon (a short text, usually an emoji); either may be left out
+function isValidColor(color) {
+    return typeof color === 'string' && COLOR_PATTERN.test(color);
+}
+
+function isValidIcon(icon) {
+    return typeof icon === 'string' && icon.trim().length > 0 && icon.length <= MAX_ICON_LENGTH;
+}
+
+// Style overrides of an annotation: { color, icon }, each optional
+function isValidStyle(style) {
+    return typeof style === 'object' && !Array.isArray(style) &&
+        Object.keys(style).every(key => key === 'color' || key === 'icon') &&
+        (style.color === undefined || isValidColor(style.color)) &&
+        (style.icon === undefined || isValidIcon(style.icon));
+}
+
+// Build the stored form of a validated annotation, keeping only known fields
+function normalizeAnnotation(annotation) {
+    const type = annotation.type || 'point';
+    const normalized = { id: annotation.id, text: annotation.text, type, category: annotation.category || null, style: null };
+
+    const { style } = annotation;
+    if (style && (style.color || style.icon)) {
+        normalized.style = {};
+        if (style.color) normalized.style.color = style.color.toLowerCase();
+        if (style.icon) normalized.style.icon = style.icon.trim();
+    }
+
+    if (type === 'point') {
+        normalized.point = { x: annotation.point.x, y: annotation.point.y };
+        return normalized;
+    }
+
+    const { geometry } = annotation;
+    switch (type) {
+        case 'rectangle':
+            normalized.geometry = { x: geometry.x, y: geometry.y, width: geometry.width, height: geometry.height };
+            break;
+        case 'ellipse':
+            normalized.geometry = { cx: geometry.cx, cy: geometry.cy, rx: geometry.rx, ry: geometry.ry };
+            break;
+        default:
+            normalized.geometry = { points: geometry.points.map(p => ({ x: p.x, y: p.y })) };
+    }
+    return normalized;
+}
+
 // Clean up temporary files
 async function cleanupTempFile(filePath) {
     try {
@@ -101,6 +304,869 @@ async function checkVipsInstalled() {
     }
 }
 
+// Check if an image has already been tiled
+async function isImageTiled(imageId) {
+    try {
+        await fs.access(path.join(gigaImagesPath, imageId, 'tiles.dzi'));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Read the full-resolution size and tile layout of a tiled image from its tiles.dzi descriptor
+async function readDziInfo(imageId) {
+    const dzi = await fs.readFile(path.join(gigaImagesPath, imageId, 'tiles.dzi'), 'utf8');
+    const attribute = (name) => {
+        const match = dzi.match(new RegExp(`${name}="([^"]+)"`));
+        return match ? match[1] : null;
+    };
+
+    const width = parseInt(attribute('Width'), 10);
+    const height = parseInt(attribute('Height'), 10);
+    if (!width || !height) {
+        throw new Error(`Could not read image size from tiles.dzi for ${imageId}`);
+    }
+
+    return {
+        width,
+        height,
+        tileSize: parseInt(attribute('TileSize'), 10) || 254,
+        overlap: parseInt(attribute('Overlap'), 10) || 0,
+        format: attribute('Format') || 'jpeg'
+    };
+}
+
+// Render a small JPEG preview of a tiled image from its pyramid, for the library browser
+async function writeThumbnail(imageId) {
+    const info = await readDziInfo(imageId);
+    const size = Math.max(info.width, info.height) > THUMBNAIL_SIZE ? `!${THUMBNAIL_SIZE},${THUMBNAIL_SIZE}` : 'max';
+    const request = iiif.parseImageRequest({ region: 'full', size, rotation: '0', qualityFormat: 'default.jpg' }, info);
+    const { buffer } = await iiif.renderImage(path.join(gigaImagesPath, imageId, 'tiles_files'), info, request);
+
+    const thumbnailPath = path.join(gigaImagesPath, imageId, 'thumbnail.jpg');
+    await fs.writeFile(thumbnailPath, buffer);
+    return thumbnailPath;
+}
+
+// Read the view of a shared link: centre in image pixels, OpenSeadragon zoom (1 = image width fits
+// the viewer) and rotation in degrees. Missing values default to the home view; returns null if invalid.
+function parseSharedView(query, info) {
+    const view = { x: info.width / 2, y: info.height / 2, zoom: 1, rotation: 0 };
+
+    for (const key of Object.keys(view)) {
+        if (query[key] === undefined) continue;
+        const value = typeof query[key] === 'string' && query[key].trim() !== '' ? Number(query[key]) : NaN;
+        if (!Number.isFinite(value)) {
+            return null;
+        }
+        view[key] = value;
+    }
+
+    if (view.zoom <= 0) {
+        return null;
+    }
+    view.rotation = Math.round((((view.rotation % 360) + 360) % 360) * 100) / 100 % 360;
+    return view;
+}
+
+// Render what a PREVIEW_WIDTH x PREVIEW_HEIGHT viewer would show of a shared view
+async function renderViewPreview(imageId, info, view) {
+    // Output pixels per image pixel, and the image area under the (possibly rotated) frame
+    const scale = Math.min(PREVIEW_WIDTH * view.zoom / info.width, MAX_PREVIEW_SCALE);
+    const frameWidth = PREVIEW_WIDTH / scale;
+    const frameHeight = PREVIEW_HEIGHT / scale;
+    const radians = view.rotation * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const areaWidth = frameWidth * cos + frameHeight * sin;
+    const areaHeight = frameWidth * sin + frameHeight * cos;
+    const areaLeft = view.x - areaWidth / 2;
+    const areaTop = view.y - areaHeight / 2;
+
+    // The part of that area covered by the image
+    const left = Math.max(0, Math.floor(areaLeft));
+    const top = Math.max(0, Math.floor(areaTop));
+    const right = Math.min(info.width, Math.ceil(areaLeft + areaWidth));
+    const bottom = Math.min(info.height, Math.ceil(areaTop + areaHeight));
+
+    const composites = [];
+    if (right > left && bottom > top) {
+        const width = Math.max(1, Math.round((right - left) * scale));
+        const height = Math.max(1, Math.round((bottom - top) * scale));
+        const request = iiif.parseImageRequest({
+            region: `${left},${top},${right - left},${bottom - top}`,
+            size: `^${width},${height}`,
+            rotation: '0',
+            qualityFormat: 'default.jpg'
+        }, info);
+        const { buffer } = await iiif.renderImage(path.join(gigaImagesPath, imageId, 'tiles_files'), info, request);
+        composites.push({
+            input: buffer,
+            left: Math.max(0, Math.round((left - areaLeft) * scale)),
+            top: Math.max(0, Math.round((top - areaTop) * scale))
+        });
+    }
+
+    // Lay the image out on the area, rotate it like the viewer does and keep the middle
+    const canvasWidth = Math.max(Math.round(areaWidth * scale), ...composites.map(c => c.left + Math.round((right - left) * scale)));
+    const canvasHeight = Math.max(Math.round(areaHeight * scale), ...composites.map(c => c.top + Math.round((bottom - top) * scale)));
+    const area = await sharp({
+        create: { width: canvasWidth, height: canvasHeight, channels: 3, background: PREVIEW_BACKGROUND }
+    })
+        .composite(composites)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const rotated = await sharp(area.data, { raw: area.info })
+        .rotate(view.rotation, { background: PREVIEW_BACKGROUND })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const cropWidth = Math.min(PREVIEW_WIDTH, rotated.info.width);
+    const cropHeight = Math.min(PREVIEW_HEIGHT, rotated.info.height);
+    return sharp(rotated.data, { raw: rotated.info })
+        .extract({
+            left: Math.floor((rotated.info.width - cropWidth) / 2),
+            top: Math.floor((rotated.info.height - cropHeight) / 2),
+            width: cropWidth,
+            height: cropHeight
+        })
+        .resize(PREVIEW_WIDTH, PREVIEW_HEIGHT, { fit: 'fill' })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Open Graph and Twitter card tags for a link to an image, pointing at a preview of the shared view
+function openGraphTags(req, imageId) {
+    const image = storage.getImage(imageId);
+    const name = image ? (image.rendition ? `${image.name} (${image.rendition})` : image.name) : imageId;
+    const annotation = typeof req.query.annotation === 'string' && req.query.annotation.length <= 100
+        ? storage.getAnnotation(imageId, req.query.annotation)
+        : null;
+    const title = annotation ? `${annotation.text} - ${name}` : name;
+
+    let description = image && image.source === 'nasa' && image.metadata
+        ? summarizeNasaMetadata(image.nasa_id, image.metadata).description
+        : null;
+    description = description || 'Explore this image in the Large Image Viewer.';
+    if (description.length > MAX_PREVIEW_DESCRIPTION_LENGTH) {
+        description = `${description.slice(0, MAX_PREVIEW_DESCRIPTION_LENGTH - 1).trimEnd()}…`;
+    }
+
+    const viewParams = new URLSearchParams();
+    ['x', 'y', 'zoom', 'rotation'].forEach(key => {
+        if (typeof req.query[key] === 'string') viewParams.set(key, req.query[key]);
+    });
+    const baseUrl = getBaseUrl(req);
+    const query = viewParams.toString();
+    const previewUrl = `${baseUrl}/api/images/${imageId}/preview${query ? `?${query}` : ''}`;
+
+    const properties = {
+        'og:type': 'website',
+        'og:site_name': 'Large Image Viewer',
+        'og:title': title,
+        'og:description': description,
+        'og:url': `${baseUrl}${req.originalUrl}`,
+        'og:image': previewUrl,
+        'og:image:type': 'image/jpeg',
+        'og:image:width': PREVIEW_WIDTH,
+        'og:image:height': PREVIEW_HEIGHT
+    };
+    const names = { 'twitter:card': 'summary_large_image', 'twitter:title': title, 'twitter:image': previewUrl };
+
+    return {
+        title,
+        tags: [
+            ...Object.entries(properties).map(([key, value]) => `<meta property="${key}" content="${escapeHtml(value)}">`),
+            ...Object.entries(names).map(([key, value]) => `<meta name="${key}" content="${escapeHtml(value)}">`)
+        ]
+    };
+}
+
+// Shared caches may only keep what every visitor can see
+function setImageCacheControl(res, imageId) {
+    const image = storage.getImage(imageId);
+    res.set('Cache-Control', `${!image || image.visibility === 'public' ? 'public' : 'private'}, max-age=86400`);
+}
+
+// Library entry for a tiled image folder, with its database record if it has one
+function describeImage(imageId, image, annotationCount, tags) {
+    return {
+        id: imageId,
+        name: image ? image.name : imageId,
+        tags: tags || [],
+        source: image && image.source ? image.source : null,
+        rendition: image && image.rendition ? image.rendition : null,
+        importedBy: image && image.importedBy ? image.importedBy : null,
+        importedById: image && image.importedById ? image.importedById : null,
+        visibility: image ? image.visibility : 'public',
+        scale: image && image.scale ? image.scale : null,
+        created: image ? image.created : null,
+        annotationCount: annotationCount || 0,
+        path: `gigaimages/${imageId}/tiles.dzi`,
+        iiif: `iiif/${imageId}/info.json`,
+        manifest: `iiif/${imageId}/manifest`,
+        thumbnail: `api/images/${imageId}/thumbnail`
+    };
+}
+
+// Find the best downloadable image URL for a NASA asset
+// Pass a rendition ('orig', 'large', ...) to get that file; otherwise the best one available
+async function findNasaImageUrl(nasaId, rendition = null) {
+    const renditions = await findNasaRenditions(nasaId);
+
+    if (rendition) {
+        const match = renditions.find(r => r.rendition === rendition);
+        return match ? match.url : null;
+    }
+    return renditions.length > 0 ? renditions[0].url : null;
+}
+
+// List the image renditions of a NASA asset, largest first: [{ rendition, url }]
+async function findNasaRenditions(nasaId) {
+    const assetUrl = `${NASA_IMAGES_API_URL}/asset/${encodeURIComponent(nasaId)}`;
+    const assetResponse = await axios.get(assetUrl, { timeout: 10000 });
+    const items = (assetResponse.data && assetResponse.data.collection && assetResponse.data.collection.items) || [];
+
+    return NASA_RENDITIONS
+        .map(rendition => {
+            const pattern = new RegExp(`~${rendition}\\.(tiff?|jpe?g|png)$`, 'i');
+            const item = items.find(i => i.href && pattern.test(i.href.split('?')[0]));
+            return item ? { rendition, url: item.href } : null;
+        })
+        .filter(Boolean);
+}
+
+// File size (HEAD) and pixel dimensions (read from the first bytes) of a remote image.
+// Either may be null when the server does not say or the header is further into the file.
+async function probeRemoteImage(url) {
+    const result = { sizeMB: null, width: null, height: null };
+
+    try {
+        const headResponse = await axios.head(url, { timeout: 5000 });
+        const contentLength = parseInt(headResponse.headers['content-length'], 10);
+        if (contentLength) {
+            result.sizeMB = Math.round((contentLength / (1024 * 1024)) * 100) / 100;
+        }
+    } catch (error) {
+        console.log(`Could not fetch file size for ${url}`);
+    }
+
+    try {
+        const rangeResponse = await axios.get(url, {
+            timeout: 5000,
+            responseType: 'arraybuffer',
+            maxContentLength: PROBE_BYTES * 4,
+            headers: { Range: `bytes=0-${PROBE_BYTES - 1}` }
+        });
+        const { width, height } = await sharp(Buffer.from(rangeResponse.data)).metadata();
+        if (width && height) {
+            Object.assign(result, { width, height });
+        }
+    } catch (error) {
+        console.log(`Could not read dimensions of ${url}`);
+    }
+
+    return result;
+}
+
+// Fetch the full metadata record (AVAIL:*, EXIF:*, XMP:* ... fields) for a NASA asset.
+// The API answers with the location of the asset's metadata.json.
+async function fetchNasaMetadata(nasaId) {
+    const locationResponse = await axios.get(
+        `${NASA_IMAGES_API_URL}/metadata/${encodeURIComponent(nasaId)}`, { timeout: 10000 }
+    );
+    const location = locationResponse.data && locationResponse.data.location;
+    if (!location || !isValidUrl(location)) {
+        throw new Error('NASA API returned no metadata location');
+    }
+
+    const metadataResponse = await axios.get(location, { timeout: 10000, maxContentLength: MAX_MANIFEST_SIZE });
+    if (!metadataResponse.data || typeof metadataResponse.data !== 'object') {
+        throw new Error('NASA metadata is not a JSON object');
+    }
+    return metadataResponse.data;
+}
+
+// The fields of a NASA metadata record shown to users, plus a credit line
+function summarizeNasaMetadata(nasaId, record) {
+    const field = (name) => {
+        const value = record[`AVAIL:${name}`];
+        return value === undefined || value === null || value === '' ? null : value;
+    };
+    const photographer = field('Photographer');
+    const secondaryCreator = field('SecondaryCreator');
+    const center = field('Center');
+
+    const exif = {};
+    Object.entries(record).forEach(([key, value]) => {
+        if (key.startsWith('EXIF:') && ['string', 'number'].includes(typeof value)) {
+            exif[key.slice(5)] = value;
+        }
+    });
+
+    let credit = 'NASA';
+    if (secondaryCreator) {
+        credit = secondaryCreator;
+    } else if (photographer) {
+        credit = `NASA/${photographer}`;
+    } else if (center) {
+        credit = `NASA/${center}`;
+    }
+
+    return {
+        nasa_id: nasaId,
+        title: field('Title'),
+        description: field('Description'),
+        keywords: [].concat(field('Keywords') || []),
+        center,
+        dateCreated: field('DateCreated'),
+        photographer,
+        secondaryCreator,
+        location: field('Location'),
+        album: [].concat(field('Album') || []),
+        exif,
+        credit: `Credit: ${credit}`,
+        detailsUrl: `https://images.nasa.gov/details/${encodeURIComponent(nasaId)}`
+    };
+}
+
+// Split a search-index string into [{ text, match }] segments for safe display
+function toHighlightSegments(text) {
+    if (!text) return [];
+
+    const segments = [];
+    const pattern = new RegExp(`${storage.MATCH_START}([^${storage.MATCH_END}]*)${storage.MATCH_END}`, 'g');
+    let lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            segments.push({ text: text.slice(lastIndex, match.index), match: false });
+        }
+        segments.push({ text: match[1], match: true });
+        lastIndex = pattern.lastIndex;
+    }
+    if (lastIndex < text.length) {
+        segments.push({ text: text.slice(lastIndex), match: false });
+    }
+    return segments;
+}
+
+// --- Data Migrations ---
+// Each migration runs once; applied names are recorded in the migrations table.
+
+// Copy images.json, annotations.json, jobs.json and migrations.json into the
+// database in one transaction, then rename each file to *.imported
+async function importJsonStores() {
+    const images = await readJsonFile(legacyJsonPaths.images, []);
+    const annotations = await readJsonFile(legacyJsonPaths.annotations, {});
+    const savedJobs = await readJsonFile(legacyJsonPaths.jobs, []);
+    const appliedMigrations = await readJsonFile(legacyJsonPaths.migrations, []);
+    const counts = { images: 0, annotations: 0, jobs: 0 };
+
+    storage.transaction(() => {
+        (Array.isArray(images) ? images : []).forEach(image => {
+            if (image && typeof image.id === 'string' && storage.insertImage(image)) {
+                counts.images++;
+            }
+        });
+
+        Object.entries(annotations && typeof annotations === 'object' ? annotations : {})
+            .forEach(([imageId, imageAnnotations]) => {
+                (Array.isArray(imageAnnotations) ? imageAnnotations : []).forEach(annotation => {
+                    if (validateAnnotation(annotation)) {
+                        console.warn(`Skipping invalid annotation for ${imageId}:`, annotation && annotation.id);
+                    } else if (storage.insertAnnotation(imageId, normalizeAnnotation(annotation))) {
+                        counts.annotations++;
+                    }
+                });
+            });
+
+        (Array.isArray(savedJobs) ? savedJobs : []).forEach(job => {
+            if (job && job.id && job.imageId) {
+                storage.saveJob(job);
+                counts.jobs++;
+            }
+        });
+
+        (Array.isArray(appliedMigrations) ? appliedMigrations : []).forEach(name => storage.recordMigration(name));
+    });
+
+    for (const filePath of Object.values(legacyJsonPaths)) {
+        await fs.rename(filePath, `${filePath}.imported`).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    console.log(`Imported ${counts.images} image(s), ${counts.annotations} annotation(s) and ${counts.jobs} job(s) from JSON files`);
+}
+
+const migrations = [
+    {
+        // Must stay first: it brings in the names of migrations already applied to the JSON files
+        name: 'import-json-stores',
+        run: importJsonStores
+    },
+    {
+        // Point pins used to be saved as OpenSeadragon viewport coordinates, where
+        // both x and y are fractions of the image width. Convert them to pixels.
+        name: 'annotation-points-to-image-pixels',
+        async run() {
+            let converted = 0;
+
+            for (const imageId of storage.listAnnotatedImageIds()) {
+                const points = storage.listAnnotations(imageId).filter(a => a.type === 'point' && a.point);
+                if (points.length === 0) continue;
+
+                let size;
+                try {
+                    size = await readDziInfo(imageId);
+                } catch (error) {
+                    console.warn(`Skipping annotations for ${imageId}: ${error.message}`);
+                    continue;
+                }
+
+                storage.transaction(() => {
+                    points.forEach(annotation => {
+                        annotation.point = {
+                            x: Math.round(annotation.point.x * size.width * 100) / 100,
+                            y: Math.round(annotation.point.y * size.width * 100) / 100
+                        };
+                        storage.updateAnnotation(imageId, annotation);
+                        converted++;
+                    });
+                });
+            }
+
+            console.log(`Converted ${converted} annotation point(s) to image pixels`);
+        }
+    }
+];
+
+async function runMigrations() {
+    for (const migration of migrations) {
+        if (storage.isMigrationApplied(migration.name)) continue;
+
+        console.log(`Running migration: ${migration.name}`);
+        await migration.run();
+        storage.recordMigration(migration.name);
+    }
+}
+
+// --- Background Job Queue ---
+// Downloads and VIPS runs happen outside the HTTP request. Jobs are persisted
+// to the database so a restart re-queues unfinished work, and at most
+// MAX_CONCURRENT_JOBS run at the same time.
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    DOWNLOADING: 'downloading',
+    TILING: 'tiling',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+let runningJobs = 0;
+
+function isJobActive(job) {
+    return job.status !== JOB_STATUS.DONE && job.status !== JOB_STATUS.FAILED;
+}
+
+// Public view of a job (download parameters stay on the server)
+function serializeJob(job) {
+    return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        imageId: job.imageId,
+        path: job.path,
+        name: job.params.title,
+        bytesDownloaded: job.bytesDownloaded,
+        totalBytes: job.totalBytes,
+        percent: job.percent,
+        error: job.error,
+        created: job.created,
+        updated: job.updated
+    };
+}
+
+function persistJob(job) {
+    try {
+        storage.saveJob(job);
+    } catch (error) {
+        console.error(`Failed to persist job ${job.id}:`, error.message);
+    }
+}
+
+// Apply changes to a job and notify progress listeners.
+// Frequent progress ticks skip the disk write; status changes are persisted.
+function updateJob(job, changes, persist = true) {
+    Object.assign(job, changes, { updated: new Date().toISOString() });
+    jobEvents.emit(job.id, serializeJob(job));
+    if (persist) {
+        persistJob(job);
+    }
+}
+
+// Drop finished jobs older than the retention window
+function pruneJobs() {
+    const cutoff = Date.now() - JOB_RETENTION;
+    for (const [id, job] of jobs) {
+        if (!isJobActive(job) && Date.parse(job.updated) < cutoff) {
+            jobs.delete(id);
+            storage.deleteJob(id);
+        }
+    }
+}
+
+function findActiveJob(imageId) {
+    return Array.from(jobs.values()).find(job => job.imageId === imageId && isJobActive(job));
+}
+
+// userId: the signed-in user importing the image, recorded with it once it is tiled
+function enqueueJob(type, imageId, params, userId) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        type,
+        status: JOB_STATUS.QUEUED,
+        imageId,
+        userId: userId || null,
+        path: `gigaimages/${imageId}/tiles.dzi`,
+        params,
+        bytesDownloaded: 0,
+        totalBytes: null,
+        percent: 0,
+        error: null,
+        created: now,
+        updated: now
+    };
+
+    pruneJobs();
+    jobs.set(job.id, job);
+    persistJob(job);
+    console.log(`Queued ${type} job ${job.id} for image ${imageId}`);
+
+    processJobQueue();
+    return job;
+}
+
+// Start queued jobs (oldest first) while there are free slots
+function processJobQueue() {
+    while (runningJobs < MAX_CONCURRENT_JOBS) {
+        const nextJob = Array.from(jobs.values()).find(job => job.status === JOB_STATUS.QUEUED);
+        if (!nextJob) {
+            return;
+        }
+
+        runningJobs++;
+        // Uploaded files are already on disk and go straight to tiling
+        updateJob(nextJob, { status: nextJob.type === 'upload' ? JOB_STATUS.TILING : JOB_STATUS.DOWNLOADING });
+        runJob(nextJob).finally(() => {
+            runningJobs--;
+            processJobQueue();
+        });
+    }
+}
+
+// Re-load jobs saved before the last shutdown and re-queue unfinished ones
+function restoreJobs() {
+    let resumed = 0;
+
+    storage.listJobs().forEach(job => {
+        if (isJobActive(job)) {
+            Object.assign(job, { status: JOB_STATUS.QUEUED, bytesDownloaded: 0, percent: 0 });
+            persistJob(job);
+            resumed++;
+        }
+        jobs.set(job.id, job);
+    });
+
+    pruneJobs();
+    console.log(`✓ Jobs restored (${resumed} unfinished job(s) re-queued)`);
+    processJobQueue();
+}
+
+async function runJob(job) {
+    const handlers = { nasa: processNasaJob, url: processUrlJob, upload: processUploadJob };
+    const handler = handlers[job.type];
+    const imageFolderPath = path.join(gigaImagesPath, job.imageId);
+    const tempImagePath = path.join(dataPath, `${job.imageId}_temp${job.params.tempExtension || ''}`);
+
+    console.log(`\n=== Job ${job.id} started (${job.type}) ===`);
+
+    try {
+        await handler(job, tempImagePath, imageFolderPath);
+
+        // The library can fall back to rendering a thumbnail on request, so this may fail
+        try {
+            await writeThumbnail(job.imageId);
+            console.log(`✓ Thumbnail created`);
+        } catch (error) {
+            console.warn(`Could not create thumbnail for ${job.imageId}:`, error.message);
+        }
+
+        updateJob(job, { status: JOB_STATUS.DONE, percent: 100 });
+        console.log(`=== Job ${job.id} complete ===\n`);
+    } catch (error) {
+        console.error(`Job ${job.id} failed:`, error.message);
+        await fs.rm(imageFolderPath, { recursive: true, force: true }).catch(() => {});
+        updateJob(job, { status: JOB_STATUS.FAILED, error: describeJobError(job, error) });
+    } finally {
+        await cleanupTempFile(tempImagePath);
+    }
+}
+
+// Turn a job failure into a user-facing message
+function describeJobError(job, error) {
+    if (job.type === 'nasa') {
+        return `Failed to process NASA image: ${error.message}`;
+    }
+    if (job.type === 'upload') {
+        return error.message.includes('VIPS')
+            ? 'Failed to process image. The file may be corrupted or in an unsupported format.'
+            : `Failed to process uploaded image: ${error.message}`;
+    }
+
+    let errorMessage = 'Failed to process image from URL';
+    if (error.code === 'ENOTFOUND') {
+        errorMessage = 'Could not reach the URL. Please check the address.';
+    } else if (error.code === 'ETIMEDOUT') {
+        errorMessage = 'Request timed out. The server may be slow or unreachable.';
+    } else if (error.message.includes('VIPS')) {
+        errorMessage = 'Failed to process image. The file may be corrupted or in an unsupported format.';
+    } else if (error.message) {
+        errorMessage += `: ${error.message}`;
+    }
+    return errorMessage;
+}
+
+async function processNasaJob(job, tempImagePath, imageFolderPath) {
+    const { nasa_id, title, description, rendition } = job.params;
+
+    // Find image URL if not provided
+    let finalImageUrl = job.params.imageUrl;
+    if (!finalImageUrl) {
+        console.log(rendition ? `Finding '${rendition}' image URL...` : `Finding best available image URL...`);
+        finalImageUrl = await findNasaImageUrl(nasa_id, rendition);
+    }
+
+    if (!finalImageUrl) {
+        throw new Error('Could not find a downloadable image URL');
+    }
+
+    console.log(`Image URL: ${finalImageUrl}`);
+    await downloadImage(job, finalImageUrl, tempImagePath);
+    await tileImage(job, tempImagePath, imageFolderPath);
+
+    // Metadata is nice to have; keep what the search result told us if the API fails
+    let metadata;
+    try {
+        metadata = await fetchNasaMetadata(nasa_id);
+        console.log(`✓ NASA metadata captured`);
+    } catch (error) {
+        console.warn(`Could not fetch NASA metadata for ${nasa_id}:`, error.message);
+        metadata = { 'AVAIL:NASAID': nasa_id, 'AVAIL:Title': title, 'AVAIL:Description': description || '' };
+    }
+
+    storage.insertImage({
+        id: job.imageId,
+        name: title,
+        path: job.path,
+        source: 'nasa',
+        nasa_id: nasa_id,
+        sourceUrl: finalImageUrl,
+        rendition: rendition || null,
+        metadata,
+        importedById: job.userId,
+        visibility: DEFAULT_VISIBILITY,
+        created: new Date().toISOString()
+    });
+    console.log(`✓ Image registered`);
+}
+
+async function processUrlJob(job, tempImagePath, imageFolderPath) {
+    const { imageUrl, title } = job.params;
+
+    await downloadImage(job, imageUrl, tempImagePath, {
+        requireImageContentType: true,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; ImageViewer/1.0)'
+        }
+    });
+    await tileImage(job, tempImagePath, imageFolderPath);
+
+    storage.insertImage({
+        id: job.imageId,
+        name: title,
+        path: job.path,
+        source: 'url',
+        sourceUrl: imageUrl,
+        importedById: job.userId,
+        visibility: DEFAULT_VISIBILITY,
+        created: new Date().toISOString()
+    });
+    console.log(`✓ Image registered`);
+}
+
+// Stream a remote image to disk, reporting bytes downloaded on the job
+async function downloadImage(job, imageUrl, destPath, options = {}) {
+    console.log(`Downloading image...`);
+    updateJob(job, { status: JOB_STATUS.DOWNLOADING, bytesDownloaded: 0, totalBytes: null, percent: 0 });
+
+    const downloadResponse = await axios({
+        url: imageUrl,
+        method: 'GET',
+        responseType: 'stream',
+        timeout: REQUEST_TIMEOUT,
+        maxContentLength: MAX_DOWNLOAD_SIZE,
+        headers: options.headers
+    });
+
+    // Check content type
+    const contentType = downloadResponse.headers['content-type'];
+    if (options.requireImageContentType && contentType && !contentType.startsWith('image/')) {
+        downloadResponse.data.destroy();
+        throw new Error(`URL does not point to an image (Content-Type: ${contentType})`);
+    }
+
+    const totalBytes = parseInt(downloadResponse.headers['content-length'], 10) || null;
+    if (totalBytes && totalBytes > MAX_DOWNLOAD_SIZE) {
+        downloadResponse.data.destroy();
+        throw new Error('File exceeds the 1GB download limit');
+    }
+    updateJob(job, { totalBytes });
+
+    const writer = require('fs').createWriteStream(destPath);
+    let bytesDownloaded = 0;
+    let lastReport = 0;
+
+    await new Promise((resolve, reject) => {
+        const fail = (error) => {
+            writer.destroy();
+            reject(error);
+        };
+
+        downloadResponse.data.on('data', (chunk) => {
+            bytesDownloaded += chunk.length;
+            if (bytesDownloaded > MAX_DOWNLOAD_SIZE) {
+                downloadResponse.data.destroy(new Error('File exceeds the 1GB download limit'));
+                return;
+            }
+
+            const now = Date.now();
+            if (now - lastReport >= PROGRESS_INTERVAL) {
+                lastReport = now;
+                updateJob(job, {
+                    bytesDownloaded,
+                    percent: totalBytes ? Math.round((bytesDownloaded / totalBytes) * 100) : 0
+                }, false);
+            }
+        });
+
+        writer.on('finish', resolve);
+        writer.on('error', fail);
+        downloadResponse.data.on('error', fail);
+        downloadResponse.data.pipe(writer);
+    });
+
+    // Verify file was downloaded
+    const stats = await fs.stat(destPath);
+    if (stats.size === 0) {
+        throw new Error('Downloaded file is empty');
+    }
+
+    updateJob(job, { bytesDownloaded: stats.size, percent: 100 });
+    console.log(`✓ Download complete (${Math.round(stats.size / 1024 / 1024)}MB)`);
+}
+
+// The upload route saved the file as the job's temp image; only tiling is left
+async function processUploadJob(job, tempImagePath, imageFolderPath) {
+    const { title } = job.params;
+
+    try {
+        await fs.access(tempImagePath);
+    } catch (error) {
+        throw new Error('The uploaded file is no longer available. Please upload it again.');
+    }
+
+    await tileImage(job, tempImagePath, imageFolderPath);
+
+    storage.insertImage({
+        id: job.imageId,
+        name: title,
+        path: job.path,
+        source: 'upload',
+        importedById: job.userId,
+        visibility: DEFAULT_VISIBILITY,
+        created: new Date().toISOString()
+    });
+    console.log(`✓ Image registered`);
+}
+
+// Run `vips dzsave`, parsing --vips-progress output into the job's percent
+function tileImage(job, sourcePath, imageFolderPath) {
+    console.log(`Processing with VIPS...`);
+    updateJob(job, { status: JOB_STATUS.TILING, percent: 0 });
+
+    return fs.mkdir(imageFolderPath, { recursive: true }).then(() => new Promise((resolve, reject) => {
+        const vips = spawn('vips', [
+            'dzsave', sourcePath, path.join(imageFolderPath, 'tiles'), '--vips-progress'
+        ]);
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            vips.kill();
+            reject(new Error('VIPS processing timed out'));
+        }, JOB_TIMEOUT);
+
+        vips.stdout.on('data', (data) => {
+            const matches = data.toString().match(/(\d+)% complete/g);
+            if (matches) {
+                const percent = parseInt(matches[matches.length - 1], 10);
+                if (percent !== job.percent) {
+                    updateJob(job, { percent }, false);
+                }
+            }
+        });
+
+        vips.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        vips.on('error', (error) => {
+            clearTimeout(timer);
+            reject(new Error(`VIPS could not be started: ${error.message}`));
+        });
+
+        vips.on('close', (code) => {
+            clearTimeout(timer);
+            if (stderr) {
+                console.log(`VIPS stderr: ${stderr}`);
+            }
+            if (code === 0) {
+                console.log(`✓ VIPS processing complete`);
+                resolve();
+            } else {
+                reject(new Error(`VIPS exited with code ${code}`));
+            }
+        });
+    }));
+}
+
 // --- Directory and File Initialization on Server Start ---
 (async () => {
     try {
@@ -121,22 +1187,20 @@ async function checkVipsInstalled() {
         await fs.mkdir(gigaImagesPath, { recursive: true });
         console.log('✓ Directories created');
 
-        // Initialize database files
-        console.log('Checking database files...');
-        
-        const imagesDb = await readJsonFile(imagesDbPath, []);
-        if (imagesDb === null || !Array.isArray(imagesDb)) {
-            console.log('Initializing images.json...');
-            await writeJsonFile(imagesDbPath, []);
-        }
-        console.log('✓ images.json ready');
+        // Open (or create) the database
+        console.log('Opening database...');
+        storage.open(databasePath);
+        console.log('✓ viewer.db ready');
 
-        const annotationsDb = await readJsonFile(annotationsDbPath, {});
-        if (annotationsDb === null || typeof annotationsDb !== 'object') {
-            console.log('Initializing annotations.json...');
-            await writeJsonFile(annotationsDbPath, {});
-        }
-        console.log('✓ annotations.json ready');
+        await runMigrations();
+        console.log('✓ Migrations applied');
+
+        // Resume background jobs interrupted by the last shutdown
+        restoreJobs();
+
+        // Remove what has outlived its time in the trash, now and every hour
+        await purgeExpiredTrash();
+        setInterval(purgeExpiredTrash, TRASH_SWEEP_INTERVAL).unref();
 
         console.log('=== Initialization Complete ===\n');
     } catch (error) {
@@ -147,8 +1211,7 @@ async function checkVipsInstalled() {
 
 // --- Middleware ---
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.static(path.join(__dirname, '../public')));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/ld+json'] }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -156,6 +1219,24 @@ app.use((req, res, next) => {
     next();
 });
 
+// Who is signed in (req.user), for permissions and authorship
+app.use(auth.identifyUser);
+
+// Tiles of images the user may not see are not served
+app.use('/gigaimages/:id', (req, res, next) => {
+    try {
+        if (!storage.canViewImage(req.user, req.params.id)) {
+            return res.status(404).send('Not found');
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// The main page is rendered by its route so shared links get preview tags
+app.use(express.static(path.join(__dirname, '../public'), { index: false }));
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
@@ -164,562 +1245,2315 @@ app.use((err, req, res, next) => {
 
 // --- Routes ---
 
+// Serve the viewer; links to an image carry Open Graph tags describing the shared view
+app.get('/', async (req, res) => {
+    const indexPath = path.join(__dirname, '../public/index.html');
+    const imageId = req.query.image_id;
+
+    try {
+        if (!isValidImageId(imageId) || !storage.canViewImage(req.user, imageId) || !await isImageTiled(imageId)) {
+            return res.sendFile(indexPath);
+        }
+
+        const { title, tags } = openGraphTags(req, imageId);
+        const html = (await fs.readFile(indexPath, 'utf8'))
+            .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)} - Large Image Viewer</title>`)
+            .replace('</head>', `  ${tags.join('\n  ')}\n</head>`);
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('Error rendering shared view page:', error);
+        res.sendFile(indexPath);
+    }
+});
+
 // Serve search page
 app.get('/search', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/search.html'));
 });
 
-// Get all images
+// Serve sign-in page
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/login.html'));
+});
+
+// --- Accounts ---
+
+function validateCredentials(body) {
+    const { username, password } = body || {};
+
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Anyone may create the first account; after that, admins add accounts unless registration is open
+function isRegistrationOpen(req) {
+    return ALLOW_REGISTRATION || auth.hasRole(req.user, 'admin') || storage.countUsers() === 0;
+}
+
+// The signed-in user, and whether the sign-in page may offer to create an account
+app.get('/api/auth/me', (req, res) => {
+    try {
+        res.json({ user: req.user, registrationOpen: isRegistrationOpen(req) });
+    } catch (error) {
+        console.error('Error reading current user:', error);
+        res.status(500).send('Failed to read current user');
+    }
+});
+
+// Create an account. Visitors are signed in as the new user; signed-in users stay who they are.
+// The first account is an admin; others are viewers unless an admin creating them picks a role.
+app.post('/api/auth/register', async (req, res) => {
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+        return res.status(400).send(validationError);
+    }
+
+    const { role } = req.body;
+    if (role !== undefined && !auth.ROLES.includes(role)) {
+        return res.status(400).send(`Invalid role (expected one of: ${auth.ROLES.join(', ')})`);
+    }
+
+    try {
+        if (!isRegistrationOpen(req)) {
+            return res.status(403).send('Registration is closed. Ask an admin to create an account for you.');
+        }
+
+        if (role !== undefined && !auth.hasRole(req.user, 'admin')) {
+            return res.status(403).send('Only admins can choose the role of a new account');
+        }
+
+        const user = {
+            id: crypto.randomBytes(8).toString('hex'),
+            username: req.body.username,
+            passwordHash: await auth.hashPassword(req.body.password),
+            role: storage.countUsers() === 0 ? 'admin' : (role || 'viewer'),
+            created: new Date().toISOString()
+        };
+        if (!storage.insertUser(user)) {
+            return res.status(409).send('That username is taken');
+        }
+        console.log(`✓ Account created: ${user.username} (${user.role})`);
+
+        const account = { id: user.id, username: user.username, role: user.role, created: user.created };
+        if (req.user) {
+            return res.status(201).json({ user: account });
+        }
+
+        const token = auth.createSession(user.id);
+        auth.setSessionCookie(req, res, token);
+        res.status(201).json({ user: account, token });
+    } catch (error) {
+        console.error('Error creating account:', error);
+        res.status(500).send('Failed to create account');
+    }
+});
+
+// Sign in; the session token is set as a cookie and also returned for API clients
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || typeof password !== 'string' ||
+        !username || !password || password.length > MAX_PASSWORD_LENGTH) {
+        return res.status(400).send('Username and password are required');
+    }
+
+    try {
+        const credentials = storage.getUserCredentials(username);
+        if (!credentials || !await auth.verifyPassword(password, credentials.passwordHash)) {
+            return res.status(401).send('Invalid username or password');
+        }
+
+        const token = auth.createSession(credentials.id);
+        auth.setSessionCookie(req, res, token);
+        console.log(`✓ Signed in: ${credentials.username}`);
+        res.json({
+            user: { id: credentials.id, username: credentials.username, role: credentials.role, created: credentials.created },
+            token
+        });
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).send('Failed to sign in');
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    try {
+        if (req.sessionToken) {
+            auth.endSession(req.sessionToken);
+        }
+        auth.clearSessionCookie(res);
+        res.status(200).json({ message: 'Signed out successfully' });
+    } catch (error) {
+        console.error('Error signing out:', error);
+        res.status(500).send('Failed to sign out');
+    }
+});
+
+// --- Users and groups ---
+
+// Accounts, for choosing who to share an image with
+app.get('/api/users', auth.requireUser, (req, res) => {
+    try {
+        res.json(storage.listUsers());
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).send('Failed to list users');
+    }
+});
+
+// Change the role of an account; the last admin cannot be demoted
+app.patch('/api/users/:userId', auth.requireRole('admin'), (req, res) => {
+    const { role } = req.body;
+
+    if (!auth.ROLES.includes(role)) {
+        return res.status(400).send(`Invalid role (expected one of: ${auth.ROLES.join(', ')})`);
+    }
+
+    try {
+        const user = storage.getUser(req.params.userId);
+        if (!user) {
+            return res.status(404).send('User not found');
+        }
+        if (user.role === 'admin' && role !== 'admin' && storage.countAdmins() === 1) {
+            return res.status(409).send('There must be at least one admin');
+        }
+
+        storage.setUserRole(user.id, role);
+        realtime.checkAccess();
+        console.log(`✓ ${user.username} is now ${role === 'admin' ? 'an' : 'a'} ${role}`);
+        res.json(storage.getUser(user.id));
+    } catch (error) {
+        console.error('Error changing role:', error);
+        res.status(500).send('Failed to change role');
+    }
+});
+
+// Every id is an existing user (or group); used to validate member and share lists
+function isIdList(ids, maxLength, exists) {
+    return Array.isArray(ids) && ids.length <= maxLength &&
+        ids.every(id => typeof id === 'string' && id.length <= 100 && exists(id));
+}
+
+app.get('/api/groups', auth.requireUser, (req, res) => {
+    try {
+        res.json(storage.listGroups());
+    } catch (error) {
+        console.error('Error listing groups:', error);
+        res.status(500).send('Failed to list groups');
+    }
+});
+
+app.post('/api/groups', auth.requireRole('admin'), (req, res) => {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_TITLE_LENGTH) {
+        return res.status(400).send('Invalid or missing group name');
+    }
+
+    try {
+        const group = { id: crypto.randomBytes(8).toString('hex'), name: name.trim() };
+        if (!storage.insertGroup(group)) {
+            return res.status(409).send('A group with this name already exists');
+        }
+        console.log(`✓ Group created: ${group.name}`);
+        res.status(201).json(storage.getGroup(group.id));
+    } catch (error) {
+        console.error('Error creating group:', error);
+        res.status(500).send('Failed to create group');
+    }
+});
+
+// Replace the members of a group
+app.put('/api/groups/:groupId/members', auth.requireRole('admin'), (req, res) => {
+    const { userIds } = req.body;
+
+    try {
+        if (!storage.getGroup(req.params.groupId)) {
+            return res.status(404).send('Group not found');
+        }
+        if (!isIdList(userIds, MAX_GROUP_MEMBERS, id => storage.getUser(id))) {
+            return res.status(400).send(`userIds must be an array of at most ${MAX_GROUP_MEMBERS} user IDs`);
+        }
+
+        storage.setGroupMembers(req.params.groupId, userIds);
+        realtime.checkAccess();
+        res.json(storage.getGroup(req.params.groupId));
+    } catch (error) {
+        console.error('Error saving group members:', error);
+        res.status(500).send('Failed to save group members');
+    }
+});
+
+// Delete a group; images shared with it are no longer shared with its members
+app.delete('/api/groups/:groupId', auth.requireRole('admin'), (req, res) => {
+    try {
+        if (!storage.deleteGroup(req.params.groupId)) {
+            return res.status(404).send('Group not found');
+        }
+        realtime.checkAccess();
+        console.log(`✓ Group ${req.params.groupId} deleted`);
+        res.status(200).json({ message: `Group ${req.params.groupId} deleted successfully` });
+    } catch (error) {
+        console.error('Error deleting group:', error);
+        res.status(500).send('Failed to delete group');
+    }
+});
+
+// List library images, one page at a time.
+// Query: sort (name, created, source, annotations), order (asc, desc), source, page, pageSize
 app.get('/api/images', async (req, res) => {
+    const sort = req.query.sort || 'name';
+    const order = req.query.order || (sort === 'name' || sort === 'source' ? 'asc' : 'desc');
+    const { source, tag } = req.query;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const pageSize = req.query.pageSize === undefined ? LIBRARY_PAGE_SIZE : Number(req.query.pageSize);
+
+    if (!LIBRARY_SORTS.includes(sort)) {
+        return res.status(400).send(`Invalid sort (expected one of: ${LIBRARY_SORTS.join(', ')})`);
+    }
+
+    if (order !== 'asc' && order !== 'desc') {
+        return res.status(400).send('Invalid order (expected asc or desc)');
+    }
+
+    if (source !== undefined && !IMAGE_SOURCES.includes(source)) {
+        return res.status(400).send(`Invalid source (expected one of: ${IMAGE_SOURCES.join(', ')})`);
+    }
+
+    if (tag !== undefined && (typeof tag !== 'string' || !tag.trim() || tag.length > MAX_TAG_LENGTH)) {
+        return res.status(400).send('Invalid tag parameter');
+    }
+
+    if (!Number.isInteger(page) || page < 1) {
+        return res.status(400).send('Invalid page parameter');
+    }
+
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIBRARY_PAGE_SIZE) {
+        return res.status(400).send(`pageSize must be between 1 and ${MAX_LIBRARY_PAGE_SIZE}`);
+    }
+
     try {
-        const imageDb = await readJsonFile(imagesDbPath, []);
+        const imageDb = new Map(storage.listImages().map(image => [image.id, image]));
+        const hidden = new Set(storage.listHiddenImageIds(req.user));
+        const annotationCounts = storage.countAnnotations();
+        const imageTags = storage.listImageTags();
         const directories = await fs.readdir(gigaImagesPath, { withFileTypes: true });
-        const imageFolders = directories.filter(d => d.isDirectory()).map(d => d.name);
-        
-        const allImages = imageFolders
-            .map(folderId => {
-                const dbEntry = imageDb.find(img => img.id === folderId);
-                return {
-                    id: folderId,
-                    name: dbEntry ? dbEntry.name : folderId,
-                    path: `gigaimages/${folderId}/tiles.dzi`
-                };
-            })
-            .sort((a, b) => a.name.localeCompare(b.name));
 
-        console.log(`Listed ${allImages.length} images`);
-        res.json(allImages);
+        // Ties (and images without a date or source) fall back to name order
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const comparators = {
+            name: byName,
+            created: (a, b) => (a.created || '').localeCompare(b.created || ''),
+            source: (a, b) => (a.source || '').localeCompare(b.source || ''),
+            annotations: (a, b) => a.annotationCount - b.annotationCount
+        };
+        const direction = order === 'asc' ? 1 : -1;
+
+        const matching = directories
+            .filter(d => d.isDirectory() && !hidden.has(d.name))
+            .map(d => describeImage(d.name, imageDb.get(d.name), annotationCounts.get(d.name), imageTags.get(d.name)))
+            .filter(image => !source || image.source === source)
+            .filter(image => !tag || image.tags.some(t => t.toLowerCase() === tag.trim().toLowerCase()))
+            .sort((a, b) => direction * comparators[sort](a, b) || byName(a, b));
+
+        const total = matching.length;
+        const pages = Math.max(1, Math.ceil(total / pageSize));
+        const items = matching.slice((page - 1) * pageSize, page * pageSize);
+
+        console.log(`Listed ${items.length} of ${total} images (page ${page}/${pages})`);
+        res.json({ items, total, page, pageSize, pages });
+    } catch (error) {
+        console.error('Error listing images:', error);
+        res.status(500).send('Failed to list images');
+    }
+});
+
+// Get one library image
+app.get('/api/images/:id', async (req, res) => {
+    const imageId = req.params.id;
+
+    if (!isValidImageId(imageId)) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    try {
+        if (!storage.canViewImage(req.user, imageId) || !await isImageTiled(imageId)) {
+            return res.status(404).send('Image not found');
+        }
+
+        const count = storage.listAnnotations(imageId).length;
+        res.json(describeImage(imageId, storage.getImage(imageId), count, storage.getImageTags(imageId)));
+    } catch (error) {
+        console.error(`Error reading image ${imageId}:`, error);
+        res.status(500).send('Failed to read image');
+    }
+});
+
+// Thumbnail of an image; images tiled before thumbnails existed get one on first request
+app.get('/api/images/:id/thumbnail', async (req, res) => {
+    const imageId = req.params.id;
+
+    if (!isValidImageId(imageId)) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    if (!storage.canViewImage(req.user, imageId)) {
+        return res.status(404).send('Image not found');
+    }
+
+    let thumbnailPath = path.join(gigaImagesPath, imageId, 'thumbnail.jpg');
+    try {
+        await fs.access(thumbnailPath);
+    } catch (error) {
+        if (!await isImageTiled(imageId)) {
+            return res.status(404).send('Image not found');
+        }
+
+        try {
+            thumbnailPath = await writeThumbnail(imageId);
+            console.log(`✓ Thumbnail created for ${imageId}`);
+        } catch (renderError) {
+            console.error(`Error creating thumbnail for ${imageId}:`, renderError.message);
+            return res.status(500).send('Failed to create thumbnail');
+        }
+    }
+
+    setImageCacheControl(res, imageId);
+    res.sendFile(thumbnailPath);
+});
+
+// Preview of a shared view, for the Open Graph tags of links to it.
+// Query: x, y (view centre in image pixels), zoom (OpenSeadragon zoom), rotation (degrees)
+app.get('/api/images/:id/preview', async (req, res) => {
+    const imageId = req.params.id;
+
+    if (!isValidImageId(imageId)) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    try {
+        if (!storage.canViewImage(req.user, imageId) || !await isImageTiled(imageId)) {
+            return res.status(404).send('Image not found');
+        }
+
+        const info = await readDziInfo(imageId);
+        const view = parseSharedView(req.query, info);
+        if (!view) {
+            return res.status(400).send('x, y, zoom and rotation must be numbers, and zoom greater than 0');
+        }
+
+        const buffer = await renderViewPreview(imageId, info, view);
+        setImageCacheControl(res, imageId);
+        res.type('image/jpeg').send(buffer);
+    } catch (error) {
+        console.error(`Error rendering preview for ${imageId}:`, error);
+        res.status(500).send('Failed to render preview');
+    }
+});
+
+// --- Sharing ---
+
+// Who can see an image: its visibility and the users and groups it is shared with
+app.get('/api/images/:id/sharing', auth.requireRole('annotator'), (req, res) => {
+    const imageId = req.params.id;
+
+    if (!isValidImageId(imageId)) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    try {
+        const image = storage.canViewImage(req.user, imageId) ? storage.getImage(imageId) : null;
+        if (!image) {
+            return res.status(404).send('Image not found');
+        }
+        if (!auth.canManageImage(req.user, image)) {
+            return res.status(403).send('Only the user who imported an image or an admin can see who it is shared with');
+        }
+        res.json(storage.getImageSharing(imageId));
+    } catch (error) {
+        console.error(`Error reading sharing of ${imageId}:`, error);
+        res.status(500).send('Failed to read sharing');
+    }
+});
+
+// Set an image's visibility (private, shared, public); shared images are seen by the users and
+// groups listed. Body: { visibility, userIds, groupIds }
+app.put('/api/images/:id/sharing', auth.requireRole('annotator'), (req, res) => {
+    const imageId = req.params.id;
+    const { visibility, userIds = [], groupIds = [] } = req.body;
+
+    if (!isValidImageId(imageId)) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    if (!VISIBILITIES.includes(visibility)) {
+        return res.status(400).send(`Invalid visibility (expected one of: ${VISIBILITIES.join(', ')})`);
+    }
+
+    try {
+        const image = storage.canViewImage(req.user, imageId) ? storage.getImage(imageId) : null;
+        if (!image) {
+            return res.status(404).send('Image not found');
+        }
+        if (!auth.canManageImage(req.user, image)) {
+            return res.status(403).send('Only the user who imported an image or an admin can change who sees it');
+        }
+        if (!isIdList(userIds, MAX_SHARES, id => storage.getUser(id))) {
+            return res.status(400).send(`userIds must be an array of at most ${MAX_SHARES} user IDs`);
+        }
+        if (!isIdList(groupIds, MAX_SHARES, id => storage.getGroup(id))) {
+            return res.status(400).send(`groupIds must be an array of at most ${MAX_SHARES} group IDs`);
+        }
+
+        const sharing = storage.setImageSharing(imageId, { visibility, userIds, groupIds });
+        realtime.checkAccess(imageId);
+        console.log(`✓ ${imageId} is now ${visibility}`);
+        res.json(sharing);
+    } catch (error) {
+        console.error(`Error saving sharing of ${imageId}:`, error);
+        res.status(500).send('Failed to save sharing');
+    }
+});
+
+// --- Scale ---
+// The physical size of an image's pixels, as { pixelsPerUnit, unit }, for measurements.
+// It is set by calibrating against a line of known length; the viewer does the arithmetic.
+
+// Set an image's scale, or remove it with null
+app.put('/api/images/:id/scale', auth.requireRole('annotator'), (req, res) => {
+    const imageId = req.params.id;
+    const { scale } = req.body || {};
+
+    if (!isValidImageId(imageId)) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    if (scale !== null && !(scale && typeof scale === 'object' && isFiniteNumber(scale.pixelsPerUnit) &&
+        scale.pixelsPerUnit > 0 && SCALE_UNITS.includes(scale.unit))) {
+        return res.status(400).send(`Invalid scale (expected { pixelsPerUnit, unit } with unit one of: ${SCALE_UNITS.join(', ')}, or null)`);
+    }
+
+    try {
+        const image = storage.canViewImage(req.user, imageId) ? storage.getImage(imageId) : null;
+        if (!image) {
+            return res.status(404).send('Image not found');
+        }
+        if (!auth.canManageImage(req.user, image)) {
+            return res.status(403).send('Only the user who imported an image or an admin can change its scale');
+        }
+
+        const saved = scale && { pixelsPerUnit: scale.pixelsPerUnit, unit: scale.unit };
+        storage.setImageScale(imageId, saved);
+        realtime.broadcast(imageId, { type: 'scale.changed', scale: saved });
+
+        console.log(saved ? `✓ Scale of ${imageId}: ${saved.pixelsPerUnit} px per ${saved.unit}` : `✓ Scale of ${imageId} removed`);
+        res.json({ scale: saved });
+    } catch (error) {
+        console.error(`Error saving scale of ${imageId}:`, error);
+        res.status(500).send('Failed to save scale');
+    }
+});
+
+// --- Tags ---
+
+// All tags in use on images the user can see, with how many of those images carry each
+app.get('/api/tags', (req, res) => {
+    try {
+        res.json(storage.listTags(req.user));
+    } catch (error) {
+        console.error('Error listing tags:', error);
+        res.status(500).send('Failed to list tags');
+    }
+});
+
+// Replace the tags of an image
+app.put('/api/images/:id/tags', auth.requireRole('annotator'), async (req, res) => {
+    const imageId = req.params.id;
+    const { tags } = req.body;
+
+    if (!isValidImageId(imageId)) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS_PER_IMAGE) {
+        return res.status(400).send(`tags must be an array of at most ${MAX_TAGS_PER_IMAGE} tags`);
+    }
+
+    const trimmed = tags.map(tag => (typeof tag === 'string' ? tag.trim() : ''));
+    if (trimmed.some(tag => !tag || tag.length > MAX_TAG_LENGTH || tag.includes(','))) {
+        return res.status(400).send(`Tags must be 1-${MAX_TAG_LENGTH} characters and cannot contain commas`);
+    }
+
+    try {
+        const image = storage.canViewImage(req.user, imageId) ? storage.getImage(imageId) : null;
+        if (!image || !await isImageTiled(imageId)) {
+            return res.status(404).send('Image not found');
+        }
+        if (!auth.canManageImage(req.user, image)) {
+            return res.status(403).send('Only the user who imported an image or an admin can change its tags');
+        }
+
+        const saved = storage.setImageTags(imageId, trimmed);
+        console.log(`✓ Tags of ${imageId}: ${saved.join(', ') || '(none)'}`);
+        res.json({ tags: saved });
+    } catch (error) {
+        console.error(`Error saving tags for ${imageId}:`, error);
+        res.status(500).send('Failed to save tags');
+    }
+});
+
+// --- Collections ---
+
+function validateCollectionName(name) {
+    return typeof name === 'string' && name.trim().length > 0 && name.length <= MAX_TITLE_LENGTH;
+}
+
+// The collection if the user may change it; otherwise answers 404 or 403 and returns null
+function manageableCollection(req, res) {
+    const collection = storage.getCollection(req.params.collectionId);
+    if (!collection) {
+        res.status(404).send('Collection not found');
+        return null;
+    }
+    if (!auth.canManageCollection(req.user, collection)) {
+        res.status(403).send('Only the user who created a collection or an admin can change it');
+        return null;
+    }
+    return collection;
+}
+
+// Collections, counting only the images the user can see
+app.get('/api/collections', (req, res) => {
+    try {
+        const hidden = new Set(storage.listHiddenImageIds(req.user));
+        res.json(storage.listCollections().map(collection => ({
+            ...collection,
+            imageCount: hidden.size === 0
+                ? collection.imageCount
+                : storage.listCollectionImageIds(collection.id).filter(id => !hidden.has(id)).length
+        })));
+    } catch (error) {
+        console.error('Error listing collections:', error);
+        res.status(500).send('Failed to list collections');
+    }
+});
+
+app.post('/api/collections', auth.requireRole('annotator'), (req, res) => {
+    const { name } = req.body;
+
+    if (!validateCollectionName(name)) {
+        return res.status(400).send('Invalid or missing collection name');
+    }
+
+    try {
+        const collection = storage.createCollection({
+            id: crypto.randomBytes(8).toString('hex'),
+            name: name.trim(),
+            createdById: req.user.id
+        });
+        console.log(`✓ Collection created: ${collection.name}`);
+        res.status(201).json(collection);
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        res.status(500).send('Failed to create collection');
+    }
+});
+
+// A collection with the images the user can see in order; images whose tiles are gone are skipped
+app.get('/api/collections/:collectionId', async (req, res) => {
+    try {
+        const collection = storage.getCollection(req.params.collectionId);
+        if (!collection) {
+            return res.status(404).send('Collection not found');
+        }
+
+        const annotationCounts = storage.countAnnotations();
+        const hidden = new Set(storage.listHiddenImageIds(req.user));
+        const images = [];
+        for (const imageId of storage.listCollectionImageIds(collection.id)) {
+            if (!hidden.has(imageId) && await isImageTiled(imageId)) {
+                images.push(describeImage(imageId, storage.getImage(imageId),
+                    annotationCounts.get(imageId), storage.getImageTags(imageId)));
+            }
+        }
+
+        res.json({ ...collection, imageCount: images.length, images });
+    } catch (error) {
+        console.error('Error reading collection:', error);
+        res.status(500).send('Failed to read collection');
+    }
+});
+
+// Rename a collection
+app.patch('/api/collections/:collectionId', auth.requireRole('annotator'), (req, res) => {
+    const { name } = req.body;
+
+    if (!validateCollectionName(name)) {
+        return res.status(400).send('Invalid or missing collection name');
+    }
+
+    try {
+        if (!manageableCollection(req, res)) return;
+        storage.renameCollection(req.params.collectionId, name.trim());
+        res.json(storage.getCollection(req.params.collectionId));
+    } catch (error) {
+        console.error('Error renaming collection:', error);
+        res.status(500).send('Failed to rename collection');
+    }
+});
+
+// Delete a collection (its images stay in the library)
+app.delete('/api/collections/:collectionId', auth.requireRole('annotator'), (req, res) => {
+    try {
+        if (!manageableCollection(req, res)) return;
+        storage.deleteCollection(req.params.collectionId);
+        console.log(`✓ Collection ${req.params.collectionId} deleted`);
+        res.status(200).json({ message: `Collection ${req.params.collectionId} deleted successfully` });
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        res.status(500).send('Failed to delete collection');
+    }
+});
+
+// Add an image to the end of a collection
+app.post('/api/collections/:collectionId/images', auth.requireRole('annotator'), async (req, res) => {
+    const { imageId } = req.body;
+
+    if (!isValidImageId(imageId)) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    try {
+        if (!manageableCollection(req, res)) return;
+        if (!storage.canViewImage(req.user, imageId) || !await isImageTiled(imageId)) {
+            return res.status(404).send('Image not found');
+        }
+        if (!storage.addCollectionImage(req.params.collectionId, imageId)) {
+            return res.status(409).send('Image is already in this collection');
+        }
+        res.status(201).json(storage.getCollection(req.params.collectionId));
+    } catch (error) {
+        console.error('Error adding image to collection:', error);
+        res.status(500).send('Failed to add image to collection');
+    }
+});
+
+app.delete('/api/collections/:collectionId/images/:imageId', auth.requireRole('annotator'), (req, res) => {
+    try {
+        if (!manageableCollection(req, res)) return;
+        if (!storage.removeCollectionImage(req.params.collectionId, req.params.imageId)) {
+            return res.status(404).send('Image is not in this collection');
+        }
+        res.json(storage.getCollection(req.params.collectionId));
+    } catch (error) {
+        console.error('Error removing image from collection:', error);
+        res.status(500).send('Failed to remove image from collection');
+    }
+});
+
+// --- Annotation categories ---
+// Shared by all images. Everyone can see them; admins define them. Viewers are told of changes
+// so they can redraw annotations in their new colors.
+
+// Returns an error message, or null if the category fields are acceptable
+function validateCategory({ name, color, icon }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_TAG_LENGTH) {
+        return 'Invalid or missing category name';
+    }
+    if (!isValidColor(color)) {
+        return 'Invalid or missing category color (expected #rrggbb)';
+    }
+    if (icon !== undefined && icon !== null && icon !== '' && !isValidIcon(icon)) {
+        return `Invalid category icon (at most ${MAX_ICON_LENGTH} characters)`;
+    }
+    return null;
+}
+
+function normalizeCategory({ name, color, icon }) {
+    return { name: name.trim(), color: color.toLowerCase(), icon: icon ? icon.trim() : null };
+}
+
+// The category of an imported annotation if this server has it; others are left out
+function knownCategory(category) {
+    return typeof category === 'string' && storage.getCategory(category) ? category : null;
+}
+
+app.get('/api/categories', (req, res) => {
+    try {
+        res.json(storage.listCategories());
+    } catch (error) {
+        console.error('Error listing categories:', error);
+        res.status(500).send('Failed to list categories');
+    }
+});
+
+app.post('/api/categories', auth.requireRole('admin'), (req, res) => {
+    const fields = req.body || {};
+
+    const validationError = validateCategory(fields);
+    if (validationError) {
+        return res.status(400).send(validationError);
+    }
+
+    try {
+        const category = { id: crypto.randomBytes(8).toString('hex'), ...normalizeCategory(fields) };
+        if (storage.findCategoryByName(category.name) || !storage.insertCategory(category)) {
+            return res.status(409).send('A category with this name already exists');
+        }
+        realtime.broadcastAll({ type: 'categories.changed' });
+
+        console.log(`✓ Category created: ${category.name}`);
+        res.status(201).json(storage.getCategory(category.id));
+    } catch (error) {
+        console.error('Error creating category:', error);
+        res.status(500).send('Failed to create category');
+    }
+});
+
+// Change a category's name, color and/or icon (null removes the icon)
+app.patch('/api/categories/:categoryId', auth.requireRole('admin'), (req, res) => {
+    try {
+        const existing = storage.getCategory(req.params.categoryId);
+        if (!existing) {
+            return res.status(404).send('Category not found');
+        }
+
+        const fields = { ...existing, ...req.body };
+        const validationError = validateCategory(fields);
+        if (validationError) {
+            return res.status(400).send(validationError);
+        }
+
+        const category = normalizeCategory(fields);
+        const sameName = storage.findCategoryByName(category.name);
+        if (sameName && sameName.id !== existing.id) {
+            return res.status(409).send('A category with this name already exists');
+        }
+
+        storage.updateCategory(existing.id, category);
+        realtime.broadcastAll({ type: 'categories.changed' });
+        res.json(storage.getCategory(existing.id));
+    } catch (error) {
+        console.error('Error updating category:', error);
+        res.status(500).send('Failed to update category');
+    }
+});
+
+// Delete a category; its annotations stay, without a category
+app.delete('/api/categories/:categoryId', auth.requireRole('admin'), (req, res) => {
+    const { categoryId } = req.params;
+
+    try {
+        const imageIds = storage.listCategoryImageIds(categoryId);
+        if (!storage.deleteCategory(categoryId)) {
+            return res.status(404).send('Category not found');
+        }
+        realtime.broadcastAll({ type: 'categories.changed' });
+        imageIds.forEach(imageId => realtime.broadcast(imageId, { type: 'annotations.changed' }));
+
+        console.log(`✓ Category ${categoryId} deleted`);
+        res.status(200).json({ message: `Category ${categoryId} deleted successfully` });
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        res.status(500).send('Failed to delete category');
+    }
+});
+
+// Full-text search across the names, NASA metadata and annotation text of the images the user can see
+app.get('/api/search', (req, res) => {
+    const { q: query } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_SEARCH_RESULTS : Number(req.query.limit);
+
+    if (!query || typeof query !== 'string' || !query.trim()) {
+        return res.status(400).send('Search query is required');
+    }
+
+    if (query.length > MAX_SEARCH_LENGTH) {
+        return res.status(400).send(`Search query must be ${MAX_SEARCH_LENGTH} characters or less`);
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+        return res.status(400).send(`limit must be between 1 and ${MAX_SEARCH_RESULTS}`);
+    }
+
+    try {
+        const results = storage.search(query, limit, req.user).map(hit => ({
+            type: hit.kind,
+            imageId: hit.image_id,
+            imageName: hit.image_name || hit.image_id,
+            rendition: hit.rendition || null,
+            annotationId: hit.annotation_id || null,
+            annotationType: hit.annotation_type || null,
+            title: toHighlightSegments(hit.title),
+            snippet: toHighlightSegments(hit.snippet),
+            score: -hit.score // bm25() is lower for better matches
+        }));
+
+        console.log(`Search "${query}": ${results.length} results`);
+        res.json({ query, results });
+    } catch (error) {
+        console.error('Error searching library:', error);
+        res.status(500).send('Failed to search library');
+    }
+});
+
+// Get the stored details of an image; NASA images include their metadata record.
+// NASA images registered before metadata was captured have it fetched on first request.
+app.get('/api/images/:id/metadata', async (req, res) => {
+    const imageId = req.params.id;
+
+    if (!imageId || imageId.length > 100) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    try {
+        const image = storage.getImage(imageId);
+        if (!image || !storage.canViewImage(req.user, imageId)) {
+            return res.status(404).send('Image not found');
+        }
+
+        if (image.source === 'nasa' && image.nasa_id && !image.metadata) {
+            try {
+                image.metadata = await fetchNasaMetadata(image.nasa_id);
+                storage.setImageMetadata(imageId, image.metadata);
+                console.log(`✓ NASA metadata captured for ${imageId}`);
+            } catch (error) {
+                console.warn(`Could not fetch NASA metadata for ${image.nasa_id}:`, error.message);
+            }
+        }
+
+        res.json({
+            id: image.id,
+            name: image.name,
+            source: image.source || null,
+            sourceUrl: image.sourceUrl || null,
+            rendition: image.rendition || null,
+            importedBy: image.importedBy || null,
+            visibility: image.visibility,
+            created: image.created,
+            nasa: image.source === 'nasa' && image.nasa_id
+                ? summarizeNasaMetadata(image.nasa_id, image.metadata || {})
+                : null
+        });
+
+    } catch (error) {
+        console.error('Error reading image metadata:', error);
+        res.status(500).send('Failed to read image metadata');
+    }
+});
+
+// Get NASA asset information
+app.get('/api/nasa/asset-info/:nasa_id', async (req, res) => {
+    const { nasa_id } = req.params;
+
+    if (!nasa_id || nasa_id.length > 100) {
+        return res.status(400).send('Invalid NASA ID');
+    }
+
+    console.log(`Fetching asset info for NASA ID: ${nasa_id}`);
+
+    try {
+        const renditions = await findNasaRenditions(nasa_id);
+
+        if (renditions.length === 0) {
+            return res.status(404).send('No downloadable image assets found');
+        }
+
+        // Sizes and dimensions let the user choose before starting a large download
+        const probes = await Promise.all(renditions.map(r => probeRemoteImage(r.url)));
+        const detailedRenditions = renditions.map((r, i) => ({ ...r, ...probes[i] }));
+
+        const original = detailedRenditions.find(r => r.rendition === 'orig');
+        const ordinary = detailedRenditions.find(r => r.rendition !== 'orig');
+
+        res.json({
+            renditions: detailedRenditions,
+            highResUrl: original ? original.url : null,
+            highResSizeMB: original && original.sizeMB !== null ? Math.round(original.sizeMB) : null,
+            ordinaryUrl: ordinary ? ordinary.url : null
+        });
+
+    } catch (error) {
+        console.error(`Error fetching asset info for ${nasa_id}:`, error.message);
+        if (error.response) {
+            res.status(error.response.status).send('Failed to fetch asset information from NASA');
+        } else {
+            res.status(500).send('Failed to fetch asset information');
+        }
+    }
+});
+
+// Process NASA image (queued as a background job)
+app.post('/api/process-nasa-image', auth.requireRole('annotator'), async (req, res) => {
+    const { nasa_id, title, imageUrl, description, rendition } = req.body;
+
+    console.log(`\n=== NASA Image Processing Request ===`);
+    console.log(`NASA ID: ${nasa_id}`);
+    console.log(`Title: ${title}`);
+
+    // Validate inputs
+    if (!nasa_id || typeof nasa_id !== 'string' || nasa_id.length > 100) {
+        return res.status(400).send('Invalid NASA ID');
+    }
+
+    if (!title || typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
+        return res.status(400).send('Invalid or missing title');
+    }
+
+    if (imageUrl && !isValidUrl(imageUrl)) {
+        return res.status(400).send('Invalid image URL');
+    }
+
+    if (description !== undefined && typeof description !== 'string') {
+        return res.status(400).send('Invalid description');
+    }
+
+    if (rendition !== undefined && !NASA_RENDITIONS.includes(rendition)) {
+        return res.status(400).send(`Invalid rendition (expected one of: ${NASA_RENDITIONS.join(', ')})`);
+    }
+
+    // Each chosen rendition is its own image, so a higher resolution can be tiled later;
+    // requests without one keep the original id of md5(nasa_id)
+    const imageId = crypto.createHash('md5')
+        .update(rendition ? `${nasa_id}~${rendition}` : nasa_id)
+        .digest('hex');
+    const relativeDziPath = `gigaimages/${imageId}/tiles.dzi`;
+
+    try {
+        if (storage.getTrashedImage(imageId)) {
+            return res.status(409).send('This image is in the trash; restore it from there');
+        }
+
+        // Check if already processed
+        if (await isImageTiled(imageId)) {
+            console.log(`✓ Image already processed, serving from cache`);
+            return res.json({ id: imageId, path: relativeDziPath });
+        }
+
+        const job = findActiveJob(imageId) || enqueueJob('nasa', imageId, {
+            nasa_id,
+            title: sanitizeFilename(title),
+            // With a rendition the URL is looked up from NASA's asset list, not taken from the client
+            imageUrl: rendition ? null : (imageUrl || null),
+            // Some NASA descriptions run long; keep the start rather than refusing the image
+            description: description ? description.slice(0, MAX_DESCRIPTION_LENGTH) : null,
+            rendition: rendition || null
+        }, req.user.id);
+
+        res.status(202).json(serializeJob(job));
+
+    } catch (error) {
+        console.error('Error queueing NASA image:', error.message);
+        res.status(500).send(`Failed to process NASA image: ${error.message}`);
+    }
+});
+
+// Process image from direct URL (queued as a background job)
+app.post('/api/process-url', auth.requireRole('annotator'), async (req, res) => {
+    const { imageUrl } = req.body;
+
+    console.log(`\n=== URL Processing Request ===`);
+    console.log(`URL: ${imageUrl}`);
+
+    // Validate URL
+    if (!imageUrl || typeof imageUrl !== 'string') {
+        return res.status(400).send('Image URL is required');
+    }
+
+    if (imageUrl.length > MAX_URL_LENGTH) {
+        return res.status(400).send('URL is too long');
+    }
+
+    if (!isValidUrl(imageUrl)) {
+        return res.status(400).send('Invalid URL format');
+    }
+
+    try {
+        const imageId = crypto.createHash('md5').update(imageUrl).digest('hex');
+        const relativeDziPath = `gigaimages/${imageId}/tiles.dzi`;
+        const title = sanitizeFilename(path.basename(new URL(imageUrl).pathname) || 'image');
+
+        if (storage.getTrashedImage(imageId)) {
+            return res.status(409).send('This image is in the trash; restore it from there');
+        }
+
+        // Check if already processed
+        if (await isImageTiled(imageId)) {
+            console.log(`✓ Image already processed, serving from cache`);
+            return res.json({ id: imageId, path: relativeDziPath });
+        }
+
+        const job = findActiveJob(imageId) || enqueueJob('url', imageId, {
+            imageUrl,
+            title,
+            tempExtension: path.extname(title) || '.tmp'
+        }, req.user.id);
+
+        res.status(202).json(serializeJob(job));
+
+    } catch (error) {
+        console.error('Error queueing URL:', error.message);
+        res.status(500).send(`Failed to process image from URL: ${error.message}`);
+    }
+});
+
+// Stream one uploaded file into data/, hashing it on the way. Resolves with
+// { partPath, imageId, size }; the image id is the MD5 of the file contents.
+function receiveUpload(fileStream) {
+    const partPath = path.join(dataPath, `upload-${crypto.randomBytes(8).toString('hex')}.part`);
+    const writer = require('fs').createWriteStream(partPath);
+    const hash = crypto.createHash('md5');
+    let header = Buffer.alloc(0);
+    let size = 0;
+
+    return new Promise((resolve, reject) => {
+        const fail = (error) => {
+            fileStream.resume();
+            writer.destroy();
+            fs.unlink(partPath).catch(() => {}).then(() => reject(error));
+        };
+
+        fileStream.on('data', (chunk) => {
+            hash.update(chunk);
+            size += chunk.length;
+
+            if (header.length < 8) {
+                header = Buffer.concat([header, chunk]).subarray(0, 8);
+                if (header.length === 8 && !hasImageSignature(header)) {
+                    fileStream.unpipe(writer);
+                    fail(Object.assign(new Error('The file is not a supported image'), { status: 400 }));
+                }
+            }
+        });
+
+        fileStream.on('limit', () => {
+            fileStream.unpipe(writer);
+            fail(Object.assign(
+                new Error(`File exceeds the ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)}MB upload limit`),
+                { status: 413 }
+            ));
+        });
+
+        fileStream.on('error', fail);
+        writer.on('error', fail);
+        writer.on('finish', () => {
+            if (size === 0 || !hasImageSignature(header)) {
+                fail(Object.assign(new Error('The file is not a supported image'), { status: 400 }));
+                return;
+            }
+            resolve({ partPath, imageId: hash.digest('hex'), size });
+        });
+
+        fileStream.pipe(writer);
+    });
+}
+
+// Upload an image from disk (multipart/form-data with a `file` part and an optional `title` field)
+app.post('/api/upload', auth.requireRole('annotator'), (req, res) => {
+    console.log(`\n=== Upload Request ===`);
+
+    let busboy;
+    try {
+        busboy = Busboy({ headers: req.headers, limits: { files: 1, fields: 5, fileSize: MAX_UPLOAD_SIZE } });
+    } catch (error) {
+        return res.status(400).send('Expected a multipart/form-data upload');
+    }
+
+    let title = null;
+    let fileName = null;
+    let upload = null;
+    let rejection = null;
+
+    busboy.on('field', (name, value) => {
+        if (name === 'title' && value.trim()) {
+            title = value.trim().slice(0, MAX_TITLE_LENGTH);
+        }
+    });
+
+    busboy.on('file', (name, fileStream, info) => {
+        const extension = path.extname(info.filename || '').toLowerCase();
+
+        if (name !== 'file' || upload) {
+            fileStream.resume();
+            return;
+        }
+
+        if (!UPLOAD_EXTENSIONS.includes(extension)) {
+            rejection = { status: 400, message: `Unsupported file type. Allowed: ${UPLOAD_EXTENSIONS.join(', ')}` };
+            fileStream.resume();
+            return;
+        }
+
+        fileName = sanitizeFilename(info.filename);
+        console.log(`File: ${fileName}`);
+        upload = receiveUpload(fileStream);
+        // Errors are reported once the whole request has been read
+        upload.catch(() => {});
+    });
+
+    busboy.on('error', (error) => {
+        console.error('Upload stream error:', error.message);
+        if (!res.headersSent) {
+            res.status(400).send('Malformed upload');
+        }
+    });
+
+    busboy.on('close', async () => {
+        if (res.headersSent) return;
+        if (rejection) {
+            return res.status(rejection.status).send(rejection.message);
+        }
+        if (!upload) {
+            return res.status(400).send('No file was uploaded');
+        }
+
+        let received;
+        try {
+            received = await upload;
+        } catch (error) {
+            console.error('Upload failed:', error.message);
+            return res.status(error.status || 500).send(error.status ? error.message : 'Failed to save upload');
+        }
+
+        const { partPath, imageId, size } = received;
+        const relativeDziPath = `gigaimages/${imageId}/tiles.dzi`;
+        console.log(`✓ Received ${Math.round(size / 1024 / 1024)}MB (image ${imageId})`);
+
+        try {
+            if (storage.getTrashedImage(imageId)) {
+                await cleanupTempFile(partPath);
+                return res.status(409).send('This image is in the trash; restore it from there');
+            }
+
+            // The same file was uploaded before
+            if (await isImageTiled(imageId)) {
+                await cleanupTempFile(partPath);
+                console.log(`✓ Image already processed, serving from cache`);
+                return res.json({ id: imageId, path: relativeDziPath });
+            }
+
+            const activeJob = findActiveJob(imageId);
+            if (activeJob) {
+                await cleanupTempFile(partPath);
+                return res.status(202).json(serializeJob(activeJob));
+            }
+
+            const tempExtension = path.extname(fileName);
+            await fs.rename(partPath, path.join(dataPath, `${imageId}_temp${tempExtension}`));
+
+            const job = enqueueJob('upload', imageId, { title: title || fileName, tempExtension }, req.user.id);
+            res.status(202).json(serializeJob(job));
+
+        } catch (error) {
+            await cleanupTempFile(partPath);
+            console.error('Error queueing upload:', error.message);
+            res.status(500).send(`Failed to process upload: ${error.message}`);
+        }
+    });
+
+    req.pipe(busboy);
+});
+
+// Jobs are visible to the user who queued them and to admins
+function canSeeJob(user, job) {
+    return auth.hasRole(user, 'admin') || (!!user && job.userId === user.id);
+}
+
+// List recent processing jobs: the user's own, or every job for admins
+app.get('/api/jobs', (req, res) => {
+    const allJobs = Array.from(jobs.values())
+        .filter(job => canSeeJob(req.user, job))
+        .map(serializeJob)
+        .sort((a, b) => b.created.localeCompare(a.created));
+    res.json(allJobs);
+});
+
+// Get the status of a processing job
+app.get('/api/jobs/:jobId', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+
+    // Someone else's job is reported as missing rather than forbidden
+    if (!job || !canSeeJob(req.user, job)) {
+        return res.status(404).send('Job not found');
+    }
+
+    res.json(serializeJob(job));
+});
+
+// Stream job progress as server-sent events until the job finishes
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+
+    if (!job || !canSeeJob(req.user, job)) {
+        return res.status(404).send('Job not found');
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    send(serializeJob(job));
+
+    if (!isJobActive(job)) {
+        return res.end();
+    }
+
+    // Comment lines keep proxies from closing an idle stream during long tiling runs
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    const listener = (data) => {
+        send(data);
+        if (!isJobActive(data)) {
+            stopListening();
+            res.end();
+        }
+    };
+
+    function stopListening() {
+        clearInterval(heartbeat);
+        jobEvents.removeListener(job.id, listener);
+    }
+
+    jobEvents.on(job.id, listener);
+    req.on('close', stopListening);
+});
+
+// Search the NASA image archive; filters and paging map onto the NASA Images API search parameters
+app.get('/api/nasa/search', async (req, res) => {
+    const { q: query, center, year_start: yearStart, year_end: yearEnd, keywords, photographer } = req.query;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const textFilters = { q: query, keywords, photographer };
+    const currentYear = new Date().getFullYear();
+
+    for (const [name, value] of Object.entries(textFilters)) {
+        if (value !== undefined && (typeof value !== 'string' || value.length > 200)) {
+            return res.status(400).send(`Invalid ${name} parameter`);
+        }
+    }
+
+    if (!query && !keywords && !photographer && !center) {
+        return res.status(400).send('Search query is required');
+    }
+
+    if (query && query.length < 2) {
+        return res.status(400).send('Search query must be at least 2 characters');
+    }
+
+    if (center !== undefined && (typeof center !== 'string' || !/^[A-Za-z0-9-]{1,20}$/.test(center))) {
+        return res.status(400).send('Invalid center parameter');
+    }
+
+    for (const [name, value] of [['year_start', yearStart], ['year_end', yearEnd]]) {
+        if (value !== undefined && (!/^\d{4}$/.test(value) || Number(value) < 1900 || Number(value) > currentYear + 1)) {
+            return res.status(400).send(`Invalid ${name} parameter`);
+        }
+    }
+
+    if (yearStart && yearEnd && Number(yearStart) > Number(yearEnd)) {
+        return res.status(400).send('year_start must not be after year_end');
+    }
+
+    if (!Number.isInteger(page) || page < 1 || page > NASA_MAX_RESULTS / NASA_PAGE_SIZE) {
+        return res.status(400).send('Invalid page parameter');
+    }
+
+    console.log(`NASA search: ${JSON.stringify({ ...req.query, page })}`);
+
+    try {
+        const nasaApiUrl = `${NASA_IMAGES_API_URL}/search`;
+        const response = await axios.get(nasaApiUrl, {
+            params: {
+                q: query || undefined,
+                center: center || undefined,
+                year_start: yearStart || undefined,
+                year_end: yearEnd || undefined,
+                keywords: keywords || undefined,
+                photographer: photographer || undefined,
+                media_type: 'image',
+                page,
+                page_size: NASA_PAGE_SIZE
+            },
+            timeout: 10000
+        });
+
+        const collection = response.data && response.data.collection;
+        if (!collection || !Array.isArray(collection.items)) {
+            return res.json({ items: [], totalHits: 0, page, nextPage: null });
+        }
+
+        const items = collection.items
+            .map(item => {
+                if (!item.data || !item.data[0]) return null;
+                return {
+                    nasa_id: item.data[0].nasa_id,
+                    title: item.data[0].title || 'Untitled',
+                    thumbnail: item.links && item.links[0] ? item.links[0].href : null,
+                    description: item.data[0].description || '',
+                    center: item.data[0].center || null,
+                    date_created: item.data[0].date_created || null
+                };
+            })
+            .filter(item => item && item.nasa_id && item.thumbnail);
+
+        const totalHits = (collection.metadata && collection.metadata.total_hits) || 0;
+        const hasNext = Array.isArray(collection.links) && collection.links.some(link => link.rel === 'next');
+        const nextPage = hasNext && page * NASA_PAGE_SIZE < NASA_MAX_RESULTS ? page + 1 : null;
+
+        console.log(`Found ${items.length} results on page ${page} (${totalHits} total)`);
+        res.json({ items, totalHits, page, nextPage });
+
+    } catch (error) {
+        console.error('NASA API search error:', error.message);
+        if (error.response) {
+            res.status(error.response.status).send('NASA API error');
+        } else {
+            res.status(500).send('Failed to search NASA images');
+        }
+    }
+});
+
+// Get annotations for an image
+app.get('/api/images/:id/annotations', async (req, res) => {
+    const imageId = req.params.id;
+
+    if (!imageId || imageId.length > 100) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    console.log(`Fetching annotations for image: ${imageId}`);
+
+    try {
+        if (!storage.canViewImage(req.user, imageId)) {
+            return res.status(404).send('Image not found');
+        }
+        res.json(storage.listAnnotations(imageId));
+    } catch (error) {
+        console.error('Error reading annotations:', error);
+        res.status(500).send('Failed to read annotations');
+    }
+});
+
+// Save annotation for an image
+app.post('/api/images/:id/annotations', auth.requireRole('annotator'), async (req, res) => {
+    const imageId = req.params.id;
+    const annotation = req.body;
+
+    if (!imageId || imageId.length > 100) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    // Validate annotation
+    const validationError = validateAnnotation(annotation);
+    if (validationError) {
+        return res.status(400).send(validationError);
+    }
+
+    console.log(`Saving annotation for image: ${imageId}`);
+
+    try {
+        if (!storage.canViewImage(req.user, imageId)) {
+            return res.status(404).send('Image not found');
+        }
+
+        const now = new Date().toISOString();
+        const savedAnnotation = { ...normalizeAnnotation(annotation), authorId: req.user.id, created: now, updated: now };
+        const inserted = storage.transaction(() => {
+            if (!storage.insertAnnotation(imageId, savedAnnotation)) {
+                return false;
+            }
+            storage.recordAnnotationChange(imageId, savedAnnotation.id, {
+                action: 'create', userId: req.user.id, before: null, after: savedAnnotation
+            });
+            return true;
+        });
+        if (!inserted) {
+            return res.status(409).send('An annotation with this ID already exists');
+        }
+
+        const saved = storage.getAnnotation(imageId, savedAnnotation.id);
+        realtime.broadcast(imageId, { type: 'annotation.created', annotation: saved });
+
+        console.log(`✓ Annotation saved by ${req.user.username}`);
+        res.status(201).json(saved);
+
+    } catch (error) {
+        console.error('Error saving annotation:', error);
+        res.status(500).send('Failed to save annotation');
+    }
+});
+
+// Export an image's annotations as a W3C Web Annotation collection (JSON-LD)
+app.get('/api/images/:id/annotations/export', async (req, res) => {
+    const imageId = req.params.id;
+
+    if (!imageId || imageId.length > 100) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    console.log(`Exporting annotations for image: ${imageId}`);
+
+    try {
+        if (!storage.canViewImage(req.user, imageId)) {
+            return res.status(404).send('Image not found');
+        }
+
+        const image = storage.getImage(imageId);
+        const baseUrl = getBaseUrl(req);
+
+        const collection = toAnnotationCollection({
+            id: `${baseUrl}/api/images/${imageId}/annotations/export`,
+            label: image ? image.name : imageId,
+            source: `${baseUrl}/gigaimages/${imageId}/tiles.dzi`,
+            annotationBaseUrl: `${baseUrl}/api/images/${imageId}/annotations`,
+            annotations: storage.listAnnotations(imageId)
+        });
+
+        res.type('application/ld+json; profile="http://www.w3.org/ns/anno.jsonld"');
+        res.send(JSON.stringify(collection, null, 2));
+
+    } catch (error) {
+        console.error('Error exporting annotations:', error);
+        res.status(500).send('Failed to export annotations');
+    }
+});
+
+// Import W3C Web Annotations (a collection, page, single annotation or array).
+// Annotations whose id matches an existing one replace it, so re-importing an export is idempotent.
+app.post('/api/images/:id/annotations/import', auth.requireRole('annotator'), async (req, res) => {
+    const imageId = req.params.id;
+
+    if (!imageId || imageId.length > 100) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    let candidates;
+    try {
+        candidates = fromWebAnnotationDocument(req.body);
+    } catch (error) {
+        return res.status(400).send(error.message);
+    }
+
+    if (candidates.length > MAX_IMPORT_ANNOTATIONS) {
+        return res.status(400).send(`Too many annotations (maximum ${MAX_IMPORT_ANNOTATIONS})`);
+    }
+
+    console.log(`Importing ${candidates.length} annotation(s) for image: ${imageId}`);
+
+    try {
+        if (!storage.canViewImage(req.user, imageId)) {
+            return res.status(404).send('Image not found');
+        }
+
+        const result = { imported: 0, updated: 0, skipped: [] };
+        const now = new Date().toISOString();
+
+        storage.transaction(() => candidates.forEach((candidate, index) => {
+            if (candidate.error) {
+                result.skipped.push({ index, reason: candidate.error });
+                return;
+            }
+
+            const validId = isValidAnnotationId(candidate.sourceId);
+            const annotation = {
+                ...candidate.annotation,
+                category: knownCategory(candidate.annotation.category),
+                text: candidate.annotation.text || 'Imported annotation',
+                id: validId ? candidate.sourceId : `import-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`
+            };
+
+            const validationError = validateAnnotation(annotation);
+            if (validationError) {
+                result.skipped.push({ index, reason: validationError });
+                return;
+            }
+
+            // Only annotations the user may edit are replaced
+            const existing = storage.getAnnotation(imageId, annotation.id);
+            if (existing && !auth.canEditAnnotation(req.user, existing)) {
+                result.skipped.push({ index, reason: 'An annotation with this ID belongs to another user' });
+                return;
+            }
+
+            // Imported annotations are credited to the user importing them
+            const stored = { ...normalizeAnnotation(annotation), authorId: req.user.id, created: now, updated: now };
+            if (existing) {
+                storage.updateAnnotation(imageId, stored);
+                result.updated++;
+            } else {
+                storage.insertAnnotation(imageId, stored);
+                result.imported++;
+            }
+            storage.recordAnnotationChange(imageId, stored.id, {
+                action: existing ? 'update' : 'create', userId: req.user.id, before: existing, after: stored
+            });
+        }));
+
+        if (result.imported > 0 || result.updated > 0) {
+            realtime.broadcast(imageId, { type: 'annotations.changed' });
+        }
+
+        console.log(`✓ Imported ${result.imported}, updated ${result.updated}, skipped ${result.skipped.length}`);
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error importing annotations:', error);
+        res.status(500).send('Failed to import annotations');
+    }
+});
+
+// Update an annotation: PUT replaces its text, type and point/geometry,
+// PATCH merges the fields sent into the stored annotation
+async function updateAnnotation(req, res, partial) {
+    const { id: imageId, annotationId } = req.params;
+    const changes = req.body;
+
+    if (!imageId || imageId.length > 100) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    if (!annotationId || annotationId.length > 100) {
+        return res.status(400).send('Invalid annotation ID');
+    }
+
+    if (!changes || typeof changes !== 'object') {
+        return res.status(400).send('Invalid annotation data');
+    }
+
+    if (changes.id !== undefined && changes.id !== annotationId) {
+        return res.status(400).send('Annotation ID cannot be changed');
+    }
+
+    console.log(`Updating annotation ${annotationId} for image: ${imageId}`);
+
+    try {
+        const existing = storage.canViewImage(req.user, imageId) ? storage.getAnnotation(imageId, annotationId) : null;
+
+        if (!existing) {
+            return res.status(404).send('Annotation not found');
+        }
+
+        if (!auth.canEditAnnotation(req.user, existing)) {
+            return res.status(403).send('Only the author of an annotation or an admin can change it');
+        }
+
+        const candidate = partial
+            ? { ...existing, ...changes, id: annotationId }
+            : { ...changes, id: annotationId };
+
+        // Switching a pin to a shape (or back) drops the other kind of coordinates
+        if (partial && changes.type !== undefined && changes.type !== (existing.type || 'point')) {
+            if (changes.point === undefined) delete candidate.point;
+            if (changes.geometry === undefined) delete candidate.geometry;
+        }
+
+        // Same validation as the POST route
+        const validationError = validateAnnotation(candidate);
+        if (validationError) {
+            return res.status(400).send(validationError);
+        }
+
+        const annotation = normalizeAnnotation(candidate);
+        storage.transaction(() => {
+            storage.updateAnnotation(imageId, { ...annotation, updated: new Date().toISOString() });
+            storage.recordAnnotationChange(imageId, annotationId, {
+                action: 'update', userId: req.user.id, before: existing, after: annotation
+            });
+        });
+
+        const saved = storage.getAnnotation(imageId, annotationId);
+        realtime.broadcast(imageId, { type: 'annotation.updated', annotation: saved });
+
+        console.log(`✓ Annotation updated by ${req.user.username}`);
+        res.json(saved);
+
+    } catch (error) {
+        console.error('Error updating annotation:', error);
+        res.status(500).send('Failed to update annotation');
+    }
+}
+
+app.put('/api/images/:id/annotations/:annotationId', auth.requireRole('annotator'), (req, res) => updateAnnotation(req, res, false));
+app.patch('/api/images/:id/annotations/:annotationId', auth.requireRole('annotator'), (req, res) => updateAnnotation(req, res, true));
+
+// Move an annotation to the trash
+app.delete('/api/images/:id/annotations/:annotationId', auth.requireRole('annotator'), async (req, res) => {
+    const { id: imageId, annotationId } = req.params;
+
+    if (!imageId || imageId.length > 100) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    if (!annotationId || annotationId.length > 100) {
+        return res.status(400).send('Invalid annotation ID');
+    }
+
+    console.log(`Deleting annotation ${annotationId} for image: ${imageId}`);
+
+    try {
+        const existing = storage.canViewImage(req.user, imageId) ? storage.getAnnotation(imageId, annotationId) : null;
+
+        if (!existing) {
+            return res.status(404).send('Annotation not found');
+        }
+
+        if (!auth.canEditAnnotation(req.user, existing)) {
+            return res.status(403).send('Only the author of an annotation or an admin can delete it');
+        }
+
+        storage.transaction(() => {
+            storage.trashAnnotation(imageId, annotationId, req.user.id);
+            storage.recordAnnotationChange(imageId, annotationId, {
+                action: 'delete', userId: req.user.id, before: existing, after: null
+            });
+        });
+        realtime.broadcast(imageId, { type: 'annotation.deleted', annotationId });
+
+        console.log(`✓ Annotation moved to trash`);
+        res.status(200).json({ message: `Annotation ${annotationId} deleted successfully` });
+
+    } catch (error) {
+        console.error('Error deleting annotation:', error);
+        res.status(500).send('Failed to delete annotation');
+    }
+});
+
+// Versioned history of an annotation, also after it was deleted
+app.get('/api/images/:id/annotations/:annotationId/history', (req, res) => {
+    const { id: imageId, annotationId } = req.params;
+
+    if (!imageId || imageId.length > 100) {
+        return res.status(400).send('Invalid image ID');
+    }
+
+    if (!annotationId || annotationId.length > 100) {
+        return res.status(400).send('Invalid annotation ID');
+    }
+
+    try {
+        if (!storage.canViewImage(req.user, imageId)) {
+            return res.status(404).send('Image not found');
+        }
+
+        const changes = storage.listAnnotationChanges(imageId, annotationId);
+        if (changes.length === 0 && !storage.getAnnotation(imageId, annotationId)) {
+            return res.status(404).send('Annotation not found');
+        }
+        res.json(changes);
     } catch (error) {
-        console.error('Error listing images:', error);
-        res.status(500).send('Failed to list images');
+        console.error('Error reading annotation history:', error);
+        res.status(500).send('Failed to read annotation history');
     }
 });
 
-// Get NASA asset information
-app.get('/api/nasa/asset-info/:nasa_id', async (req, res) => {
-    const { nasa_id } = req.params;
+// --- Annotation comments ---
+// Threads of comments on an annotation. Replies always belong to a thread, never to another reply;
+// the thread is resolved or reopened as a whole. Everyone on the image is told of changes so open
+// comment popovers can refresh.
 
-    if (!nasa_id || nasa_id.length > 100) {
-        return res.status(400).send('Invalid NASA ID');
+// The annotation at :id/:annotationId if the user may see it; sends the error response otherwise
+function findCommentedAnnotation(req, res) {
+    const { id: imageId, annotationId } = req.params;
+
+    if (!imageId || imageId.length > 100) {
+        res.status(400).send('Invalid image ID');
+        return null;
     }
 
-    console.log(`Fetching asset info for NASA ID: ${nasa_id}`);
+    if (!annotationId || annotationId.length > 100) {
+        res.status(400).send('Invalid annotation ID');
+        return null;
+    }
+
+    const annotation = storage.canViewImage(req.user, imageId) ? storage.getAnnotation(imageId, annotationId) : null;
+    if (!annotation) {
+        res.status(404).send('Annotation not found');
+        return null;
+    }
+    return annotation;
+}
+
+// Returns an error message, or null if the comment text is acceptable
+function validateCommentBody(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return 'Comment text is required';
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        return `Comment too long (max ${MAX_COMMENT_LENGTH} characters)`;
+    }
+    return null;
+}
 
+// Get the comment threads of an annotation
+app.get('/api/images/:id/annotations/:annotationId/comments', (req, res) => {
     try {
-        const assetUrl = `https://images-api.nasa.gov/asset/${encodeURIComponent(nasa_id)}`;
-        const response = await axios.get(assetUrl, { timeout: 10000 });
+        if (!findCommentedAnnotation(req, res)) return;
 
-        if (!response.data || !response.data.collection || !response.data.collection.items) {
-            return res.status(404).send('No assets found for this NASA ID');
-        }
+        res.json(storage.listCommentThreads(req.params.id, req.params.annotationId));
+    } catch (error) {
+        console.error('Error reading comments:', error);
+        res.status(500).send('Failed to read comments');
+    }
+});
 
-        const items = response.data.collection.items;
+// Start a thread, or reply to one with a parentId
+app.post('/api/images/:id/annotations/:annotationId/comments', auth.requireRole('annotator'), (req, res) => {
+    const { id: imageId, annotationId } = req.params;
+    const { body, parentId } = req.body || {};
 
-        // Find different resolution options
-        const highResItem = items.find(item => 
-            item.href && (item.href.includes('~orig.tif') || item.href.includes('~orig.jpg'))
-        );
-        const largeItem = items.find(item => item.href && item.href.includes('~large.jpg'));
-        const mediumItem = items.find(item => item.href && item.href.includes('~medium.jpg'));
-        const firstJpgItem = items.find(item => item.href && item.href.toLowerCase().endsWith('.jpg'));
+    const validationError = validateCommentBody(body);
+    if (validationError) {
+        return res.status(400).send(validationError);
+    }
 
-        const ordinaryUrl = largeItem?.href || mediumItem?.href || firstJpgItem?.href;
+    if (parentId !== undefined && parentId !== null && (typeof parentId !== 'string' || parentId.length > 100)) {
+        return res.status(400).send('Invalid parentId');
+    }
 
-        if (!highResItem && !ordinaryUrl) {
-            return res.status(404).send('No downloadable image assets found');
-        }
+    try {
+        if (!findCommentedAnnotation(req, res)) return;
 
-        // Try to get file size for high-res image
-        let highResSizeMB = null;
-        if (highResItem) {
-            try {
-                const headResponse = await axios.head(highResItem.href, { timeout: 5000 });
-                const contentLength = headResponse.headers['content-length'];
-                if (contentLength) {
-                    highResSizeMB = Math.round(contentLength / (1024 * 1024));
-                }
-            } catch (headError) {
-                console.log(`Could not fetch file size for ${highResItem.href}`);
+        let threadId = null;
+        if (parentId) {
+            const parent = storage.getComment(imageId, annotationId, parentId);
+            if (!parent) {
+                return res.status(404).send('Comment to reply to not found');
             }
+            threadId = parent.parentId || parent.id;
         }
 
-        res.json({
-            highResUrl: highResItem?.href || null,
-            highResSizeMB: highResSizeMB,
-            ordinaryUrl: ordinaryUrl || null
+        const comment = storage.insertComment(imageId, annotationId, {
+            id: crypto.randomBytes(8).toString('hex'),
+            parentId: threadId,
+            authorId: req.user.id,
+            body: body.trim()
         });
+        realtime.broadcast(imageId, { type: 'comments.changed', annotationId });
 
+        console.log(`✓ Comment added by ${req.user.username}`);
+        res.status(201).json(comment);
     } catch (error) {
-        console.error(`Error fetching asset info for ${nasa_id}:`, error.message);
-        if (error.response) {
-            res.status(error.response.status).send('Failed to fetch asset information from NASA');
-        } else {
-            res.status(500).send('Failed to fetch asset information');
-        }
+        console.error('Error saving comment:', error);
+        res.status(500).send('Failed to save comment');
     }
 });
 
-// Process NASA image
-app.post('/api/process-nasa-image', async (req, res) => {
-    const { nasa_id, title, imageUrl } = req.body;
+// Edit a comment's text (its author or an admin) and/or resolve or reopen a thread (any annotator)
+app.patch('/api/images/:id/annotations/:annotationId/comments/:commentId', auth.requireRole('annotator'), (req, res) => {
+    const { id: imageId, annotationId, commentId } = req.params;
+    const { body, resolved } = req.body || {};
 
-    console.log(`\n=== NASA Image Processing Request ===`);
-    console.log(`NASA ID: ${nasa_id}`);
-    console.log(`Title: ${title}`);
-
-    // Validate inputs
-    if (!nasa_id || typeof nasa_id !== 'string' || nasa_id.length > 100) {
-        return res.status(400).send('Invalid NASA ID');
+    if (body === undefined && resolved === undefined) {
+        return res.status(400).send('Nothing to change (expected body and/or resolved)');
     }
 
-    if (!title || typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
-        return res.status(400).send('Invalid or missing title');
+    if (body !== undefined) {
+        const validationError = validateCommentBody(body);
+        if (validationError) {
+            return res.status(400).send(validationError);
+        }
     }
 
-    if (imageUrl && !isValidUrl(imageUrl)) {
-        return res.status(400).send('Invalid image URL');
+    if (resolved !== undefined && typeof resolved !== 'boolean') {
+        return res.status(400).send('resolved must be true or false');
     }
 
-    const imageId = crypto.createHash('md5').update(nasa_id).digest('hex');
-    const imageFolderPath = path.join(gigaImagesPath, imageId);
-    const dziPath = path.join(imageFolderPath, 'tiles.dzi');
-    const relativeDziPath = `gigaimages/${imageId}/tiles.dzi`;
-    const tempImagePath = path.join(dataPath, `${imageId}_temp`);
-
     try {
-        // Check if already processed
-        try {
-            await fs.access(dziPath);
-            console.log(`✓ Image already processed, serving from cache`);
-            return res.json({ id: imageId, path: relativeDziPath });
-        } catch (e) {
-            console.log(`Processing new image...`);
-        }
-
-        // Find image URL if not provided
-        let finalImageUrl = imageUrl;
-        if (!finalImageUrl) {
-            console.log(`Finding best available image URL...`);
-            const assetUrl = `https://images-api.nasa.gov/asset/${encodeURIComponent(nasa_id)}`;
-            const assetResponse = await axios.get(assetUrl, { timeout: 10000 });
-            const items = assetResponse.data.collection.items;
+        if (!findCommentedAnnotation(req, res)) return;
 
-            const originalImageUrlItem = items.find(item => 
-                item.href && (item.href.includes('~orig.tif') || item.href.includes('~orig.jpg'))
-            );
-            const largeImageUrlItem = items.find(item => item.href && item.href.includes('~large.jpg'));
-            const firstJpgItem = items.find(item => item.href && item.href.toLowerCase().endsWith('.jpg'));
-
-            finalImageUrl = originalImageUrlItem?.href || largeImageUrlItem?.href || firstJpgItem?.href;
+        const comment = storage.getComment(imageId, annotationId, commentId);
+        if (!comment) {
+            return res.status(404).send('Comment not found');
         }
 
-        if (!finalImageUrl) {
-            throw new Error('Could not find a downloadable image URL');
+        if (body !== undefined && !auth.canEditComment(req.user, comment)) {
+            return res.status(403).send('Only the author of a comment or an admin can change it');
         }
 
-        console.log(`Image URL: ${finalImageUrl}`);
+        if (resolved !== undefined && comment.parentId) {
+            return res.status(400).send('Only a thread can be resolved, not a reply');
+        }
 
-        // Download the image
-        console.log(`Downloading image...`);
-        const writer = require('fs').createWriteStream(tempImagePath);
-        const downloadResponse = await axios({
-            url: finalImageUrl,
-            method: 'GET',
-            responseType: 'stream',
-            timeout: REQUEST_TIMEOUT,
-            maxContentLength: 1024 * 1024 * 1024 // 1GB max
+        storage.transaction(() => {
+            if (body !== undefined) {
+                storage.updateCommentBody(commentId, body.trim());
+            }
+            if (resolved !== undefined) {
+                storage.setCommentResolved(commentId, resolved, req.user.id);
+            }
         });
+        realtime.broadcast(imageId, { type: 'comments.changed', annotationId });
 
-        downloadResponse.data.pipe(writer);
-
-        await new Promise((resolve, reject) => {
-            writer.on('finish', () => {
-                console.log(`✓ Download complete`);
-                resolve();
-            });
-            writer.on('error', reject);
-        });
+        console.log(`✓ Comment updated by ${req.user.username}`);
+        res.json(storage.getComment(imageId, annotationId, commentId));
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).send('Failed to update comment');
+    }
+});
 
-        // Process with VIPS
-        await fs.mkdir(imageFolderPath, { recursive: true });
-        const vipsCommand = `vips dzsave "${tempImagePath}" "${path.join(imageFolderPath, 'tiles')}"`;
-        console.log(`Processing with VIPS...`);
-
-        const { stdout, stderr } = await execAsync(vipsCommand, { timeout: REQUEST_TIMEOUT });
-        if (stderr) {
-            console.log(`VIPS stderr: ${stderr}`);
-        }
-        console.log(`✓ VIPS processing complete`);
-
-        // Update databases
-        console.log(`Updating databases...`);
-        const imagesDb = await readJsonFile(imagesDbPath, []);
-        const annotationsDb = await readJsonFile(annotationsDbPath, {});
-
-        if (!imagesDb.find(img => img.id === imageId)) {
-            imagesDb.push({
-                id: imageId,
-                name: sanitizeFilename(title),
-                path: relativeDziPath,
-                source: 'nasa',
-                nasa_id: nasa_id,
-                created: new Date().toISOString()
-            });
+// Delete a comment; deleting the first comment of a thread deletes its replies
+app.delete('/api/images/:id/annotations/:annotationId/comments/:commentId', auth.requireRole('annotator'), (req, res) => {
+    const { id: imageId, annotationId, commentId } = req.params;
 
-            if (!annotationsDb[imageId]) {
-                annotationsDb[imageId] = [];
-            }
+    try {
+        if (!findCommentedAnnotation(req, res)) return;
 
-            await writeJsonFile(imagesDbPath, imagesDb);
-            await writeJsonFile(annotationsDbPath, annotationsDb);
+        const comment = storage.getComment(imageId, annotationId, commentId);
+        if (!comment) {
+            return res.status(404).send('Comment not found');
         }
 
-        console.log(`✓ Databases updated`);
-        console.log(`=== Processing Complete ===\n`);
+        if (!auth.canEditComment(req.user, comment)) {
+            return res.status(403).send('Only the author of a comment or an admin can delete it');
+        }
 
-        res.status(201).json({ id: imageId, path: relativeDziPath });
+        storage.deleteComment(commentId);
+        realtime.broadcast(imageId, { type: 'comments.changed', annotationId });
 
+        console.log(`✓ Comment deleted`);
+        res.status(200).json({ message: `Comment ${commentId} deleted successfully` });
     } catch (error) {
-        console.error('Error during NASA image processing:', error.message);
+        console.error('Error deleting comment:', error);
+        res.status(500).send('Failed to delete comment');
+    }
+});
 
-        // Cleanup on error
-        await Promise.allSettled([
-            cleanupTempFile(tempImagePath),
-            fs.rm(imageFolderPath, { recursive: true, force: true })
-        ]);
+// Move an image to the trash; its tiles stay on disk until it is purged
+app.delete('/api/images/:id', auth.requireRole('annotator'), async (req, res) => {
+    const { id } = req.params;
 
-        res.status(500).send(`Failed to process NASA image: ${error.message}`);
-    } finally {
-        await cleanupTempFile(tempImagePath);
+    if (!id || id.length > 100) {
+        return res.status(400).send('Invalid image ID');
     }
-});
 
-// Process image from direct URL
-app.post('/api/process-url', async (req, res) => {
-    const { imageUrl } = req.body;
+    console.log(`Moving image ${id} to trash`);
 
-    console.log(`\n=== URL Processing Request ===`);
-    console.log(`URL: ${imageUrl}`);
+    try {
+        if (!storage.canViewImage(req.user, id) || !await isImageTiled(id)) {
+            return res.status(404).send('Image not found');
+        }
 
-    // Validate URL
-    if (!imageUrl || typeof imageUrl !== 'string') {
-        return res.status(400).send('Image URL is required');
-    }
+        // Images tiled outside the app have no importer, so only admins can delete them
+        if (!auth.canManageImage(req.user, storage.getImage(id))) {
+            return res.status(403).send('Only the user who imported an image or an admin can delete it');
+        }
 
-    if (imageUrl.length > MAX_URL_LENGTH) {
-        return res.status(400).send('URL is too long');
-    }
+        storage.trashImage(id, req.user.id);
+        // Everyone viewing it loses access
+        realtime.checkAccess(id);
 
-    if (!isValidUrl(imageUrl)) {
-        return res.status(400).send('Invalid URL format');
+        console.log(`✓ Image moved to trash`);
+        res.status(200).json({ message: `Image ${id} moved to trash`, retentionDays: TRASH_RETENTION_DAYS });
+
+    } catch (error) {
+        console.error(`Error deleting image ${id}:`, error);
+        res.status(500).send(`Failed to delete image: ${error.message}`);
     }
+});
 
-    let imageId, title, tempImagePath, imageFolderPath, relativeDziPath;
+// --- Trash ---
+// Deleted images and annotations wait here for TRASH_RETENTION_DAYS. Users see what they could
+// have deleted themselves: their own imports and annotations, or everything for admins.
 
-    try {
-        imageId = crypto.createHash('md5').update(imageUrl).digest('hex');
-        const urlObj = new URL(imageUrl);
-        title = sanitizeFilename(path.basename(urlObj.pathname) || 'image');
-        
-        imageFolderPath = path.join(gigaImagesPath, imageId);
-        const dziPath = path.join(imageFolderPath, 'tiles.dzi');
-        relativeDziPath = `gigaimages/${imageId}/tiles.dzi`;
-        tempImagePath = path.join(dataPath, `${imageId}_temp${path.extname(title) || '.tmp'}`);
+// When something in the trash is removed for good
+function trashExpiry(deleted) {
+    return new Date(Date.parse(deleted) + TRASH_RETENTION).toISOString();
+}
 
-        // Check if already processed
-        try {
-            await fs.access(dziPath);
-            console.log(`✓ Image already processed, serving from cache`);
-            return res.json({ id: imageId, path: relativeDziPath });
-        } catch (e) {
-            console.log(`Processing new image from URL...`);
-        }
-
-        // Download the image
-        console.log(`Downloading image...`);
-        const writer = require('fs').createWriteStream(tempImagePath);
-        const downloadResponse = await axios({
-            url: imageUrl,
-            method: 'GET',
-            responseType: 'stream',
-            timeout: REQUEST_TIMEOUT,
-            maxContentLength: 1024 * 1024 * 1024, // 1GB max
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; ImageViewer/1.0)'
+// Remove an image from the trash for good, tiles first so a failure leaves it to try again
+async function purgeTrashedImage(id) {
+    await fs.rm(path.join(gigaImagesPath, id), { recursive: true, force: true });
+    storage.deleteTrashedImage(id);
+}
+
+async function purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION).toISOString();
+    let purged = 0;
+
+    try {
+        for (const image of storage.listTrashedImages()) {
+            if (image.deleted < cutoff) {
+                await purgeTrashedImage(image.id);
+                purged++;
             }
-        });
+        }
+        storage.listTrashedAnnotations()
+            .filter(trashed => trashed.deleted < cutoff)
+            .forEach(trashed => {
+                storage.deleteTrashedAnnotation(trashed.imageId, trashed.annotation.id);
+                purged++;
+            });
 
-        // Check content type
-        const contentType = downloadResponse.headers['content-type'];
-        if (contentType && !contentType.startsWith('image/')) {
-            throw new Error(`URL does not point to an image (Content-Type: ${contentType})`);
+        if (purged > 0) {
+            console.log(`✓ Purged ${purged} expired item(s) from the trash`);
         }
+    } catch (error) {
+        console.error('Error purging expired trash:', error);
+    }
+}
 
-        downloadResponse.data.pipe(writer);
+// List the trash
+app.get('/api/trash', auth.requireRole('annotator'), (req, res) => {
+    try {
+        const images = storage.listTrashedImages()
+            .filter(image => auth.canManageImage(req.user, image))
+            .map(image => ({ ...image, expires: trashExpiry(image.deleted) }));
 
-        await new Promise((resolve, reject) => {
-            writer.on('finish', () => {
-                console.log(`✓ Download complete`);
-                resolve();
-            });
-            writer.on('error', reject);
-            downloadResponse.data.on('error', reject);
-        });
+        // Annotations of images that are themselves in the trash come back with them
+        const annotations = storage.listTrashedAnnotations()
+            .filter(trashed => storage.canViewImage(req.user, trashed.imageId))
+            .filter(trashed => auth.canEditAnnotation(req.user, trashed.annotation))
+            .map(trashed => ({ ...trashed, expires: trashExpiry(trashed.deleted) }));
 
-        // Verify file was downloaded
-        const stats = await fs.stat(tempImagePath);
-        if (stats.size === 0) {
-            throw new Error('Downloaded file is empty');
-        }
-        console.log(`Downloaded ${Math.round(stats.size / 1024 / 1024)}MB`);
-
-        // Process with VIPS
-        await fs.mkdir(imageFolderPath, { recursive: true });
-        const vipsCommand = `vips dzsave "${tempImagePath}" "${path.join(imageFolderPath, 'tiles')}"`;
-        console.log(`Processing with VIPS...`);
-
-        const { stdout, stderr } = await execAsync(vipsCommand, { timeout: REQUEST_TIMEOUT });
-        if (stderr) {
-            console.log(`VIPS stderr: ${stderr}`);
-        }
-        console.log(`✓ VIPS processing complete`);
-
-        // Update databases
-        console.log(`Updating databases...`);
-        const imagesDb = await readJsonFile(imagesDbPath, []);
-        const annotationsDb = await readJsonFile(annotationsDbPath, {});
-
-        if (!imagesDb.find(img => img.id === imageId)) {
-            imagesDb.push({
-                id: imageId,
-                name: title,
-                path: relativeDziPath,
-                source: 'url',
-                sourceUrl: imageUrl,
-                created: new Date().toISOString()
-            });
+        res.json({ retentionDays: TRASH_RETENTION_DAYS, images, annotations });
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        res.status(500).send('Failed to list trash');
+    }
+});
 
-            if (!annotationsDb[imageId]) {
-                annotationsDb[imageId] = [];
-            }
+// The trashed image at :id if the user may restore or purge it; sends the error response otherwise
+function findTrashedImage(req, res) {
+    const { id } = req.params;
 
-            await writeJsonFile(imagesDbPath, imagesDb);
-            await writeJsonFile(annotationsDbPath, annotationsDb);
-        }
+    if (!isValidImageId(id)) {
+        res.status(400).send('Invalid image ID');
+        return null;
+    }
 
-        console.log(`✓ Databases updated`);
-        console.log(`=== Processing Complete ===\n`);
+    const image = storage.getTrashedImage(id);
+    if (!image) {
+        res.status(404).send('Image not found in trash');
+        return null;
+    }
+
+    if (!auth.canManageImage(req.user, image)) {
+        res.status(403).send('Only the user who imported an image or an admin can restore or remove it');
+        return null;
+    }
+    return image;
+}
 
-        res.status(201).json({ id: imageId, path: relativeDziPath });
+// Restore an image with its annotations, tags, sharing and collections
+app.post('/api/trash/images/:id/restore', auth.requireRole('annotator'), (req, res) => {
+    try {
+        const image = findTrashedImage(req, res);
+        if (!image) return;
+
+        storage.restoreImage(image.id);
 
+        console.log(`✓ Image ${image.id} restored by ${req.user.username}`);
+        res.json(describeImage(image.id, storage.getImage(image.id),
+            storage.listAnnotations(image.id).length, storage.getImageTags(image.id)));
     } catch (error) {
-        console.error('Error during URL processing:', error.message);
+        console.error('Error restoring image:', error);
+        res.status(500).send('Failed to restore image');
+    }
+});
 
-        // Cleanup on error
-        if (tempImagePath) {
-            await cleanupTempFile(tempImagePath);
-        }
-        if (imageFolderPath) {
-            await fs.rm(imageFolderPath, { recursive: true, force: true }).catch(() => {});
-        }
+// Delete an image in the trash for good, tiles included
+app.delete('/api/trash/images/:id', auth.requireRole('annotator'), async (req, res) => {
+    try {
+        const image = findTrashedImage(req, res);
+        if (!image) return;
 
-        // Provide more specific error messages
-        let errorMessage = 'Failed to process image from URL';
-        if (error.code === 'ENOTFOUND') {
-            errorMessage = 'Could not reach the URL. Please check the address.';
-        } else if (error.code === 'ETIMEDOUT') {
-            errorMessage = 'Request timed out. The server may be slow or unreachable.';
-        } else if (error.message.includes('VIPS')) {
-            errorMessage = 'Failed to process image. The file may be corrupted or in an unsupported format.';
-        } else if (error.message) {
-            errorMessage += `: ${error.message}`;
-        }
+        await purgeTrashedImage(image.id);
 
-        res.status(500).send(errorMessage);
-    } finally {
-        if (tempImagePath) {
-            await cleanupTempFile(tempImagePath);
-        }
+        console.log(`✓ Image ${image.id} permanently deleted`);
+        res.json({ message: `Image ${image.id} permanently deleted` });
+    } catch (error) {
+        console.error('Error deleting image from trash:', error);
+        res.status(500).send(`Failed to delete image: ${error.message}`);
     }
 });
 
-// Search NASA API
-app.get('/api/nasa/search', async (req, res) => {
-    const query = req.query.q;
+// The trashed annotation at :imageId/:annotationId if the user may restore or purge it;
+// sends the error response otherwise
+function findTrashedAnnotation(req, res) {
+    const { imageId, annotationId } = req.params;
 
-    if (!query || typeof query !== 'string') {
-        return res.status(400).send('Search query is required');
+    if (!isValidImageId(imageId)) {
+        res.status(400).send('Invalid image ID');
+        return null;
     }
 
-    if (query.length < 2) {
-        return res.status(400).send('Search query must be at least 2 characters');
+    if (!annotationId || annotationId.length > 100) {
+        res.status(400).send('Invalid annotation ID');
+        return null;
     }
 
-    if (query.length > 200) {
-        return res.status(400).send('Search query is too long');
+    const trashed = storage.canViewImage(req.user, imageId) ? storage.getTrashedAnnotation(imageId, annotationId) : null;
+    if (!trashed) {
+        res.status(404).send('Annotation not found in trash');
+        return null;
     }
 
-    console.log(`NASA search query: "${query}"`);
+    if (!auth.canEditAnnotation(req.user, trashed.annotation)) {
+        res.status(403).send('Only the author of an annotation or an admin can restore or remove it');
+        return null;
+    }
+    return trashed;
+}
 
+// Restore an annotation; its id must not have been taken in the meantime
+app.post('/api/trash/images/:imageId/annotations/:annotationId/restore', auth.requireRole('annotator'), (req, res) => {
     try {
-        const nasaApiUrl = 'https://images-api.nasa.gov/search';
-        const response = await axios.get(nasaApiUrl, {
-            params: {
-                q: query,
-                media_type: 'image'
-            },
-            timeout: 10000
-        });
+        const trashed = findTrashedAnnotation(req, res);
+        if (!trashed) return;
 
-        if (!response.data || !response.data.collection || !response.data.collection.items) {
-            return res.json([]);
+        const { imageId, annotation } = trashed;
+        const restored = storage.transaction(() => {
+            if (!storage.restoreAnnotation(imageId, annotation.id)) {
+                return false;
+            }
+            storage.recordAnnotationChange(imageId, annotation.id, {
+                action: 'restore', userId: req.user.id, before: null, after: annotation
+            });
+            return true;
+        });
+        if (!restored) {
+            return res.status(409).send('Another annotation now has this ID');
         }
 
-        const results = response.data.collection.items
-            .map(item => {
-                if (!item.data || !item.data[0]) return null;
-                return {
-                    nasa_id: item.data[0].nasa_id,
-                    title: item.data[0].title || 'Untitled',
-                    thumbnail: item.links && item.links[0] ? item.links[0].href : null,
-                    description: item.data[0].description || ''
-                };
-            })
-            .filter(item => item && item.nasa_id && item.thumbnail)
-            .slice(0, 50);
+        const saved = storage.getAnnotation(imageId, annotation.id);
+        realtime.broadcast(imageId, { type: 'annotation.created', annotation: saved });
+
+        console.log(`✓ Annotation ${annotation.id} restored by ${req.user.username}`);
+        res.json(saved);
+    } catch (error) {
+        console.error('Error restoring annotation:', error);
+        res.status(500).send('Failed to restore annotation');
+    }
+});
+
+// Delete an annotation in the trash for good
+app.delete('/api/trash/images/:imageId/annotations/:annotationId', auth.requireRole('annotator'), (req, res) => {
+    try {
+        const trashed = findTrashedAnnotation(req, res);
+        if (!trashed) return;
 
-        console.log(`Found ${results.length} results`);
-        res.json(results);
+        storage.deleteTrashedAnnotation(trashed.imageId, trashed.annotation.id);
 
+        console.log(`✓ Annotation ${trashed.annotation.id} permanently deleted`);
+        res.json({ message: `Annotation ${trashed.annotation.id} permanently deleted` });
     } catch (error) {
-        console.error('NASA API search error:', error.message);
-        if (error.response) {
-            res.status(error.response.status).send('NASA API error');
-        } else {
-            res.status(500).send('Failed to search NASA images');
-        }
+        console.error('Error deleting annotation from trash:', error);
+        res.status(500).send('Failed to delete annotation');
     }
 });
 
-// Get annotations for an image
-app.get('/api/images/:id/annotations', async (req, res) => {
+// --- IIIF Image API 3.0 ---
+
+// Image ids are md5 hashes; anything else cannot name a tile folder
+function isValidImageId(id) {
+    return typeof id === 'string' && /^[a-zA-Z0-9_-]{1,100}$/.test(id);
+}
+
+// Annotation IDs are chosen by the client, e.g. pin-1700000000000-k3j2h1x9a
+function isValidAnnotationId(id) {
+    return typeof id === 'string' && /^[\w.-]{1,100}$/.test(id);
+}
+
+// The base URI of an image service redirects to its info.json
+app.get('/iiif/:id', (req, res) => {
+    res.redirect(303, `${getBaseUrl(req)}/iiif/${encodeURIComponent(req.params.id)}/info.json`);
+});
+
+// Image information
+app.get('/iiif/:id/info.json', async (req, res) => {
     const imageId = req.params.id;
 
-    if (!imageId || imageId.length > 100) {
-        return res.status(400).send('Invalid image ID');
+    if (!isValidImageId(imageId) || !storage.canViewImage(req.user, imageId) || !(await isImageTiled(imageId))) {
+        return res.status(404).send('Image not found');
     }
 
-    console.log(`Fetching annotations for image: ${imageId}`);
-
     try {
-        const allAnnotations = await readJsonFile(annotationsDbPath, {});
-        const imageAnnotations = allAnnotations[imageId] || [];
-        res.json(imageAnnotations);
+        const info = iiif.createImageInfo(`${getBaseUrl(req)}/iiif/${imageId}`, await readDziInfo(imageId));
+        res.type(`application/ld+json;profile="${iiif.IMAGE_CONTEXT}"`);
+        res.send(JSON.stringify(info));
     } catch (error) {
-        console.error('Error reading annotations:', error);
-        res.status(500).send('Failed to read annotations');
+        console.error(`Error building IIIF info for ${imageId}:`, error);
+        res.status(500).send('Failed to read image information');
     }
 });
 
-// Save annotation for an image
-app.post('/api/images/:id/annotations', async (req, res) => {
+// Image requests: {region}/{size}/{rotation}/{quality}.{format}
+app.get('/iiif/:id/:region/:size/:rotation/:qualityFormat', async (req, res) => {
     const imageId = req.params.id;
-    const annotation = req.body;
-
-    if (!imageId || imageId.length > 100) {
-        return res.status(400).send('Invalid image ID');
-    }
 
-    // Validate annotation
-    if (!annotation || typeof annotation !== 'object') {
-        return res.status(400).send('Invalid annotation data');
+    if (!isValidImageId(imageId) || !storage.canViewImage(req.user, imageId) || !(await isImageTiled(imageId))) {
+        return res.status(404).send('Image not found');
     }
 
-    if (!annotation.id || !annotation.text || !annotation.point) {
-        return res.status(400).send('Annotation missing required fields');
-    }
+    try {
+        const info = await readDziInfo(imageId);
+        const request = iiif.parseImageRequest(req.params, info);
+        const tilesDir = path.join(gigaImagesPath, imageId, 'tiles_files');
+        const { buffer, mimeType } = await iiif.renderImage(tilesDir, info, request);
 
-    if (typeof annotation.text !== 'string' || annotation.text.length > MAX_ANNOTATION_LENGTH) {
-        return res.status(400).send('Invalid annotation text');
-    }
+        setImageCacheControl(res, imageId);
+        res.type(mimeType).send(buffer);
 
-    if (typeof annotation.point.x !== 'number' || typeof annotation.point.y !== 'number') {
-        return res.status(400).send('Invalid annotation coordinates');
+    } catch (error) {
+        if (error instanceof iiif.IiifError) {
+            return res.status(error.status).send(error.message);
+        }
+        console.error(`Error serving IIIF image ${imageId}:`, error);
+        res.status(500).send('Failed to render image');
     }
+});
 
-    console.log(`Saving annotation for image: ${imageId}`);
-
-    try {
-        const allAnnotations = await readJsonFile(annotationsDbPath, {});
+// --- IIIF Presentation API 3.0 ---
 
-        if (!allAnnotations[imageId]) {
-            allAnnotations[imageId] = [];
-        }
+// Manifest for a library image, with its annotations attached to the canvas
+app.get('/iiif/:id/manifest', async (req, res) => {
+    const imageId = req.params.id;
 
-        allAnnotations[imageId].push(annotation);
-        await writeJsonFile(annotationsDbPath, allAnnotations);
+    if (!isValidImageId(imageId) || !storage.canViewImage(req.user, imageId) || !(await isImageTiled(imageId))) {
+        return res.status(404).send('Image not found');
+    }
 
-        console.log(`✓ Annotation saved`);
-        res.status(201).json(annotation);
+    try {
+        const manifest = iiif.createManifest({
+            baseUrl: getBaseUrl(req),
+            imageId,
+            image: storage.getImage(imageId),
+            info: await readDziInfo(imageId),
+            annotations: storage.listAnnotations(imageId)
+        });
 
+        res.type(`application/ld+json;profile="${iiif.PRESENTATION_CONTEXT}"`);
+        res.send(JSON.stringify(manifest, null, 2));
     } catch (error) {
-        console.error('Error saving annotation:', error);
-        res.status(500).send('Failed to save annotation');
+        console.error(`Error building IIIF manifest for ${imageId}:`, error);
+        res.status(500).send('Failed to build manifest');
     }
 });
 
-// Delete an image
-app.delete('/api/images/:id', async (req, res) => {
-    const { id } = req.params;
+// Networks external fetches may not reach: this host, link-local and private ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    // IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    const ip = mapped ? mapped[1] : address;
+    const family = net.isIP(ip);
+    return family === 0 || PRIVATE_NETWORKS.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
 
-    if (!id || id.length > 100) {
-        return res.status(400).send('Invalid image ID');
+// Refuse URLs naming a private address; host names are checked when they are resolved
+function assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isPrivateAddress(host)) {
+        throw new Error(`Refusing to fetch from private address ${host}`);
     }
+}
 
-    console.log(`\n=== Delete Image Request ===`);
-    console.log(`Image ID: ${id}`);
+// dns.lookup that fails for host names resolving to a private address. It is the lookup of the
+// connection itself, so a name cannot resolve to a public address first and a private one later.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
 
-    const imageFolderPath = path.join(gigaImagesPath, id);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        const blocked = addresses.find(isPrivateAddress);
+        if (blocked) {
+            return callback(new Error(`Refusing to fetch from ${hostname} (private address ${blocked})`));
+        }
+        callback(null, address, family);
+    });
+}
 
+function fetchExternalJson(url) {
+    if (!isValidUrl(url)) {
+        return Promise.reject(new Error('Invalid URL'));
+    }
     try {
-        // Read databases
-        const imagesDb = await readJsonFile(imagesDbPath, []);
-        const annotationsDb = await readJsonFile(annotationsDbPath, {});
+        assertPublicHost(new URL(url).hostname);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    return axios.get(url, {
+        timeout: EXTERNAL_JSON_TIMEOUT,
+        maxContentLength: MAX_MANIFEST_SIZE,
+        responseType: 'json',
+        headers: { Accept: 'application/ld+json, application/json' },
+        lookup: publicLookup,
+        // Redirects are followed only to public hosts as well
+        beforeRedirect: (options) => assertPublicHost(options.hostname)
+    }).then(response => response.data);
+}
 
-        // Remove from databases
-        const imageIndex = imagesDb.findIndex(img => img.id === id);
-        if (imageIndex === -1) {
-            console.log(`Image ${id} not found in database`);
-        } else {
-            imagesDb.splice(imageIndex, 1);
-            console.log(`✓ Removed from images.json`);
-        }
+// Read an external IIIF manifest (Presentation 2 or 3) into canvases the viewer can open.
+// Annotations are returned in canvas coordinates; the viewer rescales them to the image.
+app.get('/api/iiif/manifest', async (req, res) => {
+    const { url } = req.query;
 
-        if (annotationsDb[id]) {
-            delete annotationsDb[id];
-            console.log(`✓ Removed from annotations.json`);
-        }
+    // The server fetches the manifest for the viewer, so only signed-in users may have it do so
+    if (!req.user) {
+        return res.status(401).send('Sign in to open external IIIF manifests');
+    }
+
+    if (!url || typeof url !== 'string' || url.length > MAX_URL_LENGTH || !isValidUrl(url)) {
+        return res.status(400).send('A valid manifest URL is required');
+    }
+
+    console.log(`Loading IIIF manifest: ${url}`);
 
-        // Write updated databases
-        await writeJsonFile(imagesDbPath, imagesDb);
-        await writeJsonFile(annotationsDbPath, annotationsDb);
-        console.log(`✓ Databases updated`);
+    let manifest;
+    try {
+        manifest = await iiif.readManifest(await fetchExternalJson(url), fetchExternalJson);
+    } catch (error) {
+        if (error instanceof iiif.IiifError) {
+            return res.status(error.status).send(error.message);
+        }
+        console.error('Error fetching IIIF manifest:', error.message);
+        return res.status(502).send('Failed to fetch manifest');
+    }
 
-        // Delete image folder
+    const canvases = manifest.canvases.map((canvas, canvasIndex) => {
+        let candidates = [];
         try {
-            await fs.rm(imageFolderPath, { recursive: true, force: true });
-            console.log(`✓ Image folder deleted`);
-        } catch (fsError) {
-            console.warn(`Could not delete folder ${imageFolderPath}:`, fsError.message);
+            candidates = fromWebAnnotationDocument(canvas.annotations).slice(0, MAX_IMPORT_ANNOTATIONS);
+        } catch (error) {
+            console.warn(`Skipping annotations of canvas ${canvasIndex}:`, error.message);
         }
 
-        console.log(`=== Deletion Complete ===\n`);
-        res.status(200).json({ message: `Image ${id} deleted successfully` });
+        const annotations = [];
+        candidates.forEach((candidate, index) => {
+            if (candidate.error) return;
+
+            const annotation = {
+                ...candidate.annotation,
+                category: knownCategory(candidate.annotation.category),
+                text: String(candidate.annotation.text || 'Annotation').slice(0, MAX_ANNOTATION_LENGTH),
+                id: `manifest-${canvasIndex}-${index}`
+            };
+            if (!validateAnnotation(annotation)) {
+                annotations.push(normalizeAnnotation(annotation));
+            }
+        });
 
-    } catch (error) {
-        console.error(`Error deleting image ${id}:`, error);
-        res.status(500).send(`Failed to delete image: ${error.message}`);
-    }
+        return { ...canvas, annotations };
+    });
+
+    console.log(`✓ Manifest "${manifest.label}" has ${canvases.length} canvas(es)`);
+    res.json({ url, label: manifest.label, canvases });
 });
 
 // Health check endpoint
@@ -744,9 +3578,10 @@ app.use((req, res) => {
     res.status(404).send('Not found');
 });
 
-// Start the server
-app.listen(PORT, () => {
+// Start the server; live annotation updates share its port
+const server = app.listen(PORT, () => {
     console.log(`\n========================================`);
     console.log(`Server running at http://localhost:${PORT}`);
     console.log(`========================================\n`);
-});
\ No newline at end of file
+});
+realtime.attach(server);
\ No newline at end of file
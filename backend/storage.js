@@ -0,0 +1,1304 @@
+// SQLite storage for images, annotations with their categories, history and comments, the trash, users, jobs
+// and applied data migrations.
+//
+// better-sqlite3 is synchronous, so each call below runs to completion before
+// any other request is handled; multi-step changes use transaction() so they
+// are applied all-or-nothing.
+
+const Database = require('better-sqlite3');
+
+// Schema changes, applied in order. PRAGMA user_version records how many have run;
+// append new steps, never edit existing ones.
+const SCHEMA = [
+    `CREATE TABLE images (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        path TEXT NOT NULL,
+        source TEXT,
+        nasa_id TEXT,
+        source_url TEXT,
+        created TEXT NOT NULL
+    );
+
+    CREATE TABLE annotations (
+        image_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'point',
+        text TEXT NOT NULL,
+        point TEXT,
+        geometry TEXT,
+        PRIMARY KEY (image_id, id)
+    );
+
+    CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        image_id TEXT NOT NULL,
+        updated TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE migrations (
+        name TEXT PRIMARY KEY,
+        applied TEXT NOT NULL
+    );`,
+
+    // Source metadata record (e.g. the NASA metadata.json), stored as JSON
+    `ALTER TABLE images ADD COLUMN metadata TEXT;`,
+
+    // Which NASA rendition (orig, large, medium, small) was tiled
+    `ALTER TABLE images ADD COLUMN rendition TEXT;`,
+
+    // Full-text index of image names, NASA metadata and annotation text, kept in sync by triggers
+    `CREATE VIRTUAL TABLE search_index USING fts5(
+        kind UNINDEXED,
+        image_id UNINDEXED,
+        annotation_id UNINDEXED,
+        title,
+        body,
+        tokenize = 'porter unicode61 remove_diacritics 2',
+        prefix = '2 3'
+    );
+
+    CREATE VIEW image_search_text AS
+    SELECT id, name AS title, concat_ws(' ',
+        nasa_id,
+        json_extract(metadata, '$."AVAIL:Title"'),
+        json_extract(metadata, '$."AVAIL:Description"'),
+        (SELECT group_concat(value, ', ') FROM json_each(metadata, '$."AVAIL:Keywords"')),
+        json_extract(metadata, '$."AVAIL:Center"'),
+        json_extract(metadata, '$."AVAIL:Photographer"'),
+        json_extract(metadata, '$."AVAIL:SecondaryCreator"'),
+        json_extract(metadata, '$."AVAIL:Location"')
+    ) AS body
+    FROM images;
+
+    CREATE TRIGGER images_search_insert AFTER INSERT ON images BEGIN
+        INSERT INTO search_index (kind, image_id, title, body)
+        SELECT 'image', id, title, body FROM image_search_text WHERE id = new.id;
+    END;
+
+    CREATE TRIGGER images_search_update AFTER UPDATE ON images BEGIN
+        DELETE FROM search_index WHERE kind = 'image' AND image_id = old.id;
+        INSERT INTO search_index (kind, image_id, title, body)
+        SELECT 'image', id, title, body FROM image_search_text WHERE id = new.id;
+    END;
+
+    CREATE TRIGGER images_search_delete AFTER DELETE ON images BEGIN
+        DELETE FROM search_index WHERE kind = 'image' AND image_id = old.id;
+    END;
+
+    CREATE TRIGGER annotations_search_insert AFTER INSERT ON annotations BEGIN
+        INSERT INTO search_index (kind, image_id, annotation_id, title, body)
+        VALUES ('annotation', new.image_id, new.id, new.text, '');
+    END;
+
+    CREATE TRIGGER annotations_search_update AFTER UPDATE ON annotations BEGIN
+        DELETE FROM search_index WHERE kind = 'annotation' AND image_id = old.image_id AND annotation_id = old.id;
+        INSERT INTO search_index (kind, image_id, annotation_id, title, body)
+        VALUES ('annotation', new.image_id, new.id, new.text, '');
+    END;
+
+    CREATE TRIGGER annotations_search_delete AFTER DELETE ON annotations BEGIN
+        DELETE FROM search_index WHERE kind = 'annotation' AND image_id = old.image_id AND annotation_id = old.id;
+    END;
+
+    INSERT INTO search_index (kind, image_id, title, body)
+    SELECT 'image', id, title, body FROM image_search_text;
+
+    INSERT INTO search_index (kind, image_id, annotation_id, title, body)
+    SELECT 'annotation', image_id, id, text, '' FROM annotations;`,
+
+    // Tags on images, and named, ordered collections of images
+    `CREATE TABLE image_tags (
+        image_id TEXT NOT NULL,
+        tag TEXT NOT NULL COLLATE NOCASE,
+        PRIMARY KEY (image_id, tag)
+    );
+
+    CREATE TABLE collections (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created TEXT NOT NULL
+    );
+
+    CREATE TABLE collection_images (
+        collection_id TEXT NOT NULL,
+        image_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (collection_id, image_id)
+    );`,
+
+    // User accounts and their sessions; who imported each image and wrote each annotation
+    `CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created TEXT NOT NULL
+    );
+
+    CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        created TEXT NOT NULL,
+        expires TEXT NOT NULL
+    );
+
+    ALTER TABLE images ADD COLUMN imported_by TEXT;
+    ALTER TABLE annotations ADD COLUMN author TEXT;
+    ALTER TABLE annotations ADD COLUMN created TEXT;
+    ALTER TABLE annotations ADD COLUMN updated TEXT;`,
+
+    // Roles (the first account administers the others) and who may see each image.
+    // Images from before visibility existed stay public.
+    `ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'annotator';
+    UPDATE users SET role = 'admin' WHERE rowid = (SELECT MIN(rowid) FROM users);
+
+    ALTER TABLE images ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+
+    CREATE TABLE user_groups (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created TEXT NOT NULL
+    );
+
+    CREATE TABLE user_group_members (
+        group_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        PRIMARY KEY (group_id, user_id)
+    );
+
+    CREATE TABLE image_user_shares (
+        image_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        PRIMARY KEY (image_id, user_id)
+    );
+
+    CREATE TABLE image_group_shares (
+        image_id TEXT NOT NULL,
+        group_id TEXT NOT NULL,
+        PRIMARY KEY (image_id, group_id)
+    );`,
+
+    // Versioned history of each annotation (the annotation before and after, as JSON), and the
+    // trash: deleted images and annotations are kept as JSON snapshots until they are restored or purged
+    `CREATE TABLE annotation_changes (
+        image_id TEXT NOT NULL,
+        annotation_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        user_id TEXT,
+        created TEXT NOT NULL,
+        before TEXT,
+        after TEXT,
+        PRIMARY KEY (image_id, annotation_id, version)
+    );
+
+    CREATE TABLE trashed_images (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        deleted_by TEXT,
+        deleted TEXT NOT NULL
+    );
+
+    CREATE TABLE trashed_annotations (
+        image_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        deleted_by TEXT,
+        deleted TEXT NOT NULL,
+        PRIMARY KEY (image_id, id)
+    );`,
+
+    // Comment threads on annotations: a thread starts with a comment without a parent_id,
+    // its replies point at that comment. Threads are resolved (a time) or open (null).
+    `CREATE TABLE annotation_comments (
+        id TEXT PRIMARY KEY,
+        image_id TEXT NOT NULL,
+        annotation_id TEXT NOT NULL,
+        parent_id TEXT,
+        author TEXT,
+        body TEXT NOT NULL,
+        created TEXT NOT NULL,
+        updated TEXT NOT NULL,
+        resolved TEXT,
+        resolved_by TEXT
+    );
+
+    CREATE INDEX annotation_comments_annotation ON annotation_comments (image_id, annotation_id);`,
+
+    // Annotation categories with their default color and icon, and per-annotation style
+    // overrides ({ color, icon } as JSON). A few common categories to start with.
+    `CREATE TABLE annotation_categories (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        color TEXT NOT NULL,
+        icon TEXT,
+        created TEXT NOT NULL
+    );
+
+    ALTER TABLE annotations ADD COLUMN category TEXT;
+    ALTER TABLE annotations ADD COLUMN style TEXT;
+
+    INSERT INTO annotation_categories (id, name, color, icon, created) VALUES
+        ('crater', 'Crater', '#ff9f43', '🕳️', strftime('%Y-%m-%dT%H:%M:%fZ')),
+        ('artifact', 'Artifact', '#54a0ff', '🏺', strftime('%Y-%m-%dT%H:%M:%fZ')),
+        ('target', 'Target', '#ee5253', '🎯', strftime('%Y-%m-%dT%H:%M:%fZ'));`,
+
+    // Physical scale of an image for measurements, { pixelsPerUnit, unit } as JSON
+    `ALTER TABLE images ADD COLUMN scale TEXT;`,
+
+    // Who created a collection; only they and admins may change it. Older collections have no
+    // creator and are left to admins.
+    `ALTER TABLE collections ADD COLUMN created_by TEXT;`
+];
+
+// Delimiters around matched terms in search results (control characters never appear in stored text)
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+let db = null;
+const statements = new Map();
+
+function open(filePath) {
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    statements.clear();
+
+    const version = db.pragma('user_version', { simple: true });
+    SCHEMA.slice(version).forEach((sql, index) => {
+        db.transaction(() => {
+            db.exec(sql);
+            db.pragma(`user_version = ${version + index + 1}`);
+        })();
+    });
+}
+
+function close() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+// Cached prepared statement
+function statement(sql) {
+    if (!db) {
+        throw new Error('Database is not open');
+    }
+    if (!statements.has(sql)) {
+        statements.set(sql, db.prepare(sql));
+    }
+    return statements.get(sql);
+}
+
+// Run fn inside a transaction and return its result; nested calls join the outer one
+function transaction(fn) {
+    if (!db) {
+        throw new Error('Database is not open');
+    }
+    return db.transaction(fn)();
+}
+
+// --- Images ---
+
+function rowToImage(row) {
+    const image = { id: row.id, name: row.name, path: row.path, source: row.source };
+    if (row.nasa_id) image.nasa_id = row.nasa_id;
+    if (row.source_url) image.sourceUrl = row.source_url;
+    if (row.rendition) image.rendition = row.rendition;
+    if (row.metadata) image.metadata = JSON.parse(row.metadata);
+    if (row.imported_by) image.importedById = row.imported_by;
+    if (row.imported_by_name) image.importedBy = row.imported_by_name;
+    if (row.scale) image.scale = JSON.parse(row.scale);
+    image.visibility = row.visibility;
+    image.created = row.created;
+    return image;
+}
+
+const IMAGE_QUERY = `
+    SELECT images.*, users.username AS imported_by_name
+    FROM images
+    LEFT JOIN users ON users.id = images.imported_by`;
+
+// Who may see an image `i`: everyone if it is public, its importer, admins, and, if it is shared,
+// the users and groups it is shared with. Images tiled outside the app have no record (i.id IS NULL)
+// and are public. Bind with viewerParams(). Comparisons with a null user or importer are made false,
+// not NULL, so the condition can also be negated.
+const VISIBLE_IMAGE = `(
+    @is_admin = 1 OR i.id IS NULL OR i.visibility = 'public' OR IFNULL(i.imported_by = @user_id, 0)
+    OR (i.visibility = 'shared' AND (
+        EXISTS (SELECT 1 FROM image_user_shares s WHERE s.image_id = i.id AND s.user_id = @user_id)
+        OR EXISTS (
+            SELECT 1 FROM image_group_shares s
+            JOIN user_group_members m ON m.group_id = s.group_id
+            WHERE s.image_id = i.id AND m.user_id = @user_id
+        )
+    ))
+)`;
+
+// Parameters of VISIBLE_IMAGE for a user, or for a visitor (null)
+function viewerParams(user) {
+    return { user_id: user ? user.id : null, is_admin: user && user.role === 'admin' ? 1 : 0 };
+}
+
+function listImages() {
+    return statement(`${IMAGE_QUERY} ORDER BY images.name COLLATE NOCASE`).all().map(rowToImage);
+}
+
+function getImage(id) {
+    const row = statement(`${IMAGE_QUERY} WHERE images.id = ?`).get(id);
+    return row ? rowToImage(row) : null;
+}
+
+// Add an image; returns false if one with the same id is already registered
+function insertImage(image) {
+    const result = statement(`
+        INSERT OR IGNORE INTO images
+            (id, name, path, source, nasa_id, source_url, rendition, metadata, imported_by, visibility, scale, created)
+        VALUES
+            (@id, @name, @path, @source, @nasa_id, @source_url, @rendition, @metadata, @imported_by, @visibility, @scale, @created)
+    `).run({
+        id: image.id,
+        name: image.name || image.id,
+        path: image.path || `gigaimages/${image.id}/tiles.dzi`,
+        source: image.source || null,
+        nasa_id: image.nasa_id || null,
+        source_url: image.sourceUrl || null,
+        rendition: image.rendition || null,
+        metadata: image.metadata ? JSON.stringify(image.metadata) : null,
+        imported_by: image.importedById || null,
+        visibility: image.visibility || 'public',
+        scale: image.scale ? JSON.stringify(image.scale) : null,
+        created: image.created || new Date().toISOString()
+    });
+    return result.changes > 0;
+}
+
+function setImageMetadata(id, metadata) {
+    statement('UPDATE images SET metadata = ? WHERE id = ?').run(JSON.stringify(metadata), id);
+}
+
+// Set the scale ({ pixelsPerUnit, unit }) of an image, or remove it with null
+function setImageScale(id, scale) {
+    statement('UPDATE images SET scale = ? WHERE id = ?').run(scale ? JSON.stringify(scale) : null, id);
+}
+
+// Whether a user (null for a visitor) may see an image; images in the trash are seen by no one
+function canViewImage(user, imageId) {
+    return statement(`
+        SELECT 1 FROM (SELECT @image_id AS id) q
+        LEFT JOIN images i ON i.id = q.id
+        WHERE ${VISIBLE_IMAGE} AND NOT EXISTS (SELECT 1 FROM trashed_images t WHERE t.id = q.id)
+    `).get({ ...viewerParams(user), image_id: imageId }) !== undefined;
+}
+
+// Ids of the images a user (null for a visitor) may not see, including those in the trash
+function listHiddenImageIds(user) {
+    return statement(`
+        SELECT i.id FROM images i WHERE NOT ${VISIBLE_IMAGE}
+        UNION SELECT id FROM trashed_images
+    `).pluck().all(viewerParams(user));
+}
+
+// --- Sharing ---
+
+// Visibility of an image with the users and groups it is shared with, or null if it is not registered
+function getImageSharing(imageId) {
+    const image = statement('SELECT visibility FROM images WHERE id = ?').get(imageId);
+    if (!image) {
+        return null;
+    }
+    return {
+        visibility: image.visibility,
+        users: statement(`
+            SELECT users.id, users.username FROM image_user_shares s
+            JOIN users ON users.id = s.user_id
+            WHERE s.image_id = ? ORDER BY users.username COLLATE NOCASE
+        `).all(imageId),
+        groups: statement(`
+            SELECT g.id, g.name FROM image_group_shares s
+            JOIN user_groups g ON g.id = s.group_id
+            WHERE s.image_id = ? ORDER BY g.name COLLATE NOCASE
+        `).all(imageId)
+    };
+}
+
+// Set the visibility of an image and replace the users and groups it is shared with
+function setImageSharing(imageId, { visibility, userIds, groupIds }) {
+    return transaction(() => {
+        statement('UPDATE images SET visibility = ? WHERE id = ?').run(visibility, imageId);
+        statement('DELETE FROM image_user_shares WHERE image_id = ?').run(imageId);
+        statement('DELETE FROM image_group_shares WHERE image_id = ?').run(imageId);
+        userIds.forEach(userId => {
+            statement('INSERT OR IGNORE INTO image_user_shares (image_id, user_id) VALUES (?, ?)').run(imageId, userId);
+        });
+        groupIds.forEach(groupId => {
+            statement('INSERT OR IGNORE INTO image_group_shares (image_id, group_id) VALUES (?, ?)').run(imageId, groupId);
+        });
+        return getImageSharing(imageId);
+    });
+}
+
+// Remove an image, its annotations, tags and shares and its place in collections;
+// returns false if the image was not registered
+function deleteImage(id) {
+    return transaction(() => {
+        statement('DELETE FROM annotations WHERE image_id = ?').run(id);
+        statement('DELETE FROM image_user_shares WHERE image_id = ?').run(id);
+        statement('DELETE FROM image_group_shares WHERE image_id = ?').run(id);
+        statement('DELETE FROM image_tags WHERE image_id = ?').run(id);
+        statement('DELETE FROM collection_images WHERE image_id = ?').run(id);
+        return statement('DELETE FROM images WHERE id = ?').run(id).changes > 0;
+    });
+}
+
+// --- Tags ---
+
+// Every tag in use on images the user (null for a visitor) may see, with the number of
+// those images carrying it, alphabetically
+function listTags(user) {
+    return statement(`
+        SELECT t.tag, COUNT(*) AS count FROM image_tags t
+        LEFT JOIN images i ON i.id = t.image_id
+        WHERE ${VISIBLE_IMAGE}
+        GROUP BY t.tag ORDER BY t.tag COLLATE NOCASE
+    `).all(viewerParams(user));
+}
+
+// Tags of every tagged image, as a Map of image id to sorted tags
+function listImageTags() {
+    const tags = new Map();
+    statement('SELECT image_id, tag FROM image_tags ORDER BY tag COLLATE NOCASE').all().forEach(row => {
+        if (!tags.has(row.image_id)) tags.set(row.image_id, []);
+        tags.get(row.image_id).push(row.tag);
+    });
+    return tags;
+}
+
+function getImageTags(imageId) {
+    return statement('SELECT tag FROM image_tags WHERE image_id = ? ORDER BY tag COLLATE NOCASE').pluck().all(imageId);
+}
+
+// Replace the tags of an image (tags differing only in case are stored once)
+function setImageTags(imageId, tags) {
+    return transaction(() => {
+        statement('DELETE FROM image_tags WHERE image_id = ?').run(imageId);
+        tags.forEach(tag => {
+            statement('INSERT OR IGNORE INTO image_tags (image_id, tag) VALUES (?, ?)').run(imageId, tag);
+        });
+        return getImageTags(imageId);
+    });
+}
+
+// --- Collections ---
+
+function rowToCollection(row) {
+    const collection = { id: row.id, name: row.name, imageCount: row.image_count, created: row.created };
+    if (row.created_by) collection.createdById = row.created_by;
+    if (row.created_by_name) collection.createdBy = row.created_by_name;
+    return collection;
+}
+
+const COLLECTION_QUERY = `
+    SELECT c.id, c.name, c.created, c.created_by, users.username AS created_by_name, COUNT(ci.image_id) AS image_count
+    FROM collections c
+    LEFT JOIN users ON users.id = c.created_by
+    LEFT JOIN collection_images ci ON ci.collection_id = c.id`;
+
+function listCollections() {
+    return statement(`${COLLECTION_QUERY} GROUP BY c.id ORDER BY c.name COLLATE NOCASE`).all().map(rowToCollection);
+}
+
+function getCollection(id) {
+    const row = statement(`${COLLECTION_QUERY} WHERE c.id = ? GROUP BY c.id`).get(id);
+    return row ? rowToCollection(row) : null;
+}
+
+function createCollection(collection) {
+    statement('INSERT INTO collections (id, name, created_by, created) VALUES (@id, @name, @created_by, @created)').run({
+        id: collection.id,
+        name: collection.name,
+        created_by: collection.createdById || null,
+        created: collection.created || new Date().toISOString()
+    });
+    return getCollection(collection.id);
+}
+
+function renameCollection(id, name) {
+    return statement('UPDATE collections SET name = ? WHERE id = ?').run(name, id).changes > 0;
+}
+
+function deleteCollection(id) {
+    return transaction(() => {
+        statement('DELETE FROM collection_images WHERE collection_id = ?').run(id);
+        return statement('DELETE FROM collections WHERE id = ?').run(id).changes > 0;
+    });
+}
+
+// Image ids of a collection in order
+function listCollectionImageIds(collectionId) {
+    return statement('SELECT image_id FROM collection_images WHERE collection_id = ? ORDER BY position')
+        .pluck()
+        .all(collectionId);
+}
+
+// Append an image to a collection; returns false if it is already in it
+function addCollectionImage(collectionId, imageId) {
+    const result = statement(`
+        INSERT OR IGNORE INTO collection_images (collection_id, image_id, position)
+        SELECT @collection_id, @image_id, COALESCE(MAX(position), 0) + 1
+        FROM collection_images WHERE collection_id = @collection_id
+    `).run({ collection_id: collectionId, image_id: imageId });
+    return result.changes > 0;
+}
+
+function removeCollectionImage(collectionId, imageId) {
+    return statement('DELETE FROM collection_images WHERE collection_id = ? AND image_id = ?')
+        .run(collectionId, imageId).changes > 0;
+}
+
+// --- Annotations ---
+
+// Annotations made before accounts existed have no author or timestamps. A category that
+// has since been deleted reads as none.
+function rowToAnnotation(row) {
+    const annotation = { id: row.id, text: row.text, type: row.type };
+    if (row.point !== null) annotation.point = JSON.parse(row.point);
+    if (row.geometry !== null) annotation.geometry = JSON.parse(row.geometry);
+    annotation.category = row.category_id || null;
+    annotation.style = row.style ? JSON.parse(row.style) : null;
+    annotation.author = row.author_name || null;
+    annotation.authorId = row.author || null;
+    annotation.created = row.created || null;
+    annotation.updated = row.updated || null;
+    return annotation;
+}
+
+function annotationParams(imageId, annotation) {
+    return {
+        image_id: imageId,
+        id: annotation.id,
+        type: annotation.type || 'point',
+        text: annotation.text,
+        point: annotation.point ? JSON.stringify(annotation.point) : null,
+        geometry: annotation.geometry ? JSON.stringify(annotation.geometry) : null,
+        category: annotation.category || null,
+        style: annotation.style ? JSON.stringify(annotation.style) : null,
+        author: annotation.authorId || null,
+        created: annotation.created || null,
+        updated: annotation.updated || null
+    };
+}
+
+const ANNOTATION_QUERY = `
+    SELECT annotations.*, users.username AS author_name, annotation_categories.id AS category_id
+    FROM annotations
+    LEFT JOIN users ON users.id = annotations.author
+    LEFT JOIN annotation_categories ON annotation_categories.id = annotations.category`;
+
+// Annotations of an image in the order they were created
+function listAnnotations(imageId) {
+    return statement(`${ANNOTATION_QUERY} WHERE annotations.image_id = ? ORDER BY annotations.rowid`)
+        .all(imageId)
+        .map(rowToAnnotation);
+}
+
+// Number of annotations per image id (images without annotations are absent)
+function countAnnotations() {
+    const rows = statement('SELECT image_id, COUNT(*) AS count FROM annotations GROUP BY image_id').all();
+    return new Map(rows.map(row => [row.image_id, row.count]));
+}
+
+// Ids of all images that have at least one annotation
+function listAnnotatedImageIds() {
+    return statement('SELECT DISTINCT image_id FROM annotations').pluck().all();
+}
+
+function getAnnotation(imageId, id) {
+    const row = statement(`${ANNOTATION_QUERY} WHERE annotations.image_id = ? AND annotations.id = ?`).get(imageId, id);
+    return row ? rowToAnnotation(row) : null;
+}
+
+// Add an annotation (with its authorId, created and updated); returns false if the image
+// already has one with this id
+function insertAnnotation(imageId, annotation) {
+    const result = statement(`
+        INSERT OR IGNORE INTO annotations (image_id, id, type, text, point, geometry, category, style, author, created, updated)
+        VALUES (@image_id, @id, @type, @text, @point, @geometry, @category, @style, @author, @created, @updated)
+    `).run(annotationParams(imageId, annotation));
+    return result.changes > 0;
+}
+
+// Replace a stored annotation, keeping its position, author and creation time;
+// returns false if it does not exist
+function updateAnnotation(imageId, annotation) {
+    const result = statement(`
+        UPDATE annotations SET type = @type, text = @text, point = @point, geometry = @geometry,
+            category = @category, style = @style, updated = @updated
+        WHERE image_id = @image_id AND id = @id
+    `).run(annotationParams(imageId, annotation));
+    return result.changes > 0;
+}
+
+function deleteAnnotation(imageId, id) {
+    return statement('DELETE FROM annotations WHERE image_id = ? AND id = ?').run(imageId, id).changes > 0;
+}
+
+// --- Annotation categories ---
+
+function rowToCategory(row) {
+    return { id: row.id, name: row.name, color: row.color, icon: row.icon || null, created: row.created };
+}
+
+function listCategories() {
+    return statement('SELECT * FROM annotation_categories ORDER BY name').all().map(rowToCategory);
+}
+
+function getCategory(id) {
+    const row = statement('SELECT * FROM annotation_categories WHERE id = ?').get(id);
+    return row ? rowToCategory(row) : null;
+}
+
+// Names are unique regardless of case
+function findCategoryByName(name) {
+    const row = statement('SELECT * FROM annotation_categories WHERE name = ?').get(name);
+    return row ? rowToCategory(row) : null;
+}
+
+// Add a category; returns false if one with this id or name already exists
+function insertCategory(category) {
+    const result = statement(`
+        INSERT OR IGNORE INTO annotation_categories (id, name, color, icon, created)
+        VALUES (@id, @name, @color, @icon, @created)
+    `).run({
+        id: category.id,
+        name: category.name,
+        color: category.color,
+        icon: category.icon || null,
+        created: category.created || new Date().toISOString()
+    });
+    return result.changes > 0;
+}
+
+function updateCategory(id, { name, color, icon }) {
+    return statement('UPDATE annotation_categories SET name = ?, color = ?, icon = ? WHERE id = ?')
+        .run(name, color, icon || null, id).changes > 0;
+}
+
+// Ids of the images with annotations in a category
+function listCategoryImageIds(id) {
+    return statement('SELECT DISTINCT image_id FROM annotations WHERE category = ?').pluck().all(id);
+}
+
+// Delete a category; its annotations keep their own style overrides but have no category
+function deleteCategory(id) {
+    return transaction(() => {
+        statement('UPDATE annotations SET category = NULL WHERE category = ?').run(id);
+        return statement('DELETE FROM annotation_categories WHERE id = ?').run(id).changes > 0;
+    });
+}
+
+// --- Annotation history ---
+
+// What an annotation said, where and how it looked, as kept in its history
+function annotationContent(annotation) {
+    if (!annotation) return null;
+    const content = { id: annotation.id, type: annotation.type || 'point', text: annotation.text };
+    if (annotation.point) content.point = annotation.point;
+    if (annotation.geometry) content.geometry = annotation.geometry;
+    if (annotation.category) content.category = annotation.category;
+    if (annotation.style) content.style = annotation.style;
+    return content;
+}
+
+function rowToAnnotationChange(row) {
+    return {
+        version: row.version,
+        action: row.action,
+        user: row.username || null,
+        userId: row.user_id || null,
+        time: row.created,
+        before: row.before ? JSON.parse(row.before) : null,
+        after: row.after ? JSON.parse(row.after) : null
+    };
+}
+
+// Add the next version to an annotation's history. action is 'create', 'update', 'delete' or
+// 'restore'; before and after are the annotation around the change (null where it did not exist).
+function recordAnnotationChange(imageId, annotationId, { action, userId, before, after }) {
+    statement(`
+        INSERT INTO annotation_changes (image_id, annotation_id, version, action, user_id, created, before, after)
+        SELECT @image_id, @annotation_id, COALESCE(MAX(version), 0) + 1, @action, @user_id, @created, @before, @after
+        FROM annotation_changes WHERE image_id = @image_id AND annotation_id = @annotation_id
+    `).run({
+        image_id: imageId,
+        annotation_id: annotationId,
+        action,
+        user_id: userId || null,
+        created: new Date().toISOString(),
+        before: before ? JSON.stringify(annotationContent(before)) : null,
+        after: after ? JSON.stringify(annotationContent(after)) : null
+    });
+}
+
+// History of an annotation, oldest first (empty for annotations not changed since history began)
+function listAnnotationChanges(imageId, annotationId) {
+    return statement(`
+        SELECT annotation_changes.*, users.username
+        FROM annotation_changes
+        LEFT JOIN users ON users.id = annotation_changes.user_id
+        WHERE image_id = ? AND annotation_id = ?
+        ORDER BY version
+    `).all(imageId, annotationId).map(rowToAnnotationChange);
+}
+
+// --- Comments ---
+
+// Threads carry their resolved status; replies do not
+function rowToComment(row) {
+    const comment = {
+        id: row.id,
+        parentId: row.parent_id || null,
+        body: row.body,
+        author: row.author_name || null,
+        authorId: row.author || null,
+        created: row.created,
+        updated: row.updated
+    };
+    if (!row.parent_id) {
+        comment.resolved = row.resolved !== null;
+        comment.resolvedAt = row.resolved;
+        comment.resolvedBy = row.resolved_by_name || null;
+    }
+    return comment;
+}
+
+const COMMENT_QUERY = `
+    SELECT c.*, authors.username AS author_name, resolvers.username AS resolved_by_name
+    FROM annotation_comments c
+    LEFT JOIN users authors ON authors.id = c.author
+    LEFT JOIN users resolvers ON resolvers.id = c.resolved_by`;
+
+// Comment threads of an annotation, oldest first, each with its replies (oldest first)
+function listCommentThreads(imageId, annotationId) {
+    const comments = statement(`${COMMENT_QUERY} WHERE c.image_id = ? AND c.annotation_id = ? ORDER BY c.rowid`)
+        .all(imageId, annotationId)
+        .map(rowToComment);
+
+    const threads = new Map(comments.filter(c => !c.parentId).map(c => [c.id, { ...c, replies: [] }]));
+    comments.filter(c => c.parentId).forEach(reply => threads.get(reply.parentId)?.replies.push(reply));
+    return Array.from(threads.values());
+}
+
+function getComment(imageId, annotationId, id) {
+    const row = statement(`${COMMENT_QUERY} WHERE c.image_id = ? AND c.annotation_id = ? AND c.id = ?`)
+        .get(imageId, annotationId, id);
+    return row ? rowToComment(row) : null;
+}
+
+// Add a thread, or a reply to one (parentId)
+function insertComment(imageId, annotationId, comment) {
+    statement(`
+        INSERT INTO annotation_comments (id, image_id, annotation_id, parent_id, author, body, created, updated)
+        VALUES (@id, @image_id, @annotation_id, @parent_id, @author, @body, @created, @created)
+    `).run({
+        id: comment.id,
+        image_id: imageId,
+        annotation_id: annotationId,
+        parent_id: comment.parentId || null,
+        author: comment.authorId || null,
+        body: comment.body,
+        created: comment.created || new Date().toISOString()
+    });
+    return getComment(imageId, annotationId, comment.id);
+}
+
+function updateCommentBody(id, body) {
+    statement('UPDATE annotation_comments SET body = ?, updated = ? WHERE id = ?').run(body, new Date().toISOString(), id);
+}
+
+// Resolve a thread (recording who did) or reopen it
+function setCommentResolved(id, resolved, userId) {
+    statement('UPDATE annotation_comments SET resolved = ?, resolved_by = ? WHERE id = ?').run(
+        resolved ? new Date().toISOString() : null,
+        resolved ? userId || null : null,
+        id
+    );
+}
+
+// Delete a comment, and its replies if it starts a thread
+function deleteComment(id) {
+    return statement('DELETE FROM annotation_comments WHERE id = ? OR parent_id = ?').run(id, id).changes > 0;
+}
+
+// --- Trash ---
+
+function rowToTrashedImage(row) {
+    const { image, annotations } = JSON.parse(row.data);
+    return {
+        id: row.id,
+        name: row.name,
+        importedById: image ? image.importedById || null : null,
+        annotationCount: annotations.length,
+        deletedBy: row.deleted_by_name || null,
+        deletedById: row.deleted_by || null,
+        deleted: row.deleted
+    };
+}
+
+const TRASHED_IMAGE_QUERY = `
+    SELECT trashed_images.*, users.username AS deleted_by_name
+    FROM trashed_images
+    LEFT JOIN users ON users.id = trashed_images.deleted_by`;
+
+// Images in the trash, most recently deleted first
+function listTrashedImages() {
+    return statement(`${TRASHED_IMAGE_QUERY} ORDER BY deleted DESC`).all().map(rowToTrashedImage);
+}
+
+function getTrashedImage(id) {
+    const row = statement(`${TRASHED_IMAGE_QUERY} WHERE trashed_images.id = ?`).get(id);
+    return row ? rowToTrashedImage(row) : null;
+}
+
+// Move an image to the trash: its record, annotations, tags, shares and places in collections are
+// kept so restoreImage() can put them back. The tile folder is left for the caller to remove on purge.
+function trashImage(id, userId) {
+    return transaction(() => {
+        const image = getImage(id);
+        const data = {
+            image,
+            annotations: listAnnotations(id),
+            tags: getImageTags(id),
+            userShares: statement('SELECT user_id FROM image_user_shares WHERE image_id = ?').pluck().all(id),
+            groupShares: statement('SELECT group_id FROM image_group_shares WHERE image_id = ?').pluck().all(id),
+            collections: statement('SELECT collection_id, position FROM collection_images WHERE image_id = ?').all(id)
+        };
+
+        statement(`
+            INSERT INTO trashed_images (id, name, data, deleted_by, deleted)
+            VALUES (@id, @name, @data, @deleted_by, @deleted)
+        `).run({
+            id,
+            name: image ? image.name : id,
+            data: JSON.stringify(data),
+            deleted_by: userId || null,
+            deleted: new Date().toISOString()
+        });
+        deleteImage(id);
+    });
+}
+
+// Put an image back from the trash, with what it had when it was deleted. Shares with users or
+// groups, and collections, deleted in the meantime are left out. Returns false if it is not in the trash.
+function restoreImage(id) {
+    return transaction(() => {
+        const row = statement('SELECT data FROM trashed_images WHERE id = ?').get(id);
+        if (!row) {
+            return false;
+        }
+        const data = JSON.parse(row.data);
+
+        if (data.image) {
+            insertImage(data.image);
+        }
+        data.annotations.forEach(annotation => insertAnnotation(id, annotation));
+        setImageTags(id, data.tags);
+        data.userShares.forEach(userId => {
+            statement(`
+                INSERT OR IGNORE INTO image_user_shares (image_id, user_id)
+                SELECT ?, id FROM users WHERE id = ?
+            `).run(id, userId);
+        });
+        data.groupShares.forEach(groupId => {
+            statement(`
+                INSERT OR IGNORE INTO image_group_shares (image_id, group_id)
+                SELECT ?, id FROM user_groups WHERE id = ?
+            `).run(id, groupId);
+        });
+        data.collections.forEach(({ collection_id: collectionId, position }) => {
+            statement(`
+                INSERT OR IGNORE INTO collection_images (collection_id, image_id, position)
+                SELECT id, ?, ? FROM collections WHERE id = ?
+            `).run(id, position, collectionId);
+        });
+
+        statement('DELETE FROM trashed_images WHERE id = ?').run(id);
+        return true;
+    });
+}
+
+// Forget an image in the trash for good, with its deleted annotations and the history and
+// comments of its annotations
+function deleteTrashedImage(id) {
+    return transaction(() => {
+        statement('DELETE FROM trashed_annotations WHERE image_id = ?').run(id);
+        statement('DELETE FROM annotation_changes WHERE image_id = ?').run(id);
+        statement('DELETE FROM annotation_comments WHERE image_id = ?').run(id);
+        return statement('DELETE FROM trashed_images WHERE id = ?').run(id).changes > 0;
+    });
+}
+
+function rowToTrashedAnnotation(row) {
+    const annotation = JSON.parse(row.data);
+    annotation.author = row.author_name || null;
+    return {
+        imageId: row.image_id,
+        imageName: row.image_name || row.image_id,
+        annotation,
+        deletedBy: row.deleted_by_name || null,
+        deletedById: row.deleted_by || null,
+        deleted: row.deleted
+    };
+}
+
+const TRASHED_ANNOTATION_QUERY = `
+    SELECT t.*, images.name AS image_name, deleters.username AS deleted_by_name, authors.username AS author_name
+    FROM trashed_annotations t
+    LEFT JOIN images ON images.id = t.image_id
+    LEFT JOIN users deleters ON deleters.id = t.deleted_by
+    LEFT JOIN users authors ON authors.id = json_extract(t.data, '$.authorId')`;
+
+// Annotations in the trash, most recently deleted first
+function listTrashedAnnotations() {
+    return statement(`${TRASHED_ANNOTATION_QUERY} ORDER BY t.deleted DESC`).all().map(rowToTrashedAnnotation);
+}
+
+function getTrashedAnnotation(imageId, id) {
+    const row = statement(`${TRASHED_ANNOTATION_QUERY} WHERE t.image_id = ? AND t.id = ?`).get(imageId, id);
+    return row ? rowToTrashedAnnotation(row) : null;
+}
+
+// Move an annotation to the trash (replacing an older deleted one with the same id);
+// returns false if it does not exist
+function trashAnnotation(imageId, id, userId) {
+    return transaction(() => {
+        const annotation = getAnnotation(imageId, id);
+        if (!annotation) {
+            return false;
+        }
+        delete annotation.author;
+
+        statement(`
+            INSERT OR REPLACE INTO trashed_annotations (image_id, id, data, deleted_by, deleted)
+            VALUES (@image_id, @id, @data, @deleted_by, @deleted)
+        `).run({
+            image_id: imageId,
+            id,
+            data: JSON.stringify(annotation),
+            deleted_by: userId || null,
+            deleted: new Date().toISOString()
+        });
+        return deleteAnnotation(imageId, id);
+    });
+}
+
+// Put an annotation back from the trash; returns false if it is not in the trash
+// or another annotation has taken its id
+function restoreAnnotation(imageId, id) {
+    return transaction(() => {
+        const trashed = getTrashedAnnotation(imageId, id);
+        if (!trashed || !insertAnnotation(imageId, trashed.annotation)) {
+            return false;
+        }
+        statement('DELETE FROM trashed_annotations WHERE image_id = ? AND id = ?').run(imageId, id);
+        return true;
+    });
+}
+
+// Forget an annotation in the trash for good, with its history and comments unless its id is in use again
+function deleteTrashedAnnotation(imageId, id) {
+    return transaction(() => {
+        ['annotation_changes', 'annotation_comments'].forEach(table => {
+            statement(`
+                DELETE FROM ${table} WHERE image_id = @image_id AND annotation_id = @id
+                AND NOT EXISTS (SELECT 1 FROM annotations WHERE image_id = @image_id AND id = @id)
+            `).run({ image_id: imageId, id });
+        });
+        return statement('DELETE FROM trashed_annotations WHERE image_id = ? AND id = ?').run(imageId, id).changes > 0;
+    });
+}
+
+// --- Users ---
+
+function rowToUser(row) {
+    return { id: row.id, username: row.username, role: row.role, created: row.created };
+}
+
+function countUsers() {
+    return statement('SELECT COUNT(*) FROM users').pluck().get();
+}
+
+function countAdmins() {
+    return statement(`SELECT COUNT(*) FROM users WHERE role = 'admin'`).pluck().get();
+}
+
+function listUsers() {
+    return statement('SELECT * FROM users ORDER BY username COLLATE NOCASE').all().map(rowToUser);
+}
+
+function getUser(id) {
+    const row = statement('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? rowToUser(row) : null;
+}
+
+function setUserRole(id, role) {
+    return statement('UPDATE users SET role = ? WHERE id = ?').run(role, id).changes > 0;
+}
+
+// Add a user; returns false if the username (in any case) is taken
+function insertUser(user) {
+    const result = statement(`
+        INSERT OR IGNORE INTO users (id, username, password_hash, role, created)
+        VALUES (@id, @username, @password_hash, @role, @created)
+    `).run({
+        id: user.id,
+        username: user.username,
+        password_hash: user.passwordHash,
+        role: user.role,
+        created: user.created || new Date().toISOString()
+    });
+    return result.changes > 0;
+}
+
+// A user with their password hash, for signing in
+function getUserCredentials(username) {
+    const row = statement('SELECT * FROM users WHERE username = ?').get(username);
+    return row ? { ...rowToUser(row), passwordHash: row.password_hash } : null;
+}
+
+// --- Groups ---
+
+function rowToGroup(row) {
+    return { id: row.id, name: row.name, created: row.created };
+}
+
+function listGroupMembers(groupId) {
+    return statement(`
+        SELECT users.id, users.username FROM user_group_members m
+        JOIN users ON users.id = m.user_id
+        WHERE m.group_id = ? ORDER BY users.username COLLATE NOCASE
+    `).all(groupId);
+}
+
+// Every group with its members, alphabetically
+function listGroups() {
+    return statement('SELECT * FROM user_groups ORDER BY name COLLATE NOCASE').all()
+        .map(row => ({ ...rowToGroup(row), members: listGroupMembers(row.id) }));
+}
+
+function getGroup(id) {
+    const row = statement('SELECT * FROM user_groups WHERE id = ?').get(id);
+    return row ? { ...rowToGroup(row), members: listGroupMembers(id) } : null;
+}
+
+// Add a group; returns false if the name (in any case) is taken
+function insertGroup(group) {
+    const result = statement('INSERT OR IGNORE INTO user_groups (id, name, created) VALUES (@id, @name, @created)').run({
+        id: group.id,
+        name: group.name,
+        created: group.created || new Date().toISOString()
+    });
+    return result.changes > 0;
+}
+
+// Replace the members of a group
+function setGroupMembers(groupId, userIds) {
+    transaction(() => {
+        statement('DELETE FROM user_group_members WHERE group_id = ?').run(groupId);
+        userIds.forEach(userId => {
+            statement('INSERT OR IGNORE INTO user_group_members (group_id, user_id) VALUES (?, ?)').run(groupId, userId);
+        });
+    });
+}
+
+// Remove a group, its members and the images shared with it
+function deleteGroup(id) {
+    return transaction(() => {
+        statement('DELETE FROM user_group_members WHERE group_id = ?').run(id);
+        statement('DELETE FROM image_group_shares WHERE group_id = ?').run(id);
+        return statement('DELETE FROM user_groups WHERE id = ?').run(id).changes > 0;
+    });
+}
+
+// --- Sessions ---
+
+function insertSession(session) {
+    statement(`
+        INSERT INTO sessions (token_hash, user_id, created, expires)
+        VALUES (@token_hash, @user_id, @created, @expires)
+    `).run({
+        token_hash: session.tokenHash,
+        user_id: session.userId,
+        created: session.created,
+        expires: session.expires
+    });
+}
+
+// The user of a session that has not expired by `now`, or null
+function getSessionUser(tokenHash, now) {
+    const row = statement(`
+        SELECT users.* FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ? AND sessions.expires > ?
+    `).get(tokenHash, now);
+    return row ? rowToUser(row) : null;
+}
+
+function deleteSession(tokenHash) {
+    statement('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+function deleteExpiredSessions(now) {
+    statement('DELETE FROM sessions WHERE expires <= ?').run(now);
+}
+
+// --- Jobs ---
+
+function listJobs() {
+    return statement('SELECT data FROM jobs ORDER BY rowid').pluck().all().map(data => JSON.parse(data));
+}
+
+function saveJob(job) {
+    statement(`
+        INSERT INTO jobs (id, status, image_id, updated, data)
+        VALUES (@id, @status, @image_id, @updated, @data)
+        ON CONFLICT (id) DO UPDATE SET
+            status = excluded.status, updated = excluded.updated, data = excluded.data
+    `).run({
+        id: job.id,
+        status: job.status,
+        image_id: job.imageId,
+        updated: job.updated,
+        data: JSON.stringify(job)
+    });
+}
+
+function deleteJob(id) {
+    statement('DELETE FROM jobs WHERE id = ?').run(id);
+}
+
+// --- Search ---
+
+// Search the index for all words of `text` (each may be the start of a word), best matches first,
+// leaving out images the user (null for a visitor) may not see.
+// Matched terms in `title` and `snippet` are wrapped in MATCH_START / MATCH_END.
+function search(text, limit, user) {
+    const words = text.match(/[\p{L}\p{N}_]+/gu) || [];
+    if (words.length === 0) {
+        return [];
+    }
+    const query = words.map(word => `"${word}"*`).join(' ');
+
+    return statement(`
+        SELECT search_index.kind, search_index.image_id, search_index.annotation_id,
+            highlight(search_index, 3, @start, @end) AS title,
+            snippet(search_index, 4, @start, @end, '…', 16) AS snippet,
+            bm25(search_index, 0, 0, 0, 10.0, 1.0) AS score,
+            i.name AS image_name, i.rendition, a.type AS annotation_type
+        FROM search_index
+        LEFT JOIN images i ON i.id = search_index.image_id
+        LEFT JOIN annotations a ON search_index.kind = 'annotation'
+            AND a.image_id = search_index.image_id AND a.id = search_index.annotation_id
+        WHERE search_index MATCH @query AND ${VISIBLE_IMAGE}
+        ORDER BY score
+        LIMIT @limit
+    `).all({ ...viewerParams(user), query, limit, start: MATCH_START, end: MATCH_END });
+}
+
+// --- Migrations ---
+
+function isMigrationApplied(name) {
+    return statement('SELECT 1 FROM migrations WHERE name = ?').get(name) !== undefined;
+}
+
+function recordMigration(name) {
+    statement('INSERT OR IGNORE INTO migrations (name, applied) VALUES (?, ?)').run(name, new Date().toISOString());
+}
+
+module.exports = {
+    MATCH_START,
+    MATCH_END,
+    open,
+    close,
+    transaction,
+    listImages,
+    getImage,
+    insertImage,
+    setImageMetadata,
+    setImageScale,
+    canViewImage,
+    listHiddenImageIds,
+    getImageSharing,
+    setImageSharing,
+    deleteImage,
+    listTags,
+    listImageTags,
+    getImageTags,
+    setImageTags,
+    listCollections,
+    getCollection,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    listCollectionImageIds,
+    addCollectionImage,
+    removeCollectionImage,
+    listAnnotations,
+    countAnnotations,
+    listAnnotatedImageIds,
+    getAnnotation,
+    insertAnnotation,
+    updateAnnotation,
+    deleteAnnotation,
+    listCategories,
+    getCategory,
+    findCategoryByName,
+    insertCategory,
+    updateCategory,
+    listCategoryImageIds,
+    deleteCategory,
+    recordAnnotationChange,
+    listAnnotationChanges,
+    listCommentThreads,
+    getComment,
+    insertComment,
+    updateCommentBody,
+    setCommentResolved,
+    deleteComment,
+    listTrashedImages,
+    getTrashedImage,
+    trashImage,
+    restoreImage,
+    deleteTrashedImage,
+    listTrashedAnnotations,
+    getTrashedAnnotation,
+    trashAnnotation,
+    restoreAnnotation,
+    deleteTrashedAnnotation,
+    countUsers,
+    countAdmins,
+    listUsers,
+    getUser,
+    setUserRole,
+    insertUser,
+    getUserCredentials,
+    listGroups,
+    getGroup,
+    insertGroup,
+    setGroupMembers,
+    deleteGroup,
+    insertSession,
+    getSessionUser,
+    deleteSession,
+    deleteExpiredSessions,
+    listJobs,
+    saveJob,
+    deleteJob,
+    search,
+    isMigrationApplied,
+    recordMigration
+};
@@ -0,0 +1,209 @@
+// /api/nasa/search against a local stand-in for images-api.nasa.gov: the search filters must be
+// passed on, and the NASA response mapped to { items, totalHits, page, nextPage }.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const STARTUP_TIMEOUT = 20000; // ms to wait for the server to answer
+
+const stub = {
+    requests: [], // URLs of the searches the server made
+    respond: null // (res) => void; answers the next search
+};
+let stubServer;
+let serverProcess;
+let dataDir;
+let baseUrl;
+
+function nasaItem(nasaId, title) {
+    return {
+        data: [{ nasa_id: nasaId, title, description: `About ${title}`, center: 'JSC', date_created: '1969-07-20T00:00:00Z' }],
+        links: [{ href: `https://images-assets.nasa.gov/image/${nasaId}/${nasaId}~thumb.jpg`, rel: 'preview' }]
+    };
+}
+
+function sendCollection(collection) {
+    return (res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ collection }));
+    };
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = http.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+async function waitForServer() {
+    const deadline = Date.now() + STARTUP_TIMEOUT;
+    while (Date.now() < deadline) {
+        try {
+            if ((await fetch(`${baseUrl}/api/health`)).ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error('Server did not start');
+}
+
+async function search(params) {
+    const response = await fetch(`${baseUrl}/api/nasa/search?${new URLSearchParams(params)}`);
+    return { status: response.status, body: response.ok ? await response.json() : await response.text() };
+}
+
+test.before(async () => {
+    stubServer = http.createServer((req, res) => {
+        stub.requests.push(new URL(req.url, 'http://stub'));
+        stub.respond(res);
+    });
+    await new Promise(resolve => stubServer.listen(0, '127.0.0.1', resolve));
+
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viewer-test-'));
+    serverProcess = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            NASA_IMAGES_API_URL: `http://127.0.0.1:${stubServer.address().port}`
+        },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+});
+
+test.after(() => {
+    serverProcess.kill();
+    stubServer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+    stub.requests = [];
+    stub.respond = sendCollection({ items: [], metadata: { total_hits: 0 } });
+});
+
+test('search filters and page are passed on to the NASA API', async () => {
+    const { status } = await search({
+        q: 'moon landing',
+        center: 'JSC',
+        year_start: '1969',
+        year_end: '1972',
+        keywords: 'apollo 11,eva',
+        photographer: 'Neil Armstrong',
+        page: '3'
+    });
+
+    assert.equal(status, 200);
+    assert.equal(stub.requests.length, 1);
+    const [request] = stub.requests;
+    assert.equal(request.pathname, '/search');
+    assert.deepEqual(Object.fromEntries(request.searchParams), {
+        q: 'moon landing',
+        center: 'JSC',
+        year_start: '1969',
+        year_end: '1972',
+        keywords: 'apollo 11,eva',
+        photographer: 'Neil Armstrong',
+        media_type: 'image',
+        page: '3',
+        page_size: '50'
+    });
+});
+
+test('filters that are not given are left out', async () => {
+    await search({ center: 'GSFC' });
+
+    assert.deepEqual(Object.fromEntries(stub.requests[0].searchParams), {
+        center: 'GSFC',
+        media_type: 'image',
+        page: '1',
+        page_size: '50'
+    });
+});
+
+test('results, total hits and the next page are mapped from the NASA response', async () => {
+    stub.respond = sendCollection({
+        items: [
+            nasaItem('as11-40-5903', 'Buzz Aldrin on the Moon'),
+            { data: [{ nasa_id: 'no-thumbnail', title: 'No preview' }] },
+            nasaItem('as11-44-6551', '')
+        ],
+        metadata: { total_hits: 1234 },
+        links: [{ rel: 'prev', href: 'https://images-api.nasa.gov/search?page=1' }, { rel: 'next', href: 'https://images-api.nasa.gov/search?page=3' }]
+    });
+
+    const { status, body } = await search({ q: 'apollo', page: '2' });
+
+    assert.equal(status, 200);
+    assert.equal(body.totalHits, 1234);
+    assert.equal(body.page, 2);
+    assert.equal(body.nextPage, 3);
+    assert.deepEqual(body.items.map(item => [item.nasa_id, item.title]), [
+        ['as11-40-5903', 'Buzz Aldrin on the Moon'],
+        ['as11-44-6551', 'Untitled']
+    ]);
+    assert.deepEqual(body.items[0], {
+        nasa_id: 'as11-40-5903',
+        title: 'Buzz Aldrin on the Moon',
+        thumbnail: 'https://images-assets.nasa.gov/image/as11-40-5903/as11-40-5903~thumb.jpg',
+        description: 'About Buzz Aldrin on the Moon',
+        center: 'JSC',
+        date_created: '1969-07-20T00:00:00Z'
+    });
+});
+
+test('there is no next page without a next link or past the NASA result limit', async () => {
+    stub.respond = sendCollection({ items: [nasaItem('last', 'Last')], metadata: { total_hits: 51 } });
+    assert.equal((await search({ q: 'apollo', page: '2' })).body.nextPage, null);
+
+    // The NASA API does not page past 10000 hits, 200 pages of 50
+    stub.respond = sendCollection({ items: [], metadata: { total_hits: 50000 }, links: [{ rel: 'next', href: 'x' }] });
+    assert.equal((await search({ q: 'apollo', page: '200' })).body.nextPage, null);
+});
+
+test('a response without a collection is an empty result', async () => {
+    stub.respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+    };
+
+    const { body } = await search({ q: 'apollo', page: '4' });
+    assert.deepEqual(body, { items: [], totalHits: 0, page: 4, nextPage: null });
+});
+
+test('NASA API errors are passed on', async () => {
+    stub.respond = (res) => {
+        res.writeHead(503);
+        res.end('Unavailable');
+    };
+
+    const { status, body } = await search({ q: 'apollo' });
+    assert.equal(status, 503);
+    assert.equal(body, 'NASA API error');
+});
+
+test('invalid filters are refused without asking the NASA API', async () => {
+    for (const params of [
+        { q: 'apollo', year_start: '1972', year_end: '1969' },
+        { q: 'apollo', center: 'J S C' },
+        { q: 'apollo', page: '0' },
+        { q: 'apollo', page: '201' },
+        { year_start: '1969' }
+    ]) {
+        assert.equal((await search(params)).status, 400, JSON.stringify(params));
+    }
+    assert.equal(stub.requests.length, 0);
+});
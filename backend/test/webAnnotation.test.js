@@ -0,0 +1,117 @@
+// Round trips through the W3C Web Annotation conversion: export, import the result and
+// export again; the annotations and the documents must come back unchanged.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toAnnotationCollection, fromWebAnnotationDocument } = require('../webAnnotation');
+
+const EXPORT_OPTIONS = {
+    id: 'https://viewer.example/api/images/abc/annotations/export',
+    label: 'Annotations on abc',
+    source: 'https://viewer.example/iiif/abc/full/max/0/default.jpg',
+    annotationBaseUrl: 'https://viewer.example/api/images/abc/annotations'
+};
+
+const ANNOTATIONS = {
+    point: { id: 'pin-1', text: 'Landing site', type: 'point', point: { x: 1520.5, y: 830 } },
+    rectangle: { id: 'shape-rect', text: 'Crater field', type: 'rectangle', geometry: { x: 100, y: 200, width: 640, height: 480 } },
+    ellipse: { id: 'shape-ellipse', text: 'Crater rim', type: 'ellipse', geometry: { cx: 5120, cy: 3400, rx: 220, ry: 180.25 } },
+    polygon: {
+        id: 'shape-polygon', text: 'Dune', type: 'polygon',
+        geometry: { points: [{ x: 10, y: 10 }, { x: 90, y: 15.5 }, { x: 60, y: 80 }] }
+    },
+    polyline: {
+        id: 'shape-polyline', text: 'Rover track', type: 'polyline',
+        geometry: { points: [{ x: 0, y: 0 }, { x: 25, y: 40 }, { x: 75, y: 42 }] }
+    },
+    freehand: {
+        id: 'shape-freehand', text: 'Ridge', type: 'freehand',
+        geometry: { points: [{ x: 300, y: 300 }, { x: 304.5, y: 310 }, { x: 312, y: 318 }, { x: 330, y: 321 }] }
+    },
+    ruler: {
+        id: 'shape-ruler', text: 'Crater width', type: 'ruler',
+        geometry: { points: [{ x: 1200, y: 640 }, { x: 1875.25, y: 702 }] }
+    },
+    area: {
+        id: 'shape-area', text: 'Ejecta blanket', type: 'area',
+        geometry: { points: [{ x: 400, y: 400 }, { x: 520, y: 410.5 }, { x: 560, y: 530 }, { x: 410, y: 555 }] }
+    },
+    angle: {
+        id: 'shape-angle', text: 'Slope', type: 'angle',
+        geometry: { points: [{ x: 50, y: 900 }, { x: 200, y: 900 }, { x: 280.5, y: 760 }] }
+    }
+};
+
+function roundTrip(annotations) {
+    const exported = toAnnotationCollection({ ...EXPORT_OPTIONS, annotations });
+    const imported = fromWebAnnotationDocument(JSON.parse(JSON.stringify(exported)));
+    const reimported = imported.map(({ annotation, sourceId, error }) => {
+        assert.equal(error, undefined);
+        return { id: sourceId, ...annotation };
+    });
+    return { exported, imported, reimported };
+}
+
+// The fields an annotation has after import; category and style are null when unset
+function expected(annotation) {
+    const { id, text, type, point, geometry, category = null, style = null } = annotation;
+    return { id, text, type, ...(point ? { point } : { geometry }), category, style };
+}
+
+Object.entries(ANNOTATIONS).forEach(([type, annotation]) => {
+    test(`${type} survives export, import and export`, () => {
+        const { exported, reimported } = roundTrip([annotation]);
+
+        assert.deepEqual(reimported, [expected(annotation)]);
+        assert.deepEqual(toAnnotationCollection({ ...EXPORT_OPTIONS, annotations: reimported }), exported);
+    });
+});
+
+test('a collection of every shape keeps its order', () => {
+    const annotations = Object.values(ANNOTATIONS);
+    const { exported, reimported } = roundTrip(annotations);
+
+    assert.equal(exported.total, annotations.length);
+    assert.deepEqual(reimported, annotations.map(expected));
+});
+
+test('text bodies keep unicode, markup and line breaks as plain text', () => {
+    const text = 'Crater <b>“Tycho”</b> & ejecta 🌕\nsecond line';
+    const annotation = { ...ANNOTATIONS.point, text };
+    const { exported, reimported } = roundTrip([annotation]);
+
+    assert.deepEqual(exported.first.items[0].body, { type: 'TextualBody', value: text, format: 'text/plain' });
+    assert.equal(reimported[0].text, text);
+});
+
+test('category and style are written as a classifying body and a stylesheet', () => {
+    const annotation = { ...ANNOTATIONS.ellipse, category: 'crater', style: { color: '#ff0000', icon: '"🎯' } };
+    const { exported, reimported } = roundTrip([annotation]);
+
+    const [item] = exported.first.items;
+    assert.deepEqual(item.body[1], { type: 'TextualBody', purpose: 'classifying', value: 'crater' });
+    assert.equal(item.stylesheet.type, 'CssStylesheet');
+    assert.equal(item.target.styleClass, 'annotation-style');
+    assert.deepEqual(reimported, [expected(annotation)]);
+    assert.deepEqual(toAnnotationCollection({ ...EXPORT_OPTIONS, annotations: reimported }), exported);
+});
+
+test('annotation ids with reserved characters come back decoded', () => {
+    const annotation = { ...ANNOTATIONS.rectangle, id: 'import 1/2' };
+    const { exported, reimported } = roundTrip([annotation]);
+
+    assert.equal(exported.first.items[0].id, `${EXPORT_OPTIONS.annotationBaseUrl}/import%201%2F2`);
+    assert.equal(reimported[0].id, 'import 1/2');
+});
+
+test('bodyValue and plain text bodies are read as the annotation text', () => {
+    const target = { type: 'SpecificResource', source: EXPORT_OPTIONS.source, selector: { type: 'FragmentSelector', value: 'xywh=pixel:5,6,0,0' } };
+    const [fromBodyValue, fromTextualBody] = fromWebAnnotationDocument([
+        { type: 'Annotation', bodyValue: 'Short note', target },
+        { type: 'Annotation', body: [{ type: 'TextualBody', purpose: 'tagging', value: 'tag' }, { type: 'TextualBody', value: 'Described' }], target }
+    ]);
+
+    assert.equal(fromBodyValue.annotation.text, 'Short note');
+    assert.equal(fromTextualBody.annotation.text, 'Described');
+    assert.deepEqual(fromTextualBody.annotation.point, { x: 5, y: 6 });
+});
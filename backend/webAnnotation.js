@@ -0,0 +1,409 @@
+// Conversion between stored annotations and the W3C Web Annotation Data Model
+// (https://www.w3.org/TR/annotation-model/).
+//
+// Points and rectangles are written as media-fragment FragmentSelectors
+// (`xywh=pixel:x,y,w,h`, with w = h = 0 for a point); other shapes become
+// SvgSelectors; measurements are polylines (rulers, angles) or polygons (areas) with
+// the measurement type as their class. All coordinates are full-resolution image pixels.
+// An annotation's category is a second, `classifying` body holding the category id, and
+// its own style a CssStylesheet setting the viewer's --annotation-color / --annotation-icon
+// on the target's styleClass.
+
+const ANNOTATION_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+const MEDIA_FRAGMENTS_SPEC = 'http://www.w3.org/TR/media-frags/';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STYLE_CLASS = 'annotation-style';
+
+// --- Export ---
+
+function formatPoints(points) {
+    return points.map(p => `${p.x},${p.y}`).join(' ');
+}
+
+function toSelector(annotation) {
+    const type = annotation.type || 'point';
+    const { geometry } = annotation;
+
+    switch (type) {
+        case 'point':
+            return {
+                type: 'FragmentSelector',
+                conformsTo: MEDIA_FRAGMENTS_SPEC,
+                value: `xywh=pixel:${annotation.point.x},${annotation.point.y},0,0`
+            };
+        case 'rectangle':
+            return {
+                type: 'FragmentSelector',
+                conformsTo: MEDIA_FRAGMENTS_SPEC,
+                value: `xywh=pixel:${geometry.x},${geometry.y},${geometry.width},${geometry.height}`
+            };
+        case 'ellipse':
+            return svgSelector(`<ellipse cx="${geometry.cx}" cy="${geometry.cy}" rx="${geometry.rx}" ry="${geometry.ry}"/>`);
+        case 'polygon':
+            return svgSelector(`<polygon points="${formatPoints(geometry.points)}"/>`);
+        case 'polyline':
+            return svgSelector(`<polyline points="${formatPoints(geometry.points)}"/>`);
+        case 'ruler':
+        case 'angle':
+            return svgSelector(`<polyline class="${type}" points="${formatPoints(geometry.points)}"/>`);
+        case 'area':
+            return svgSelector(`<polygon class="area" points="${formatPoints(geometry.points)}"/>`);
+        case 'freehand': {
+            const [first, ...rest] = geometry.points;
+            const d = `M${first.x},${first.y}` + rest.map(p => ` L${p.x},${p.y}`).join('');
+            return svgSelector(`<path d="${d}"/>`);
+        }
+        default:
+            throw new Error(`Unsupported annotation type: ${type}`);
+    }
+}
+
+function svgSelector(shapeMarkup) {
+    return { type: 'SvgSelector', value: `<svg xmlns="${SVG_NS}">${shapeMarkup}</svg>` };
+}
+
+// CSS for an annotation's style ({ color, icon }); the icon is a quoted CSS string
+function toStylesheet(style) {
+    const declarations = [];
+    if (style.color) {
+        declarations.push(`--annotation-color: ${style.color};`);
+    }
+    if (style.icon) {
+        declarations.push(`--annotation-icon: "${style.icon.replace(/["\\]/g, '\\$&')}";`);
+    }
+    return { type: 'CssStylesheet', value: `.${STYLE_CLASS} { ${declarations.join(' ')} }` };
+}
+
+// Convert one stored annotation to a Web Annotation targeting `source`
+function toWebAnnotation(annotation, { source, annotationBaseUrl }) {
+    const webAnnotation = {
+        id: `${annotationBaseUrl}/${encodeURIComponent(annotation.id)}`,
+        type: 'Annotation',
+        motivation: 'commenting',
+        body: {
+            type: 'TextualBody',
+            value: annotation.text,
+            format: 'text/plain'
+        },
+        target: {
+            type: 'SpecificResource',
+            source,
+            selector: toSelector(annotation)
+        }
+    };
+
+    if (annotation.style) {
+        webAnnotation.stylesheet = toStylesheet(annotation.style);
+        webAnnotation.target.styleClass = STYLE_CLASS;
+    }
+
+    if (annotation.category) {
+        webAnnotation.body = [webAnnotation.body, {
+            type: 'TextualBody',
+            purpose: 'classifying',
+            value: annotation.category
+        }];
+    }
+
+    // Provenance, for annotations made by a signed-in user
+    if (annotation.author) {
+        webAnnotation.creator = { type: 'Person', nickname: annotation.author };
+    }
+    if (annotation.created) {
+        webAnnotation.created = annotation.created;
+    }
+    if (annotation.updated) {
+        webAnnotation.modified = annotation.updated;
+    }
+    return webAnnotation;
+}
+
+// Build an AnnotationCollection (with a single embedded page) for one image
+function toAnnotationCollection({ id, label, source, annotationBaseUrl, annotations }) {
+    return {
+        '@context': ANNOTATION_CONTEXT,
+        id,
+        type: 'AnnotationCollection',
+        label,
+        total: annotations.length,
+        first: {
+            id: `${id}#page-1`,
+            type: 'AnnotationPage',
+            startIndex: 0,
+            items: annotations.map(annotation => toWebAnnotation(annotation, { source, annotationBaseUrl }))
+        }
+    };
+}
+
+// --- Import ---
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Collect the annotations in a collection, page, single annotation or plain array
+function extractWebAnnotations(document) {
+    if (Array.isArray(document)) {
+        return document;
+    }
+    if (!document || typeof document !== 'object') {
+        throw new Error('Expected a Web Annotation, AnnotationPage or AnnotationCollection');
+    }
+
+    const types = asArray(document.type);
+    if (types.includes('AnnotationCollection')) {
+        // Only embedded pages can be read; linked pages would need fetching
+        const pages = [];
+        let page = document.first;
+        while (page && typeof page === 'object') {
+            pages.push(page);
+            page = page.next;
+        }
+        return pages.flatMap(p => asArray(p.items));
+    }
+    if (types.includes('AnnotationPage')) {
+        return asArray(document.items);
+    }
+    if (types.includes('Annotation')) {
+        return [document];
+    }
+
+    throw new Error('Expected a Web Annotation, AnnotationPage or AnnotationCollection');
+}
+
+function readBodyText(webAnnotation) {
+    if (typeof webAnnotation.bodyValue === 'string') {
+        return webAnnotation.bodyValue;
+    }
+
+    const bodies = asArray(webAnnotation.body);
+    const textual = bodies.find(body => body && typeof body === 'object' &&
+        (body.type === 'TextualBody' || typeof body.value === 'string') &&
+        body.purpose !== 'tagging' && body.purpose !== 'classifying') ||
+        bodies.find(body => body && typeof body.value === 'string' && body.purpose !== 'classifying');
+
+    return textual ? textual.value : '';
+}
+
+// The category id from a `classifying` body, or null
+function readCategory(webAnnotation) {
+    const classifying = asArray(webAnnotation.body).find(body => body && typeof body === 'object' &&
+        body.purpose === 'classifying' && typeof body.value === 'string');
+    return classifying ? classifying.value : null;
+}
+
+// The style written by toStylesheet, or null; other stylesheets (and linked ones) are ignored
+function readStyle(webAnnotation) {
+    const { stylesheet } = webAnnotation;
+    if (!stylesheet || typeof stylesheet !== 'object' || typeof stylesheet.value !== 'string') {
+        return null;
+    }
+
+    const style = {};
+    const color = /--annotation-color\s*:\s*(#[0-9a-f]{6})\b/i.exec(stylesheet.value);
+    const icon = /--annotation-icon\s*:\s*"((?:[^"\\]|\\.)*)"/.exec(stylesheet.value);
+    if (color) {
+        style.color = color[1];
+    }
+    if (icon) {
+        style.icon = icon[1].replace(/\\(.)/g, '$1');
+    }
+    return style.color || style.icon ? style : null;
+}
+
+function parseNumbers(text) {
+    return (text.match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+}
+
+function parsePointList(text) {
+    const numbers = parseNumbers(text || '');
+    const points = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) {
+        points.push({ x: numbers[i], y: numbers[i + 1] });
+    }
+    return points;
+}
+
+// Parse `xywh=[pixel:]x,y,w,h` (percent: fragments need the image size and are not supported)
+function fromFragment(value) {
+    const match = /xywh=(?:(pixel|percent):)?([^&]+)/.exec(value || '');
+    if (!match) {
+        throw new Error('FragmentSelector has no xywh= value');
+    }
+    if (match[1] === 'percent') {
+        throw new Error('Percent-based xywh fragments are not supported');
+    }
+
+    const [x, y, width, height] = parseNumbers(match[2]);
+    if ([x, y, width, height].some(n => n === undefined)) {
+        throw new Error('Malformed xywh fragment');
+    }
+
+    if (width === 0 && height === 0) {
+        return { type: 'point', point: { x, y } };
+    }
+    return { type: 'rectangle', geometry: { x, y, width, height } };
+}
+
+function readSvgAttributes(markup) {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(markup)) !== null) {
+        attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+    }
+    return attributes;
+}
+
+// Read a path made of straight segments only (M/L/H/V/Z, absolute or relative)
+function parseLinePath(d) {
+    const commands = d.match(/[MLHVZ][^MLHVZ]*/gi) || [];
+    const points = [];
+    let current = { x: 0, y: 0 };
+    let closed = false;
+
+    if (/[CSQTA]/i.test(d)) {
+        throw new Error('Curved SVG paths are not supported');
+    }
+
+    commands.forEach(command => {
+        const letter = command[0];
+        const relative = letter === letter.toLowerCase();
+        const numbers = parseNumbers(command.slice(1));
+
+        switch (letter.toUpperCase()) {
+            case 'M':
+            case 'L':
+                for (let i = 0; i + 1 < numbers.length; i += 2) {
+                    current = relative
+                        ? { x: current.x + numbers[i], y: current.y + numbers[i + 1] }
+                        : { x: numbers[i], y: numbers[i + 1] };
+                    points.push(current);
+                }
+                break;
+            case 'H':
+                numbers.forEach(n => {
+                    current = { x: relative ? current.x + n : n, y: current.y };
+                    points.push(current);
+                });
+                break;
+            case 'V':
+                numbers.forEach(n => {
+                    current = { x: current.x, y: relative ? current.y + n : n };
+                    points.push(current);
+                });
+                break;
+            case 'Z':
+                closed = true;
+                break;
+        }
+    });
+
+    return { points, closed };
+}
+
+function fromSvg(value) {
+    const shape = /<(rect|circle|ellipse|polygon|polyline|path)\b([^>]*)>/i.exec(value || '');
+    if (!shape) {
+        throw new Error('SvgSelector contains no supported shape');
+    }
+
+    const attributes = readSvgAttributes(shape[2]);
+    const number = (name) => Number(attributes[name]);
+
+    switch (shape[1].toLowerCase()) {
+        case 'rect':
+            return {
+                type: 'rectangle',
+                geometry: { x: number('x') || 0, y: number('y') || 0, width: number('width'), height: number('height') }
+            };
+        case 'circle':
+            return { type: 'ellipse', geometry: { cx: number('cx'), cy: number('cy'), rx: number('r'), ry: number('r') } };
+        case 'ellipse':
+            return { type: 'ellipse', geometry: { cx: number('cx'), cy: number('cy'), rx: number('rx'), ry: number('ry') } };
+        case 'polygon':
+            return {
+                type: attributes.class === 'area' ? 'area' : 'polygon',
+                geometry: { points: parsePointList(attributes.points) }
+            };
+        case 'polyline':
+            return {
+                type: attributes.class === 'ruler' || attributes.class === 'angle' ? attributes.class : 'polyline',
+                geometry: { points: parsePointList(attributes.points) }
+            };
+        default: {
+            const { points, closed } = parseLinePath(attributes.d || '');
+            return { type: closed ? 'polygon' : 'freehand', geometry: { points } };
+        }
+    }
+}
+
+function fromSelector(selector) {
+    const selectors = asArray(selector);
+    const supported = selectors.find(s => s && (s.type === 'FragmentSelector' || s.type === 'SvgSelector'));
+
+    if (!supported) {
+        throw new Error('No FragmentSelector or SvgSelector in target');
+    }
+    return supported.type === 'FragmentSelector' ? fromFragment(supported.value) : fromSvg(supported.value);
+}
+
+function readTarget(webAnnotation) {
+    const target = asArray(webAnnotation.target)[0];
+
+    if (typeof target === 'string') {
+        // A plain IRI carrying a media fragment, e.g. https://example.org/image.jpg#xywh=10,10,50,50
+        const hash = target.indexOf('#');
+        if (hash === -1) {
+            throw new Error('Target has no selector');
+        }
+        return fromFragment(target.slice(hash + 1));
+    }
+    if (!target || typeof target !== 'object') {
+        throw new Error('Annotation has no target');
+    }
+    return fromSelector(target.selector);
+}
+
+// The last path segment of an exported annotation id is the original annotation id
+function readAnnotationId(webAnnotation) {
+    if (typeof webAnnotation.id !== 'string') return null;
+    const segment = webAnnotation.id.split(/[/#]/).pop();
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Convert a Web Annotation document into stored-annotation candidates.
+// Returns one entry per annotation: { annotation, sourceId } or { error }.
+function fromWebAnnotationDocument(document) {
+    return extractWebAnnotations(document).map(webAnnotation => {
+        try {
+            if (!webAnnotation || typeof webAnnotation !== 'object') {
+                throw new Error('Annotation is not an object');
+            }
+
+            return {
+                sourceId: readAnnotationId(webAnnotation),
+                annotation: {
+                    text: readBodyText(webAnnotation),
+                    category: readCategory(webAnnotation),
+                    style: readStyle(webAnnotation),
+                    ...readTarget(webAnnotation)
+                }
+            };
+        } catch (error) {
+            return { error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    ANNOTATION_CONTEXT,
+    toWebAnnotation,
+    toAnnotationCollection,
+    fromWebAnnotationDocument
+};
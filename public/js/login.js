@@ -0,0 +1,74 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const loginTitle = document.getElementById('loginTitle');
+    const loginForm = document.getElementById('loginForm');
+    const loginUsername = document.getElementById('loginUsername');
+    const loginPassword = document.getElementById('loginPassword');
+    const loginError = document.getElementById('loginError');
+    const loginSubmit = document.getElementById('loginSubmit');
+    const registerToggle = document.getElementById('registerToggle');
+    const registerPrompt = document.getElementById('registerPrompt');
+    const registerToggleBtn = document.getElementById('registerToggleBtn');
+
+    // Page to return to afterwards; only paths on this site are followed
+    const nextParam = new URLSearchParams(window.location.search).get('next') || '/';
+    const nextUrl = nextParam.startsWith('/') && !nextParam.startsWith('//') ? nextParam : '/';
+
+    let isRegistering = false;
+
+    function setMode(registering) {
+        isRegistering = registering;
+        loginTitle.textContent = registering ? 'Create Account' : 'Sign In';
+        loginSubmit.textContent = registering ? 'Create Account' : 'Sign In';
+        registerPrompt.textContent = registering ? 'Already have an account?' : 'No account yet?';
+        registerToggleBtn.textContent = registering ? 'Sign in' : 'Create one';
+        loginPassword.autocomplete = registering ? 'new-password' : 'current-password';
+        loginError.hidden = true;
+    }
+
+    async function loadStatus() {
+        try {
+            const response = await fetch('/api/auth/me');
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const { user, registrationOpen } = await response.json();
+
+            if (user) {
+                window.location.href = nextUrl;
+                return;
+            }
+            registerToggle.hidden = !registrationOpen;
+        } catch (error) {
+            console.error('Failed to check sign-in status:', error);
+        }
+    }
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginError.hidden = true;
+        loginSubmit.disabled = true;
+
+        try {
+            const response = await fetch(isRegistering ? '/api/auth/register' : '/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: loginUsername.value.trim(), password: loginPassword.value })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            window.location.href = nextUrl;
+        } catch (error) {
+            console.error('Sign-in failed:', error);
+            loginError.textContent = error.message;
+            loginError.hidden = false;
+            loginSubmit.disabled = false;
+        }
+    });
+
+    registerToggleBtn.addEventListener('click', () => setMode(!isRegistering));
+
+    loadStatus();
+});
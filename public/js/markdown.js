@@ -0,0 +1,89 @@
+// "Markdown-lite" for comments: **bold**, *italic* or _italic_, `code`, [links](https://…),
+// bare http(s) addresses, "- " bullet lists and line breaks. The result is built from DOM
+// nodes with the text set as text, so HTML or script in a comment is shown as typed.
+(function () {
+    const INLINE_PATTERN = new RegExp([
+        '`([^`\\n]+)`',                                          // `code`
+        '\\*\\*([^*\\n]+)\\*\\*',                                // **bold**
+        '\\*([^*\\n]+)\\*',                                      // *italic*
+        '(?<![\\w])_([^_\\n]+)_(?![\\w])',                       // _italic_, not inside snake_case words
+        '\\[([^\\]\\n]+)\\]\\((https?:\\/\\/[^\\s)]+)\\)',       // [text](https://…)
+        '(https?:\\/\\/[^\\s<>"]*[^\\s<>".,;:!?)\\]\'])'         // bare address, without trailing punctuation
+    ].join('|'), 'g');
+    const LIST_ITEM_PATTERN = /^\s*[-*]\s+(.*)$/;
+
+    function textElement(tag, text) {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        return element;
+    }
+
+    // Links only ever point at http(s) addresses and open in a new tab
+    function link(href, text) {
+        const anchor = textElement('a', text);
+        anchor.href = href;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer nofollow';
+        return anchor;
+    }
+
+    // Appends one line with its inline formatting to parent
+    function appendInline(parent, line) {
+        let last = 0;
+        for (const match of line.matchAll(INLINE_PATTERN)) {
+            const [, code, bold, italic, underscored, linkText, linkHref, url] = match;
+            parent.append(line.slice(last, match.index));
+
+            if (code !== undefined) {
+                parent.append(textElement('code', code));
+            } else if (bold !== undefined) {
+                parent.append(textElement('strong', bold));
+            } else if (italic !== undefined || underscored !== undefined) {
+                parent.append(textElement('em', italic ?? underscored));
+            } else if (linkText !== undefined) {
+                parent.append(link(linkHref, linkText));
+            } else {
+                parent.append(link(url, url));
+            }
+            last = match.index + match[0].length;
+        }
+        parent.append(line.slice(last));
+    }
+
+    // Renders comment text as a fragment of paragraphs and lists; blank lines separate paragraphs
+    function renderMarkdownLite(text) {
+        const fragment = document.createDocumentFragment();
+        let paragraph = null;
+        let list = null;
+
+        text.split('\n').forEach(line => {
+            const item = LIST_ITEM_PATTERN.exec(line);
+            if (item) {
+                paragraph = null;
+                if (!list) {
+                    list = fragment.appendChild(document.createElement('ul'));
+                }
+                appendInline(list.appendChild(document.createElement('li')), item[1]);
+                return;
+            }
+
+            list = null;
+            if (!line.trim()) {
+                paragraph = null;
+                return;
+            }
+            if (paragraph) {
+                paragraph.appendChild(document.createElement('br'));
+            } else {
+                paragraph = fragment.appendChild(document.createElement('p'));
+            }
+            appendInline(paragraph, line);
+        });
+
+        return fragment;
+    }
+
+    window.MarkdownLite = {
+        renderMarkdownLite
+    };
+})();
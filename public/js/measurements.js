@@ -0,0 +1,94 @@
+// Values of measurement annotations: the length of a ruler, the surface of an area and the
+// angle between the two arms of an angle. Geometry is in full-resolution image pixels; with an
+// image scale ({ pixelsPerUnit, unit }) lengths and areas are given in that unit instead.
+(function () {
+    const MEASUREMENT_TYPES = ['ruler', 'area', 'angle'];
+    const SCALE_UNITS = ['m', 'km', 'arcsec'];
+    const UNIT_NAMES = {
+        m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+        km: 'km', kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+        arcsec: 'arcsec', arcsecond: 'arcsec', arcseconds: 'arcsec', '"': 'arcsec', '″': 'arcsec'
+    };
+    const LENGTH_PATTERN = /^\s*(\d+(?:\.\d+)?|\.\d+)\s*([a-z"″]*)\s*$/i;
+
+    function isMeasurementType(type) {
+        return MEASUREMENT_TYPES.includes(type);
+    }
+
+    function distance(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    // Shoelace formula; the outline is closed from the last point back to the first
+    function polygonArea(points) {
+        let sum = 0;
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            sum += point.x * next.y - next.x * point.y;
+        });
+        return Math.abs(sum) / 2;
+    }
+
+    // Angle at the middle point in degrees, between 0 and 180
+    function angleAt([a, vertex, b]) {
+        const degrees = Math.abs(
+            Math.atan2(a.y - vertex.y, a.x - vertex.x) - Math.atan2(b.y - vertex.y, b.x - vertex.x)
+        ) * 180 / Math.PI;
+        return degrees > 180 ? 360 - degrees : degrees;
+    }
+
+    function formatNumber(value) {
+        return value.toLocaleString(undefined, { maximumSignificantDigits: 4 });
+    }
+
+    function unitLabel(unit) {
+        return unit === 'arcsec' ? '″' : ` ${unit}`;
+    }
+
+    // A length in image pixels as text, e.g. "1.25 km", "3.4″" or "480 px"
+    function formatLength(pixels, scale) {
+        if (!scale) return `${formatNumber(pixels)} px`;
+        return `${formatNumber(pixels / scale.pixelsPerUnit)}${unitLabel(scale.unit)}`;
+    }
+
+    function formatArea(pixels, scale) {
+        if (!scale) return `${formatNumber(pixels)} px²`;
+        const unit = scale.unit === 'arcsec' ? ' arcsec' : ` ${scale.unit}`;
+        return `${formatNumber(pixels / scale.pixelsPerUnit ** 2)}${unit}²`;
+    }
+
+    // The value of a measurement annotation as text, or '' for other annotation types
+    function describeMeasurement(type, geometry, scale) {
+        switch (type) {
+            case 'ruler':
+                return formatLength(distance(geometry.points[0], geometry.points[1]), scale);
+            case 'area':
+                return formatArea(polygonArea(geometry.points), scale);
+            case 'angle':
+                return `${formatNumber(angleAt(geometry.points))}°`;
+            default:
+                return '';
+        }
+    }
+
+    // Reads a known length such as "12.5 km" or "30 arcsec"; without a unit, defaultUnit is used.
+    // Returns { value, unit } or null when the text is not a positive length.
+    function parseLength(text, defaultUnit) {
+        const match = LENGTH_PATTERN.exec(text || '');
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        const unit = match[2] ? UNIT_NAMES[match[2].toLowerCase()] : defaultUnit;
+        return value > 0 && SCALE_UNITS.includes(unit) ? { value, unit } : null;
+    }
+
+    window.Measurements = {
+        MEASUREMENT_TYPES,
+        SCALE_UNITS,
+        isMeasurementType,
+        distance,
+        formatLength,
+        describeMeasurement,
+        parseLength
+    };
+})();
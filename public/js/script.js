@@ -5,42 +5,242 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
 
+    const MAX_ANNOTATION_LENGTH = 500;
+    const MAX_COMMENT_LENGTH = 2000;
+    const MAX_ICON_LENGTH = 8;
+    const SEARCH_DELAY = 250; // ms after the last keystroke before searching
+    const VIEW_URL_DELAY = 500; // ms after the view stops moving before it is written to the URL
+    const VIEW_PARAMS = ['x', 'y', 'zoom', 'rotation', 'annotation'];
+    const IIIF_PREFERENCE_KEY = 'viewer.useIiif';
+    const LIBRARY_PREFERENCE_KEY = 'viewer.library';
+    const LAYERS_PREFERENCE_KEY = 'viewer.hiddenLayers';
+    const READOUT_PREFERENCE_KEY = 'viewer.readout';
+    const SCALE_BAR_WIDTH = 120; // px the scale bar may take at most; it is shortened to a round length
+    const SOURCE_LABELS = { nasa: 'NASA', url: 'URL', upload: 'Upload' };
+    const COMPARE_MODES = ['side', 'swipe', 'blend'];
+    const ROLES = ['viewer', 'annotator', 'admin']; // Each role can do what the ones before it can
+    const VISIBILITY_LABELS = { private: '🔒 Private', shared: '👥 Shared' };
+    const LIVE_SEND_INTERVAL = 50; // ms between cursor and view updates sent to others on the image
+    const LIVE_RECONNECT_DELAYS = [1000, 2000, 5000, 10000]; // ms before each attempt to reconnect
+    const LIVE_ACCESS_REVOKED = 4403; // close code sent when the image is no longer visible to us
+    // Colors given to new categories in turn; admins can change them in the layers panel
+    const CATEGORY_COLORS = ['#ff9f43', '#54a0ff', '#ee5253', '#1dd1a1', '#feca57', '#5f27cd', '#ff6b9d', '#48dbfb'];
+    const UNCATEGORIZED_LAYER = ''; // layer key of annotations without a category
+    const { isShapeType, isValidGeometry, getShapeBounds, createShapeOverlay } = window.ShapeAnnotations;
+    const { renderMarkdownLite } = window.MarkdownLite;
+    const { isMeasurementType, distance, formatLength, describeMeasurement, parseLength } = window.Measurements;
+
+    const TOOL_LABELS = {
+        point: 'Annotation',
+        rectangle: 'Rectangle',
+        ellipse: 'Ellipse',
+        polygon: 'Polygon',
+        polyline: 'Polyline',
+        freehand: 'Freehand',
+        ruler: 'Distance',
+        area: 'Area',
+        angle: 'Angle'
+    };
+    const TOOL_ICONS = {
+        point: '📍',
+        rectangle: '▭',
+        ellipse: '◯',
+        polygon: '⬠',
+        polyline: '〰',
+        freehand: '✎',
+        ruler: '📏',
+        area: '▱',
+        angle: '∠'
+    };
+    const TOOL_HINTS = {
+        rectangle: 'Drag on the image to draw a rectangle.',
+        ellipse: 'Drag on the image to draw an ellipse.',
+        freehand: 'Drag on the image to draw freehand.',
+        polygon: 'Click to add corners; double-click or press Enter to close the polygon.',
+        polyline: 'Click to add points; double-click or press Enter to finish the line.',
+        ruler: 'Drag on the image to measure a distance.',
+        area: 'Click to add corners; double-click or press Enter to measure the area.',
+        angle: 'Click three points; the angle is measured at the second.'
+    };
+
+    let currentUser = null; // signed-in user, or null for a visitor who can only browse
+    let directory = { users: [], groups: [] }; // accounts and groups, for sharing and the admin panel
     let currentImageId = null;
+    let currentImage = null; // library entry of the open image
     let isPinningMode = false;
+    let activeShapeTool = null;
     let pins = [];
     let pinCounter = 0;
-    let isLoading = false;
+    let libraryRequest = 0;
+    const library = { page: 1, pages: 1, sort: 'name', order: 'asc', source: '', tag: '', view: 'grid' };
+    let activeCollection = null; // { id, name, images, index } while a collection is open as a sequence
+    let manifest = null; // external IIIF manifest being viewed, if any
+    let pendingAnnotation = null; // { imageId, annotationId, keepView } to fly to once the image has opened
+    let pendingView = null; // { imageId, x, y, zoom, rotation } of a shared link, restored once the image has opened
+    let focusedAnnotationId = null;
+    let viewUrlTimer = null;
+    let searchTimer = null;
+    let searchRequest = 0;
+    let compareViewer = null; // second viewer, created the first time two images are compared
+    let compareShapeOverlay = null;
+    // image: the image compared with the open one; leader: the viewer the user last moved
+    const compare = { image: null, mode: 'side', picking: false, leader: null };
+    let live = null; // { imageId, socket, attempts, timer } of the open image's real-time channel
+    const livePeers = new Map(); // peerId -> { username, color, cursorElement, viewElement } of others on the image
+    let localCursor = null; // pointer position in image pixels, shared with the others
+    let presenceTimer = null;
+    // Annotation changes made here on the open image, newest last, for undo and redo
+    const undoHistory = { undo: [], redo: [], busy: false };
+    let commentsPin = null; // annotation whose comment threads are open
+    let categories = []; // annotation categories, each { id, name, color, icon }
+    const hiddenLayers = new Set(); // category ids (or UNCATEGORIZED_LAYER) whose annotations are hidden
 
     // --- DOM REFERENCES ---
     const sidebar = document.getElementById('sidebar');
     const sidebarToggle = document.getElementById('sidebarToggle');
     const imageSelector = document.getElementById('imageSelector');
+    const currentImageName = document.getElementById('currentImageName');
+    const libraryBrowser = document.getElementById('libraryBrowser');
+    const librarySort = document.getElementById('librarySort');
+    const libraryOrderBtn = document.getElementById('libraryOrderBtn');
+    const librarySource = document.getElementById('librarySource');
+    const libraryViewBtn = document.getElementById('libraryViewBtn');
+    const libraryItems = document.getElementById('libraryItems');
+    const libraryPager = document.getElementById('libraryPager');
+    const libraryPrevBtn = document.getElementById('libraryPrevBtn');
+    const libraryPageLabel = document.getElementById('libraryPageLabel');
+    const libraryNextBtn = document.getElementById('libraryNextBtn');
+    const libraryTag = document.getElementById('libraryTag');
+    const imageTags = document.getElementById('imageTags');
+    const imageTagList = document.getElementById('imageTagList');
+    const imageTagInput = document.getElementById('imageTagInput');
+    const collectionBanner = document.getElementById('collectionBanner');
+    const collectionLabel = document.getElementById('collectionLabel');
+    const collectionPosition = document.getElementById('collectionPosition');
+    const collectionRemoveBtn = document.getElementById('collectionRemoveBtn');
+    const collectionCloseBtn = document.getElementById('collectionCloseBtn');
+    const collectionsPanel = document.getElementById('collectionsPanel');
+    const collectionsList = document.getElementById('collectionsList');
+    const newCollectionBtn = document.getElementById('newCollectionBtn');
     const deleteImageBtn = document.getElementById('deleteImageBtn');
     const addPinBtn = document.getElementById('addPinBtn');
     const pinsList = document.getElementById('pinsList');
+    const livePeersLabel = document.getElementById('livePeers');
+    const shapeTools = document.getElementById('shapeTools');
+    const measureTools = document.getElementById('measureTools');
+    const imageScale = document.getElementById('imageScale');
+    const scaleLabel = document.getElementById('scaleLabel');
+    const calibrateScaleBtn = document.getElementById('calibrateScaleBtn');
+    const clearScaleBtn = document.getElementById('clearScaleBtn');
+    const drawHint = document.getElementById('drawHint');
+    const useIiifToggle = document.getElementById('useIiifToggle');
+    const readoutToggle = document.getElementById('readoutToggle');
+    const viewerReadout = document.getElementById('viewerReadout');
+    const scaleBar = document.getElementById('scaleBar');
+    const scaleBarLabel = document.getElementById('scaleBarLabel');
+    const readoutZoom = document.getElementById('readoutZoom');
+    const readoutCursor = document.getElementById('readoutCursor');
+    const exportAnnotationsBtn = document.getElementById('exportAnnotationsBtn');
+    const importAnnotationsBtn = document.getElementById('importAnnotationsBtn');
+    const importAnnotationsInput = document.getElementById('importAnnotationsInput');
+    const manifestLink = document.getElementById('manifestLink');
+    const manifestBanner = document.getElementById('manifestBanner');
+    const manifestLabel = document.getElementById('manifestLabel');
+    const libraryHeading = document.getElementById('libraryHeading');
+    const imageInfoPanel = document.getElementById('imageInfoPanel');
+    const imageInfoContent = document.getElementById('imageInfoContent');
+    const sharingPanel = document.getElementById('sharingPanel');
+    const visibilitySelect = document.getElementById('visibilitySelect');
+    const shareTargets = document.getElementById('shareTargets');
+    const shareUsersList = document.getElementById('shareUsersList');
+    const shareGroupsList = document.getElementById('shareGroupsList');
+    const saveSharingBtn = document.getElementById('saveSharingBtn');
+    const adminPanel = document.getElementById('adminPanel');
+    const adminUsersList = document.getElementById('adminUsersList');
+    const adminGroupsList = document.getElementById('adminGroupsList');
+    const newUserBtn = document.getElementById('newUserBtn');
+    const newGroupBtn = document.getElementById('newGroupBtn');
+    const trashPanel = document.getElementById('trashPanel');
+    const trashNote = document.getElementById('trashNote');
+    const trashImagesList = document.getElementById('trashImagesList');
+    const trashAnnotationsList = document.getElementById('trashAnnotationsList');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const annotationCategorySelect = document.getElementById('annotationCategorySelect');
+    const layersList = document.getElementById('layersList');
+    const newCategoryBtn = document.getElementById('newCategoryBtn');
+    const commentPopover = document.getElementById('commentPopover');
+    const commentPopoverTitle = document.getElementById('commentPopoverTitle');
+    const commentPopoverClose = document.getElementById('commentPopoverClose');
+    const commentThreads = document.getElementById('commentThreads');
+    const commentForm = document.getElementById('commentForm');
+    const commentInput = document.getElementById('commentInput');
+    const librarySearch = document.getElementById('librarySearch');
+    const librarySearchInput = document.getElementById('librarySearchInput');
+    const librarySearchResults = document.getElementById('librarySearchResults');
+    const copyViewLinkBtn = document.getElementById('copyViewLinkBtn');
+    const currentUserLabel = document.getElementById('currentUserLabel');
+    const signInLink = document.getElementById('signInLink');
+    const signOutBtn = document.getElementById('signOutBtn');
+    const viewportElement = document.getElementById('viewport');
+    const compareBtn = document.getElementById('compareBtn');
+    const compareHint = document.getElementById('compareHint');
+    const compareViewerElement = document.getElementById('compare-viewer');
+    const compareDivider = document.getElementById('compareDivider');
+    const compareToolbar = document.getElementById('compareToolbar');
+    const compareLabel = document.getElementById('compareLabel');
+    const compareModes = document.getElementById('compareModes');
+    const compareSlider = document.getElementById('compareSlider');
+    const compareLockToggle = document.getElementById('compareLockToggle');
+    const compareSwapBtn = document.getElementById('compareSwapBtn');
+    const compareCloseBtn = document.getElementById('compareCloseBtn');
     
     // Validate DOM elements
-    if (!sidebar || !sidebarToggle || !imageSelector || !deleteImageBtn || !addPinBtn || !pinsList) {
+    if (!sidebar || !sidebarToggle || !imageSelector || !deleteImageBtn || !addPinBtn || !pinsList ||
+        !shapeTools || !measureTools || !imageScale || !scaleLabel || !calibrateScaleBtn || !clearScaleBtn || !drawHint || !useIiifToggle ||
+        !readoutToggle || !viewerReadout || !scaleBar || !scaleBarLabel || !readoutZoom || !readoutCursor || !exportAnnotationsBtn || !importAnnotationsBtn || !importAnnotationsInput ||
+        !manifestLink || !manifestBanner || !manifestLabel || !libraryHeading || !imageInfoPanel || !imageInfoContent ||
+        !librarySearch || !librarySearchInput || !librarySearchResults || !currentImageName || !libraryBrowser ||
+        !librarySort || !libraryOrderBtn || !librarySource || !libraryViewBtn || !libraryItems || !libraryPager ||
+        !libraryPrevBtn || !libraryPageLabel || !libraryNextBtn || !libraryTag || !imageTags || !imageTagList ||
+        !imageTagInput || !collectionBanner || !collectionLabel || !collectionPosition || !collectionRemoveBtn ||
+        !collectionCloseBtn || !collectionsPanel || !collectionsList || !newCollectionBtn || !viewportElement ||
+        !compareBtn || !compareHint || !compareViewerElement || !compareDivider || !compareToolbar || !compareLabel ||
+        !compareModes || !compareSlider || !compareLockToggle || !compareSwapBtn || !compareCloseBtn || !copyViewLinkBtn ||
+        !currentUserLabel || !signInLink || !signOutBtn || !sharingPanel || !visibilitySelect || !shareTargets ||
+        !shareUsersList || !shareGroupsList || !saveSharingBtn || !adminPanel || !adminUsersList || !adminGroupsList ||
+        !newUserBtn || !newGroupBtn || !livePeersLabel || !trashPanel || !trashNote || !trashImagesList ||
+        !trashAnnotationsList || !undoBtn || !redoBtn || !commentPopover || !commentPopoverTitle ||
+        !commentPopoverClose || !commentThreads || !commentForm || !commentInput || !annotationCategorySelect ||
+        !layersList || !newCategoryBtn) {
         console.error('Critical DOM elements missing');
         alert('Application error: Required elements not found. Please refresh the page.');
         return;
     }
 
     // --- INITIALIZE VIEWER ---
+    // Shared by the main viewer and the comparison viewer
+    const VIEWER_OPTIONS = {
+        prefixUrl: "https://openseadragon.github.io/openseadragon/images/",
+        showNavigator: true,
+        showNavigationControl: true,
+        showRotationControl: true,
+        animationTime: 0.5,
+        blendTime: 0.1,
+        constrainDuringPan: false,
+        maxZoomPixelRatio: 2,
+        minZoomLevel: 0.8,
+        visibilityRatio: 1,
+        zoomPerScroll: 2
+    };
+
     let viewer;
     try {
         viewer = OpenSeadragon({
+            ...VIEWER_OPTIONS,
             id: "openseadragon-viewer",
-            prefixUrl: "https://openseadragon.github.io/openseadragon/images/",
-            showNavigator: true,
-            showNavigationControl: true,
-            animationTime: 0.5,
-            blendTime: 0.1,
-            constrainDuringPan: false,
-            maxZoomPixelRatio: 2,
-            minZoomLevel: 0.8,
-            visibilityRatio: 1,
-            zoomPerScroll: 2
+            // Collections open as a sequence with previous/next buttons
+            sequenceMode: true
         });
     } catch (error) {
         console.error('Failed to initialize OpenSeadragon viewer:', error);
@@ -48,243 +248,3290 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
 
+    const shapeOverlay = createShapeOverlay(viewer);
+
     // --- CORE FUNCTIONS ---
 
-    // Fetches all images from the backend and populates the dropdown
-    async function loadLibrary() {
-        if (isLoading) {
-            console.log('Library load already in progress, skipping...');
-            return;
+    // Who is signed in; visitors can browse the library but not change it
+    async function loadCurrentUser() {
+        try {
+            const response = await fetch('/api/auth/me');
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            currentUser = (await response.json()).user;
+        } catch (error) {
+            console.error('Failed to load current user:', error);
+            currentUser = null;
+        }
+
+        // Controls that make changes are marked .requires-annotator and hidden from visitors and viewers;
+        // account management is marked .requires-admin
+        document.body.classList.toggle('can-annotate', hasRole('annotator'));
+        document.body.classList.toggle('is-admin', hasRole('admin'));
+        currentUserLabel.textContent = currentUser
+            ? `Signed in as ${currentUser.username} (${currentUser.role})`
+            : 'Browsing as a guest';
+        currentUserLabel.title = currentUserLabel.textContent;
+        signInLink.hidden = Boolean(currentUser);
+        signOutBtn.hidden = !currentUser;
+    }
+
+    function hasRole(role) {
+        return Boolean(currentUser) && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+    }
+
+    // Same rules as the server: the annotator who imported an image or an admin may
+    // delete it and change who sees it
+    function canManageImage(image) {
+        return hasRole('admin') || (hasRole('annotator') && Boolean(image) && image.importedById === currentUser.id);
+    }
+
+    // Collections are changed by the annotator who created them or an admin
+    function canManageCollection(collection) {
+        return hasRole('admin') || (hasRole('annotator') && Boolean(collection) && collection.createdById === currentUser.id);
+    }
+
+    // Annotations are edited by their author or an admin
+    function canEditAnnotation(pin) {
+        return hasRole('admin') || (hasRole('annotator') && pin.authorId === currentUser.id);
+    }
+
+    async function signOut() {
+        try {
+            const response = await fetch('/api/auth/logout', { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            // Reload so annotations and controls are shown read-only
+            window.location.reload();
+        } catch (error) {
+            console.error('Failed to sign out:', error);
+            alert(`Failed to sign out: ${error.message}`);
         }
+    }
+
+    // Fetches one page of the library and shows it in the browser; opens an image if none is open
+    async function loadLibrary() {
+        // Only the latest request is shown when the user pages or re-sorts quickly
+        const requestId = ++libraryRequest;
 
-        isLoading = true;
         try {
             console.log('Loading image library...');
-            const response = await fetch('/api/images');
+            const params = new URLSearchParams({ page: library.page, sort: library.sort, order: library.order });
+            if (library.source) {
+                params.set('source', library.source);
+            }
+            if (library.tag) {
+                params.set('tag', library.tag);
+            }
+            const response = await fetch(`/api/images?${params}`);
             
             if (!response.ok) {
                 throw new Error(`Server returned ${response.status}: ${response.statusText}`);
             }
             
-            const images = await response.json();
+            const result = await response.json();
             
-            if (!Array.isArray(images)) {
+            if (!result || !Array.isArray(result.items)) {
                 throw new Error('Invalid response format from server');
             }
-            
-            // Clear previous options
-            imageSelector.innerHTML = '';
-            
-            // Populate dropdown
-            images.forEach(image => {
-                if (!image.id || !image.name || !image.path) {
-                    console.warn('Skipping invalid image entry:', image);
-                    return;
-                }
-                const option = document.createElement('option');
-                option.value = image.id;
-                option.textContent = image.name;
-                option.dataset.path = image.path;
-                imageSelector.appendChild(option);
-            });
-            
-            console.log(`Loaded ${images.length} images into library`);
-            
-            // Handle URL parameter for specific image
-            const urlParams = new URLSearchParams(window.location.search);
-            const imageIdFromUrl = urlParams.get('image_id');
-            
-            if (imageIdFromUrl && images.some(img => img.id === imageIdFromUrl)) {
-                imageSelector.value = imageIdFromUrl;
-                console.log(`Selecting image from URL: ${imageIdFromUrl}`);
+            if (requestId !== libraryRequest) return;
+
+            // Deleting the last image on the last page leaves that page empty
+            if (result.items.length === 0 && library.page > result.pages) {
+                library.page = result.pages;
+                return loadLibrary();
             }
-            
-            // Load the selected or first image
-            const selectedOption = imageSelector.options[imageSelector.selectedIndex];
-            if (selectedOption) {
-                switchImage(selectedOption.value, selectedOption.dataset.path);
-                deleteImageBtn.disabled = false;
-            } else {
-                // Library is empty
-                console.log('No images in library');
-                currentImageId = null;
-                viewer.close();
-                loadAnnotations(null);
-                deleteImageBtn.disabled = true;
-                addPinBtn.disabled = true;
+
+            library.pages = result.pages;
+            renderLibrary(result);
+            console.log(`Loaded ${result.items.length} of ${result.total} images into library`);
+
+            if (!currentImageId) {
+                await openInitialImage(result.items);
             }
 
         } catch (error) {
             console.error('Failed to load image library:', error);
             alert(`Failed to load image library: ${error.message}`);
+            if (!currentImageId) {
+                deleteImageBtn.disabled = true;
+                setAnnotationToolsEnabled(false);
+            }
+        }
+    }
+
+    // Shows a page of library entries as thumbnails (grid) or rows (list)
+    function renderLibrary({ items, page, pages }) {
+        libraryItems.innerHTML = '';
+
+        items.forEach(image => {
+            if (!image.id || !image.name || !image.path) {
+                console.warn('Skipping invalid image entry:', image);
+                return;
+            }
+
+            const item = document.createElement('li');
+            item.dataset.imageId = image.id;
+            item.tabIndex = 0;
+            item.title = displayName(image);
+            item.classList.toggle('active', image.id === currentImageId);
+
+            const thumbnail = document.createElement('img');
+            thumbnail.src = image.thumbnail;
+            thumbnail.alt = '';
+            thumbnail.loading = 'lazy';
+
+            const details = document.createElement('div');
+            details.className = 'library-item-details';
+
+            const name = document.createElement('span');
+            name.className = 'library-item-name';
+            name.textContent = displayName(image);
+
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = [
+                SOURCE_LABELS[image.source],
+                VISIBILITY_LABELS[image.visibility],
+                image.created ? new Date(image.created).toLocaleDateString() : null,
+                `${image.annotationCount} annotation${image.annotationCount === 1 ? '' : 's'}`
+            ].filter(Boolean).join(' · ');
+
+            details.append(name, meta);
+            item.append(thumbnail, details);
+            item.addEventListener('click', () => selectLibraryImage(image));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') selectLibraryImage(image);
+            });
+            libraryItems.appendChild(item);
+        });
+
+        libraryPager.hidden = pages <= 1;
+        libraryPageLabel.textContent = `Page ${page} of ${pages}`;
+        libraryPrevBtn.disabled = page <= 1;
+        libraryNextBtn.disabled = page >= pages;
+    }
+
+    // A library click opens the image, or compares it with the open one while picking
+    function selectLibraryImage(image) {
+        if (compare.picking) {
+            startCompare(image);
+        } else {
+            openImage(image);
+        }
+    }
+
+    // Opens the image named in the URL, or the first one listed, and the image it is compared with
+    async function openInitialImage(items) {
+        const params = new URLSearchParams(window.location.search);
+        const imageIdFromUrl = params.get('image_id');
+        let image = null;
+
+        if (imageIdFromUrl) {
+            // The image may be on another page of the library
+            image = items.find(item => item.id === imageIdFromUrl) || await fetchImage(imageIdFromUrl);
+            if (image) {
+                console.log(`Selecting image from URL: ${imageIdFromUrl}`);
+                pendingView = readSharedView(params, image.id);
+
+                // A shared view already frames the annotation, which is then only highlighted
+                const annotationId = params.get('annotation');
+                if (annotationId) {
+                    pendingAnnotation = { imageId: image.id, annotationId, keepView: Boolean(pendingView) };
+                }
+            }
+        }
+        image = image || items[0];
+
+        if (image) {
+            openImage(image);
+
+            const compareId = params.get('compare');
+            const compareImage = compareId && compareId !== image.id ? await fetchImage(compareId) : null;
+            if (compareImage) {
+                compare.mode = params.get('compare_mode');
+                startCompare(compareImage);
+            }
+        } else {
+            // Library is empty
+            console.log('No images in library');
+            currentImageId = null;
+            currentImage = null;
+            currentImageName.textContent = '';
+            imageTags.hidden = true;
+            viewer.close();
+            loadAnnotations(null);
             deleteImageBtn.disabled = true;
-            addPinBtn.disabled = true;
-        } finally {
-            isLoading = false;
+            manifestLink.hidden = true;
+            imageInfoPanel.hidden = true;
+            sharingPanel.hidden = true;
+            setAnnotationToolsEnabled(false);
         }
     }
-    
-    // Opens a new image in the viewer and loads its annotations
-    function switchImage(id, path) {
-        if (!id || !path) {
-            console.error('Invalid image parameters:', { id, path });
-            return;
+
+    // View (centre in image pixels, zoom, rotation) of a shared link, or null if the link has none
+    function readSharedView(params, imageId) {
+        const number = (key) => (params.get(key) || '').trim() === '' ? NaN : Number(params.get(key));
+        const view = { imageId, x: number('x'), y: number('y'), zoom: number('zoom'), rotation: number('rotation') };
+
+        if (![view.x, view.y, view.zoom].every(Number.isFinite) || view.zoom <= 0) {
+            return null;
         }
+        view.rotation = Number.isFinite(view.rotation) ? view.rotation : 0;
+        return view;
+    }
 
-        if (currentImageId === id) {
-            console.log('Image already loaded, skipping switch');
-            return;
+    // Moves the viewer to the view of the link the page was opened from
+    function restoreSharedView(imageId) {
+        if (!pendingView || pendingView.imageId !== imageId) return;
+
+        const view = pendingView;
+        pendingView = null;
+        viewer.viewport.setRotation(view.rotation, true);
+        viewer.viewport.zoomTo(view.zoom, null, true);
+        viewer.viewport.panTo(imageToViewportPoint(view), true);
+    }
+
+    // Writes the current view into the URL, so the address bar always links to what is on screen
+    function updateViewUrl() {
+        clearTimeout(viewUrlTimer);
+        // Leave a shared view in place until it has been restored
+        if (!currentImageId || pendingView || viewer.world.getItemCount() === 0) return;
+
+        const center = viewer.viewport.viewportToImageCoordinates(viewer.viewport.getCenter(true));
+        const rotation = viewer.viewport.getRotation();
+        const newUrl = new URL(window.location);
+        newUrl.searchParams.set('x', Math.round(center.x));
+        newUrl.searchParams.set('y', Math.round(center.y));
+        newUrl.searchParams.set('zoom', Math.round(viewer.viewport.getZoom(true) * 1000) / 1000);
+        if (rotation) {
+            newUrl.searchParams.set('rotation', Math.round(rotation * 100) / 100);
+        } else {
+            newUrl.searchParams.delete('rotation');
+        }
+        if (focusedAnnotationId) {
+            newUrl.searchParams.set('annotation', focusedAnnotationId);
+        } else {
+            newUrl.searchParams.delete('annotation');
         }
+        window.history.replaceState({}, '', newUrl);
+    }
+
+    function scheduleViewUrlUpdate() {
+        clearTimeout(viewUrlTimer);
+        viewUrlTimer = setTimeout(updateViewUrl, VIEW_URL_DELAY);
+    }
 
+    // Library entry of one image, or null if it is not in the library
+    async function fetchImage(imageId) {
         try {
-            console.log(`Switching to image: ${id}`);
-            currentImageId = id;
-            viewer.open(path);
-            loadAnnotations(id);
-            
-            if (isPinningMode) {
-                resetPinningMode();
+            const response = await fetch(`/api/images/${encodeURIComponent(imageId)}`);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error(`Failed to fetch image ${imageId}:`, error);
+            return null;
+        }
+    }
+
+    // Opens a library image; images stepped to within a collection are already open in the viewer
+    function openImage(image, { inSequence = false } = {}) {
+        if (!inSequence) {
+            closeCollection();
+        }
+        currentImage = image;
+        currentImageName.textContent = displayName(image);
+        currentImageName.title = displayName(image);
+        libraryItems.querySelectorAll('li').forEach(item => {
+            item.classList.toggle('active', item.dataset.imageId === image.id);
+        });
+        renderImageTags();
+        deleteImageBtn.hidden = !canManageImage(image);
+        loadSharing(image);
+        switchImage(image.id, tileSourceFor(image), { inSequence });
+    }
+
+    // Renditions of the same NASA image share a name
+    function displayName(image) {
+        return image.rendition ? `${image.name} (${image.rendition})` : image.name;
+    }
+
+    // Deep Zoom descriptor by default, or the IIIF Image API info.json when enabled
+    function tileSourceFor(image) {
+        return useIiifToggle.checked && image.iiif ? image.iiif : image.path;
+    }
+
+    function saveLibraryPreferences() {
+        const { sort, order, source, tag, view } = library;
+        localStorage.setItem(LIBRARY_PREFERENCE_KEY, JSON.stringify({ sort, order, source, tag, view }));
+    }
+
+    function restoreLibraryPreferences() {
+        try {
+            Object.assign(library, JSON.parse(localStorage.getItem(LIBRARY_PREFERENCE_KEY)) || {});
+        } catch (error) {
+            console.warn('Ignoring invalid library preferences');
+        }
+        librarySort.value = library.sort;
+        librarySource.value = library.source;
+        updateLibraryControls();
+    }
+
+    function updateLibraryControls() {
+        libraryOrderBtn.textContent = library.order === 'asc' ? '↑' : '↓';
+        libraryItems.classList.toggle('grid', library.view === 'grid');
+        libraryItems.classList.toggle('list', library.view === 'list');
+        libraryViewBtn.textContent = library.view === 'grid' ? '☰' : '▦';
+    }
+
+    // Fills the tag filter with the tags in use, dropping a saved filter whose tag is gone
+    async function loadTags() {
+        try {
+            const response = await fetch('/api/tags');
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
             }
+            const tags = await response.json();
 
-            addPinBtn.disabled = false;
-            deleteImageBtn.disabled = false;
+            libraryTag.innerHTML = '';
+            libraryTag.appendChild(new Option('All tags', ''));
+            tags.forEach(({ tag, count }) => libraryTag.appendChild(new Option(`#${tag} (${count})`, tag)));
 
-            // Update URL without page reload
-            const newUrl = new URL(window.location);
-            newUrl.searchParams.set('image_id', id);
-            window.history.replaceState({}, '', newUrl);
+            if (library.tag && !tags.some(({ tag }) => tag.toLowerCase() === library.tag.toLowerCase())) {
+                library.tag = '';
+                saveLibraryPreferences();
+            }
+            libraryTag.value = library.tag;
+        } catch (error) {
+            console.error('Failed to load tags:', error);
+        }
+    }
+
+    function renderImageTags() {
+        imageTagList.innerHTML = '';
+        imageTags.hidden = !currentImage;
+        if (!currentImage) return;
+
+        // Tags are changed by the image's importer or an admin, like its sharing and scale
+        const canTag = canManageImage(currentImage);
+        imageTagInput.hidden = !canTag;
+
+        (currentImage.tags || []).forEach(tag => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `#${tag}`;
 
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'requires-annotator';
+            removeBtn.hidden = !canTag;
+            removeBtn.textContent = '×';
+            removeBtn.title = `Remove tag "${tag}"`;
+            removeBtn.setAttribute('aria-label', `Remove tag ${tag}`);
+            removeBtn.addEventListener('click', () => {
+                saveImageTags(currentImage.tags.filter(t => t !== tag));
+            });
+
+            item.append(label, removeBtn);
+            imageTagList.appendChild(item);
+        });
+    }
+
+    async function saveImageTags(tags) {
+        const image = currentImage;
+
+        try {
+            const response = await fetch(`/api/images/${image.id}/tags`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ tags })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            image.tags = (await response.json()).tags;
+            if (image === currentImage) {
+                renderImageTags();
+            }
+            await loadTags();
+            if (library.tag) {
+                loadLibrary();
+            }
         } catch (error) {
-            console.error('Failed to switch image:', error);
-            alert(`Failed to load image: ${error.message}`);
+            console.error('Failed to save tags:', error);
+            alert(`Failed to save tags: ${error.message}`);
         }
     }
-    
-    // Fetches and displays annotations for the current image
-    async function loadAnnotations(imageId) {
-        // Clear existing annotations
-        pinsList.innerHTML = '';
-        viewer.clearOverlays();
-        pins = [];
-        pinCounter = 0;
 
-        if (!imageId) {
-            console.log('No image ID provided, skipping annotation load');
+    // --- Collections ---
+
+    async function loadCollections() {
+        try {
+            const response = await fetch('/api/collections');
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            renderCollections(await response.json());
+        } catch (error) {
+            console.error('Failed to load collections:', error);
+        }
+    }
+
+    function renderCollections(collections) {
+        collectionsList.innerHTML = '';
+
+        collections.forEach(collection => {
+            const item = document.createElement('li');
+            item.dataset.collectionId = collection.id;
+            item.title = 'Open as a sequence';
+            item.classList.toggle('active', activeCollection?.id === collection.id);
+
+            const name = document.createElement('span');
+            name.className = 'collection-name';
+            name.textContent = collection.name;
+            if (collection.createdBy) {
+                item.title += `\nCreated by ${collection.createdBy}`;
+            }
+
+            const count = document.createElement('span');
+            count.className = 'collection-count';
+            count.textContent = collection.imageCount;
+
+            const addBtn = document.createElement('button');
+            addBtn.className = 'pin-action requires-annotator';
+            addBtn.textContent = '➕';
+            addBtn.title = 'Add the current image to this collection';
+            addBtn.setAttribute('aria-label', 'Add the current image to this collection');
+
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'pin-action requires-annotator';
+            renameBtn.textContent = '✏️';
+            renameBtn.title = 'Rename collection';
+            renameBtn.setAttribute('aria-label', 'Rename collection');
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'pin-action requires-annotator';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete collection';
+            deleteBtn.setAttribute('aria-label', 'Delete collection');
+
+            // Only the creator of a collection and admins can change it
+            [addBtn, renameBtn, deleteBtn].forEach(button => {
+                button.hidden = !canManageCollection(collection);
+            });
+
+            item.append(name, count, addBtn, renameBtn, deleteBtn);
+            collectionsList.appendChild(item);
+
+            item.addEventListener('click', () => openCollection(collection.id));
+
+            addBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                addToCollection(collection);
+            });
+
+            renameBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                renameCollection(collection);
+            });
+
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteCollection(collection);
+            });
+        });
+    }
+
+    // Opens a collection as an OpenSeadragon sequence, starting at one of its images
+    async function openCollection(collectionId, startIndex = 0) {
+        try {
+            const response = await fetch(`/api/collections/${encodeURIComponent(collectionId)}`);
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            const collection = await response.json();
+
+            if (collection.images.length === 0) {
+                alert(`"${collection.name}" has no images yet. Open an image and click ➕ to add it.`);
+                return;
+            }
+
+            const index = Math.min(startIndex, collection.images.length - 1);
+            activeCollection = { id: collection.id, name: collection.name, images: collection.images, index };
+            collectionLabel.textContent = collection.name;
+            collectionRemoveBtn.hidden = !canManageCollection(collection);
+            collectionBanner.hidden = false;
+            collectionsList.querySelectorAll('li').forEach(item => {
+                item.classList.toggle('active', item.dataset.collectionId === collection.id);
+            });
+
+            // The viewer reopens even if the first image is already showing
+            currentImageId = null;
+            openImage(collection.images[index], { inSequence: true });
+            viewer.open(collection.images.map(tileSourceFor), index);
+            updateCollectionPosition();
+
+        } catch (error) {
+            console.error('Failed to open collection:', error);
+            alert(`Failed to open collection: ${error.message}`);
+        }
+    }
+
+    // Leaves collection mode; the current image is reopened on its own by the next openImage
+    function closeCollection() {
+        if (!activeCollection) return;
+
+        activeCollection = null;
+        currentImageId = null;
+        collectionBanner.hidden = true;
+        collectionsList.querySelectorAll('li.active').forEach(item => item.classList.remove('active'));
+    }
+
+    function updateCollectionPosition() {
+        collectionPosition.textContent = `Image ${activeCollection.index + 1} of ${activeCollection.images.length}`;
+    }
+
+    async function addToCollection(collection) {
+        if (!currentImageId || !currentImage) {
+            alert('Please select an image first.');
             return;
         }
 
         try {
-            console.log(`Loading annotations for image: ${imageId}`);
-            const response = await fetch(`/api/images/${imageId}/annotations`);
-            
+            const response = await fetch(`/api/collections/${collection.id}/images`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imageId: currentImage.id })
+            });
+
+            if (response.status === 409) {
+                alert(`"${displayName(currentImage)}" is already in "${collection.name}".`);
+                return;
+            }
             if (!response.ok) {
-                if (response.status === 404) {
-                    console.log('No annotations found for this image');
-                    return;
-                }
-                throw new Error(`Server returned ${response.status}`);
+                throw new Error(await response.text() || `Server returned ${response.status}`);
             }
-            
-            const loadedPins = await response.json();
-            
-            if (!Array.isArray(loadedPins)) {
-                throw new Error('Invalid annotations format');
+
+            console.log(`Added ${currentImage.id} to collection ${collection.id}`);
+            loadCollections();
+        } catch (error) {
+            console.error('Failed to add image to collection:', error);
+            alert(`Failed to add image to collection: ${error.message}`);
+        }
+    }
+
+    async function createCollection() {
+        const name = prompt('Name of the new collection:');
+        if (!name || !name.trim()) return;
+
+        try {
+            const response = await fetch('/api/collections', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadCollections();
+        } catch (error) {
+            console.error('Failed to create collection:', error);
+            alert(`Failed to create collection: ${error.message}`);
+        }
+    }
+
+    async function renameCollection(collection) {
+        const name = prompt('New name for the collection:', collection.name);
+        if (!name || !name.trim() || name.trim() === collection.name) return;
+
+        try {
+            const response = await fetch(`/api/collections/${collection.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            if (activeCollection?.id === collection.id) {
+                activeCollection.name = name.trim();
+                collectionLabel.textContent = activeCollection.name;
+            }
+            loadCollections();
+        } catch (error) {
+            console.error('Failed to rename collection:', error);
+            alert(`Failed to rename collection: ${error.message}`);
+        }
+    }
+
+    async function deleteCollection(collection) {
+        if (!confirm(`Delete the collection "${collection.name}"?\n\nIts images stay in your library.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/collections/${collection.id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            if (activeCollection?.id === collection.id) {
+                openImage(currentImage);
+            }
+            loadCollections();
+        } catch (error) {
+            console.error('Failed to delete collection:', error);
+            alert(`Failed to delete collection: ${error.message}`);
+        }
+    }
+
+    // --- Sharing and accounts ---
+
+    // Accounts and groups, listed in the sharing and admin panels
+    async function loadDirectory() {
+        try {
+            const [usersResponse, groupsResponse] = await Promise.all([fetch('/api/users'), fetch('/api/groups')]);
+            if (!usersResponse.ok || !groupsResponse.ok) {
+                throw new Error(`Server returned ${usersResponse.ok ? groupsResponse.status : usersResponse.status}`);
+            }
+            directory = { users: await usersResponse.json(), groups: await groupsResponse.json() };
+        } catch (error) {
+            console.error('Failed to load users and groups:', error);
+        }
+    }
+
+    // Shows who can see the image to the users allowed to change it
+    async function loadSharing(image) {
+        sharingPanel.hidden = true;
+        if (!canManageImage(image)) return;
+
+        try {
+            const response = await fetch(`/api/images/${encodeURIComponent(image.id)}/sharing`);
+            if (!response.ok) {
+                // Images tiled outside the app have no record to share
+                return;
+            }
+
+            const sharing = await response.json();
+            if (directory.users.length === 0) {
+                await loadDirectory();
+            }
+            if (currentImage !== image) return;
+
+            visibilitySelect.value = sharing.visibility;
+            renderShareTargets(sharing);
+            sharingPanel.hidden = false;
+        } catch (error) {
+            console.error('Failed to load sharing:', error);
+        }
+    }
+
+    // Checkboxes for every other user and every group, ticked for those the image is shared with
+    function renderShareTargets(sharing) {
+        const addCheckbox = (list, id, label, checked) => {
+            const item = document.createElement('li');
+            const labelElement = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = id;
+            checkbox.checked = checked;
+            labelElement.append(checkbox, label);
+            item.appendChild(labelElement);
+            list.appendChild(item);
+        };
+        const addEmpty = (list, text) => {
+            const item = document.createElement('li');
+            item.className = 'admin-list-empty';
+            item.textContent = text;
+            list.appendChild(item);
+        };
+
+        shareUsersList.innerHTML = '';
+        shareGroupsList.innerHTML = '';
+
+        const sharedUsers = new Set(sharing.users.map(user => user.id));
+        const sharedGroups = new Set(sharing.groups.map(group => group.id));
+        const others = directory.users.filter(user => user.id !== currentUser.id);
+
+        others.forEach(user => addCheckbox(shareUsersList, user.id, user.username, sharedUsers.has(user.id)));
+        directory.groups.forEach(group => addCheckbox(shareGroupsList, group.id, group.name, sharedGroups.has(group.id)));
+        if (others.length === 0) addEmpty(shareUsersList, 'No other accounts yet');
+        if (directory.groups.length === 0) addEmpty(shareGroupsList, 'No groups yet');
+
+        shareTargets.hidden = visibilitySelect.value !== 'shared';
+    }
+
+    async function saveSharing() {
+        if (!currentImage) return;
+
+        const checked = (list) => Array.from(list.querySelectorAll('input:checked')).map(input => input.value);
+        const visibility = visibilitySelect.value;
+        const image = currentImage;
+        saveSharingBtn.disabled = true;
+
+        try {
+            const response = await fetch(`/api/images/${encodeURIComponent(image.id)}/sharing`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    visibility,
+                    userIds: visibility === 'shared' ? checked(shareUsersList) : [],
+                    groupIds: visibility === 'shared' ? checked(shareGroupsList) : []
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            const sharing = await response.json();
+            image.visibility = sharing.visibility;
+            if (currentImage === image) {
+                renderShareTargets(sharing);
+            }
+            loadLibrary();
+        } catch (error) {
+            console.error('Failed to save sharing:', error);
+            alert(`Failed to save sharing: ${error.message}`);
+        } finally {
+            saveSharingBtn.disabled = false;
+        }
+    }
+
+    // Lists accounts with their roles, and groups with their members, for admins
+    async function loadAdminPanel() {
+        await loadDirectory();
+        adminUsersList.innerHTML = '';
+        adminGroupsList.innerHTML = '';
+
+        directory.users.forEach(user => {
+            const item = document.createElement('li');
+
+            const name = document.createElement('span');
+            name.className = 'admin-list-name';
+            name.textContent = user.username;
+
+            const roleSelect = document.createElement('select');
+            roleSelect.setAttribute('aria-label', `Role of ${user.username}`);
+            ROLES.forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = role;
+                roleSelect.appendChild(option);
+            });
+            roleSelect.value = user.role;
+            roleSelect.addEventListener('change', () => changeRole(user, roleSelect));
+
+            item.append(name, roleSelect);
+            adminUsersList.appendChild(item);
+        });
+
+        directory.groups.forEach(group => {
+            const item = document.createElement('li');
+
+            const name = document.createElement('span');
+            name.className = 'admin-list-name';
+            name.textContent = `${group.name} (${group.members.length})`;
+            name.title = group.members.map(member => member.username).join(', ') || 'No members';
+
+            const membersBtn = document.createElement('button');
+            membersBtn.className = 'pin-action';
+            membersBtn.textContent = '✏️';
+            membersBtn.title = 'Change members';
+            membersBtn.setAttribute('aria-label', `Change members of ${group.name}`);
+            membersBtn.addEventListener('click', () => editGroupMembers(group));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'pin-action';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete group';
+            deleteBtn.setAttribute('aria-label', `Delete group ${group.name}`);
+            deleteBtn.addEventListener('click', () => deleteGroup(group));
+
+            item.append(name, membersBtn, deleteBtn);
+            adminGroupsList.appendChild(item);
+        });
+    }
+
+    async function changeRole(user, roleSelect) {
+        try {
+            const response = await fetch(`/api/users/${encodeURIComponent(user.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ role: roleSelect.value })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            // An admin who gives up the role no longer sees this panel
+            if (user.id === currentUser.id) {
+                window.location.reload();
+                return;
+            }
+            user.role = roleSelect.value;
+        } catch (error) {
+            console.error('Failed to change role:', error);
+            alert(`Failed to change role: ${error.message}`);
+            roleSelect.value = user.role;
+        }
+    }
+
+    async function createAccount() {
+        const username = prompt('Username of the new account:');
+        if (!username || !username.trim()) return;
+        const password = prompt(`Password for ${username.trim()} (at least 8 characters):`);
+        if (!password) return;
+
+        try {
+            const response = await fetch('/api/auth/register', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: username.trim(), password })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadAdminPanel();
+        } catch (error) {
+            console.error('Failed to create account:', error);
+            alert(`Failed to create account: ${error.message}`);
+        }
+    }
+
+    async function createGroup() {
+        const name = prompt('Name of the new group:');
+        if (!name || !name.trim()) return;
+
+        try {
+            const response = await fetch('/api/groups', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadAdminPanel();
+        } catch (error) {
+            console.error('Failed to create group:', error);
+            alert(`Failed to create group: ${error.message}`);
+        }
+    }
+
+    // Members are entered as a comma-separated list of usernames
+    async function editGroupMembers(group) {
+        const input = prompt(`Members of "${group.name}" (usernames, separated by commas):`,
+            group.members.map(member => member.username).join(', '));
+        if (input === null) return;
+
+        const usernames = input.split(',').map(name => name.trim()).filter(Boolean);
+        const byName = new Map(directory.users.map(user => [user.username.toLowerCase(), user]));
+        const unknown = usernames.filter(name => !byName.has(name.toLowerCase()));
+        if (unknown.length > 0) {
+            alert(`No account named: ${unknown.join(', ')}`);
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/groups/${encodeURIComponent(group.id)}/members`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ userIds: usernames.map(name => byName.get(name.toLowerCase()).id) })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadAdminPanel();
+        } catch (error) {
+            console.error('Failed to save group members:', error);
+            alert(`Failed to save group members: ${error.message}`);
+        }
+    }
+
+    async function deleteGroup(group) {
+        if (!confirm(`Delete the group "${group.name}"?\n\nImages shared with it will no longer be shared with its members.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/groups/${encodeURIComponent(group.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadAdminPanel();
+        } catch (error) {
+            console.error('Failed to delete group:', error);
+            alert(`Failed to delete group: ${error.message}`);
+        }
+    }
+
+    // --- Compare mode ---
+
+    // Creates the comparison viewer on first use; it mirrors the main viewer's options
+    function ensureCompareViewer() {
+        if (compareViewer) return;
+
+        compareViewer = OpenSeadragon({
+            ...VIEWER_OPTIONS,
+            id: 'compare-viewer',
+            showNavigator: false,
+            // Only the main viewer takes input when the images are stacked
+            showNavigationControl: false
+        });
+        compareShapeOverlay = createShapeOverlay(compareViewer);
+        trackCompareLeader(compareViewer);
+
+        compareViewer.addHandler('viewport-change', () => {
+            if (compare.leader === compareViewer) {
+                matchViewport(compareViewer, viewer);
+            }
+        });
+        compareViewer.addHandler('resize', () => matchViewport(viewer, compareViewer));
+        compareViewer.addHandler('open-failed', (event) => {
+            console.error('Failed to open comparison image:', event);
+            alert('Failed to load the comparison image. The file may be corrupted or missing.');
+        });
+    }
+
+    // Whichever viewer the user last touched drives the other, so the two never fight
+    function trackCompareLeader(target) {
+        ['pointerdown', 'wheel', 'keydown'].forEach(type => {
+            target.element.addEventListener(type, () => {
+                compare.leader = target;
+            }, { capture: true });
+        });
+    }
+
+    // Moves one viewer to the other's zoom, centre and rotation while pan/zoom is locked
+    function matchViewport(source, target) {
+        if (!compare.image || !compareLockToggle.checked || !target || target.world.getItemCount() === 0) return;
+
+        target.viewport.zoomTo(source.viewport.getZoom(true), null, true);
+        target.viewport.panTo(source.viewport.getCenter(true), true);
+        if (target.viewport.getRotation() !== source.viewport.getRotation()) {
+            target.viewport.setRotation(source.viewport.getRotation(), true);
+        }
+    }
+
+    // Shows another library image next to (or over) the open one
+    function startCompare(image) {
+        stopPickingCompare();
+
+        if (!currentImage || image.id === currentImage.id) {
+            alert('Pick a different image to compare with.');
+            return;
+        }
+
+        console.log(`Comparing ${currentImage.id} with ${image.id}`);
+        compare.image = image;
+        compare.leader = viewer;
+        compareLabel.textContent = displayName(image);
+        compareLabel.title = displayName(image);
+        compareViewerElement.hidden = false;
+        compareToolbar.hidden = false;
+        compareBtn.classList.add('active');
+        compareBtn.title = 'Leave compare mode';
+
+        ensureCompareViewer();
+        setCompareMode(compare.mode);
+
+        compareViewer.addOnceHandler('open', () => {
+            if (compare.image !== image) return;
+            matchViewport(viewer, compareViewer);
+            loadCompareAnnotations(image.id);
+        });
+        compareViewer.open(tileSourceFor(image));
+    }
+
+    function stopCompare() {
+        if (!compare.image) return;
+
+        compare.image = null;
+        compareViewer.close();
+        compareViewer.clearOverlays();
+        compareShapeOverlay.clear();
+        compareViewerElement.hidden = true;
+        compareToolbar.hidden = true;
+        compareBtn.classList.remove('active');
+        compareBtn.title = 'Compare with another image';
+        setCompareMode(compare.mode);
+    }
+
+    function stopPickingCompare() {
+        compare.picking = false;
+        compareHint.hidden = true;
+        compareBtn.classList.toggle('active', Boolean(compare.image));
+    }
+
+    // Side by side, a swipe curtain or a blend of the two images
+    function setCompareMode(mode) {
+        compare.mode = COMPARE_MODES.includes(mode) ? mode : 'side';
+
+        COMPARE_MODES.forEach(m => {
+            viewportElement.classList.toggle(`compare-${m}`, Boolean(compare.image) && m === compare.mode);
+        });
+        compareModes.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === compare.mode);
+        });
+        compareSlider.hidden = compare.mode === 'side';
+        compareSlider.setAttribute('aria-label', compare.mode === 'blend' ? 'Opacity' : 'Curtain position');
+
+        // Stacked images only receive input through the main viewer
+        if (compare.mode !== 'side') {
+            compare.leader = viewer;
+        }
+        updateCompareOverlay();
+        updateCompareUrl();
+    }
+
+    // Positions the swipe curtain or sets the blend opacity from the slider
+    function updateCompareOverlay() {
+        const position = compareSlider.value / 100;
+        compareViewerElement.style.clipPath = '';
+        compareViewerElement.style.opacity = '';
+        compareDivider.hidden = true;
+
+        if (!compare.image) return;
+
+        if (compare.mode === 'swipe') {
+            // The curtain moves across the image area, right of the sidebar toggle's padding
+            const padding = parseFloat(getComputedStyle(compareViewerElement).paddingLeft) || 0;
+            const x = padding + (compareViewerElement.clientWidth - padding) * position;
+            compareViewerElement.style.clipPath = `inset(0 0 0 ${x}px)`;
+            compareDivider.style.left = `${x}px`;
+            compareDivider.hidden = false;
+        } else if (compare.mode === 'blend') {
+            compareViewerElement.style.opacity = position;
+        }
+    }
+
+    // Keeps the comparison in the URL so it can be shared like image_id
+    function updateCompareUrl() {
+        const newUrl = new URL(window.location);
+        if (compare.image) {
+            newUrl.searchParams.set('compare', compare.image.id);
+            newUrl.searchParams.set('compare_mode', compare.mode);
+        } else {
+            newUrl.searchParams.delete('compare');
+            newUrl.searchParams.delete('compare_mode');
+        }
+        window.history.replaceState({}, '', newUrl);
+    }
+
+    // Shows the compared image's annotations (read-only)
+    async function loadCompareAnnotations(imageId) {
+        compareViewer.clearOverlays();
+        compareShapeOverlay.clear();
+
+        try {
+            const response = await fetch(`/api/images/${imageId}/annotations`);
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const annotations = await response.json();
+            if (compare.image?.id !== imageId) return;
+
+            // Reopening the same image may have started a second load
+            compareViewer.clearOverlays();
+            compareShapeOverlay.clear();
+            annotations.filter(pin => validatePin(pin) && !isLayerHidden(pin)).forEach(pin => {
+                if (isShapeType(pin.type)) {
+                    colorAnnotationElement(compareShapeOverlay.add(pin), pin);
+                    return;
+                }
+
+                const marker = document.createElement('div');
+                marker.className = 'pin-marker';
+                marker.title = pin.text;
+                styleMarker(marker, pin);
+                compareViewer.addOverlay({
+                    element: marker,
+                    location: compareViewer.viewport.imageToViewportCoordinates(pin.point.x, pin.point.y),
+                    placement: OpenSeadragon.Placement.CENTER
+                });
+            });
+        } catch (error) {
+            console.error('Failed to load comparison annotations:', error);
+        }
+    }
+
+    // Opens a new image in the viewer and loads its annotations
+    function switchImage(id, path, { inSequence = false } = {}) {
+        if (!id || !path) {
+            console.error('Invalid image parameters:', { id, path });
+            return;
+        }
+
+        if (currentImageId === id) {
+            console.log('Image already loaded, skipping switch');
+            return;
+        }
+
+        try {
+            console.log(`Switching to image: ${id}`);
+            currentImageId = id;
+
+            focusedAnnotationId = null;
+            if (pendingView && pendingView.imageId !== id) {
+                pendingView = null;
+            }
+
+            // Pins are stored in image pixels, so they can only be placed once the
+            // image (and its size) has opened
+            disconnectLive();
+            clearUndoHistory();
+            closeComments();
+            loadAnnotations(null);
+            viewer.addOnceHandler('open', async () => {
+                if (currentImageId === id) {
+                    restoreSharedView(id);
+                    await loadAnnotations(id);
+                    focusPendingAnnotation(id);
+                    if (currentImageId === id) {
+                        connectLive(id);
+                    }
+                }
+            });
+            if (!inSequence) {
+                // A one-image sequence resets the previous/next buttons left by a collection
+                viewer.open([path]);
+            }
+            
+            if (isPinningMode) {
+                resetPinningMode();
+            }
+            resetShapeTool();
+
+            setAnnotationToolsEnabled(true);
+            deleteImageBtn.disabled = false;
+            manifestLink.href = `/iiif/${encodeURIComponent(id)}/manifest`;
+            manifestLink.hidden = false;
+            loadImageInfo(id);
+
+            // Update URL without page reload; the view is added once the image has opened
+            const newUrl = new URL(window.location);
+            newUrl.searchParams.set('image_id', id);
+            if (!pendingView) {
+                VIEW_PARAMS.forEach(key => newUrl.searchParams.delete(key));
+            }
+            window.history.replaceState({}, '', newUrl);
+
+        } catch (error) {
+            console.error('Failed to switch image:', error);
+            alert(`Failed to load image: ${error.message}`);
+        }
+    }
+    
+    // Fills the information panel with the image's source details (and NASA metadata)
+    async function loadImageInfo(imageId) {
+        imageInfoPanel.hidden = true;
+        imageInfoContent.innerHTML = '';
+
+        try {
+            const response = await fetch(`/api/images/${imageId}/metadata`);
+            if (!response.ok) {
+                // Images tiled outside the app have no record
+                return;
+            }
+
+            const info = await response.json();
+            if (currentImageId !== imageId) return;
+
+            renderImageInfo(info);
+            imageInfoPanel.hidden = false;
+
+        } catch (error) {
+            console.error('Failed to load image information:', error);
+        }
+    }
+
+    function renderImageInfo(info) {
+        const nasa = info.nasa;
+        const addText = (tagName, text, className) => {
+            const element = document.createElement(tagName);
+            element.textContent = text;
+            if (className) element.className = className;
+            imageInfoContent.appendChild(element);
+            return element;
+        };
+        const addLink = (href, text) => {
+            const paragraph = document.createElement('p');
+            const link = document.createElement('a');
+            link.href = href;
+            link.textContent = text;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            paragraph.appendChild(link);
+            imageInfoContent.appendChild(paragraph);
+        };
+        const addFields = (parent, fields) => {
+            const list = document.createElement('dl');
+            fields.forEach(([label, value]) => {
+                if (value === null || value === undefined || value === '' ||
+                    (Array.isArray(value) && value.length === 0)) return;
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const detail = document.createElement('dd');
+                detail.textContent = Array.isArray(value) ? value.join(', ') : value;
+                list.append(term, detail);
+            });
+            if (list.children.length > 0) {
+                parent.appendChild(list);
+            }
+        };
+
+        addText('h5', (nasa && nasa.title) || info.name);
+
+        if (nasa) {
+            if (nasa.description) {
+                addText('p', nasa.description);
+            }
+            addFields(imageInfoContent, [
+                ['NASA ID', nasa.nasa_id],
+                ['Rendition', info.rendition],
+                ['Imported by', info.importedBy],
+                ['Center', nasa.center],
+                ['Date', nasa.dateCreated ? new Date(nasa.dateCreated).toLocaleDateString() : null],
+                ['Photographer', nasa.photographer],
+                ['Location', nasa.location],
+                ['Album', nasa.album],
+                ['Keywords', nasa.keywords]
+            ]);
+
+            const exifEntries = Object.entries(nasa.exif || {});
+            if (exifEntries.length > 0) {
+                const exifDetails = document.createElement('details');
+                const exifSummary = document.createElement('summary');
+                exifSummary.textContent = `EXIF (${exifEntries.length})`;
+                exifDetails.appendChild(exifSummary);
+                addFields(exifDetails, exifEntries);
+                imageInfoContent.appendChild(exifDetails);
+            }
+
+            addText('p', nasa.credit, 'image-info-credit');
+            addLink(nasa.detailsUrl, 'View on NASA Image and Video Library');
+        } else {
+            const sources = { url: 'Web URL', upload: 'Uploaded file' };
+            addFields(imageInfoContent, [
+                ['Source', sources[info.source] || info.source],
+                ['Added', info.created ? new Date(info.created).toLocaleString() : null],
+                ['Imported by', info.importedBy]
+            ]);
+        }
+
+        if (info.sourceUrl) {
+            addLink(info.sourceUrl, 'Original file');
+        }
+    }
+
+    // Loads an external IIIF manifest and lists its canvases in place of the library
+    async function loadManifest(url) {
+        try {
+            console.log(`Loading IIIF manifest: ${url}`);
+            const response = await fetch(`/api/iiif/manifest?url=${encodeURIComponent(url)}`);
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            manifest = await response.json();
+
+            if (!manifest || !Array.isArray(manifest.canvases) || manifest.canvases.length === 0) {
+                throw new Error('The manifest has no images to show');
+            }
+
+            imageSelector.innerHTML = '';
+            imageSelector.hidden = false;
+            libraryBrowser.hidden = true;
+            currentImageName.hidden = true;
+            collectionsPanel.hidden = true;
+            manifest.canvases.forEach((canvas, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = canvas.label;
+                imageSelector.appendChild(option);
+            });
+
+            manifestLabel.textContent = manifest.label;
+            manifestBanner.hidden = false;
+            libraryHeading.textContent = 'Canvases';
+            document.title = `${manifest.label} - Large Image Viewer`;
+
+            // External manifests are read-only
+            disconnectLive();
+            clearUndoHistory();
+            closeComments();
+            deleteImageBtn.disabled = true;
+            compareBtn.hidden = true;
+            copyViewLinkBtn.hidden = true;
+            useIiifToggle.disabled = true;
+            manifestLink.hidden = true;
+            imageInfoPanel.hidden = true;
+            sharingPanel.hidden = true;
+            librarySearch.hidden = true;
+            setAnnotationToolsEnabled(false);
+
+            openManifestCanvas(0);
+
+        } catch (error) {
+            console.error('Failed to load IIIF manifest:', error);
+            alert(`Failed to load IIIF manifest: ${error.message}`);
+            manifest = null;
+            loadLibrary();
+        }
+    }
+
+    // Opens one canvas of the loaded manifest with its annotations (read-only)
+    function openManifestCanvas(index) {
+        const canvas = manifest.canvases[index];
+        if (!canvas) return;
+
+        console.log(`Opening manifest canvas ${index}: ${canvas.label}`);
+        currentImageId = null;
+        loadAnnotations(null);
+        if (isPinningMode) {
+            resetPinningMode();
+        }
+        resetShapeTool();
+
+        viewer.addOnceHandler('open', () => {
+            if (manifest?.canvases[imageSelector.selectedIndex] !== canvas) return;
+
+            // Annotations target the canvas; the image may be a different size
+            const item = viewer.world.getItemAt(0);
+            const size = item ? item.getContentSize() : null;
+            const scaleX = size && canvas.width ? size.x / canvas.width : 1;
+            const scaleY = size && canvas.height ? size.y / canvas.height : 1;
+
+            canvas.annotations.forEach(annotation => {
+                const pin = scaleAnnotation(annotation, scaleX, scaleY);
+                if (validatePin(pin)) {
+                    pins.push(pin);
+                    renderPin(pin, { readOnly: true });
+                }
+            });
+            renderLayers();
+        });
+        viewer.open([canvas.tileSource]);
+    }
+
+    // Copy of an annotation with its coordinates scaled
+    function scaleAnnotation(annotation, scaleX, scaleY) {
+        const scalePoint = (p) => roundPoint({ x: p.x * scaleX, y: p.y * scaleY });
+        const { geometry } = annotation;
+
+        if (!isShapeType(annotation.type)) {
+            return { ...annotation, point: scalePoint(annotation.point) };
+        }
+        if (geometry.points) {
+            return { ...annotation, geometry: { points: geometry.points.map(scalePoint) } };
+        }
+        if (annotation.type === 'ellipse') {
+            return {
+                ...annotation,
+                geometry: { cx: geometry.cx * scaleX, cy: geometry.cy * scaleY, rx: geometry.rx * scaleX, ry: geometry.ry * scaleY }
+            };
+        }
+        return {
+            ...annotation,
+            geometry: { x: geometry.x * scaleX, y: geometry.y * scaleY, width: geometry.width * scaleX, height: geometry.height * scaleY }
+        };
+    }
+
+    // Fetches and displays annotations for the current image
+    async function loadAnnotations(imageId) {
+        // Clear existing annotations
+        pinsList.innerHTML = '';
+        viewer.clearOverlays();
+        shapeOverlay.clear();
+        pins = [];
+        pinCounter = 0;
+        renderLayers();
+        renderScale();
+
+        if (!imageId) {
+            console.log('No image ID provided, skipping annotation load');
+            return;
+        }
+
+        try {
+            console.log(`Loading annotations for image: ${imageId}`);
+            const response = await fetch(`/api/images/${imageId}/annotations`);
+            
+            if (!response.ok) {
+                if (response.status === 404) {
+                    console.log('No annotations found for this image');
+                    return;
+                }
+                throw new Error(`Server returned ${response.status}`);
+            }
+            
+            const loadedPins = await response.json();
+            
+            if (!Array.isArray(loadedPins)) {
+                throw new Error('Invalid annotations format');
+            }
+
+            pins = loadedPins;
+            pinCounter = pins.length;
+            
+            pins.forEach(pin => {
+                if (validatePin(pin)) {
+                    renderPin(pin, { readOnly: !canEditAnnotation(pin) });
+                } else {
+                    console.warn('Skipping invalid pin:', pin);
+                }
+            });
+            renderLayers();
+
+            console.log(`Loaded ${pins.length} annotations`);
+
+        } catch (error) {
+            console.error('Failed to load annotations:', error);
+            // Don't alert for annotation load failures - not critical
+        }
+    }
+
+    // Adds an annotation to the viewer and the list, or redraws it in place if it is already shown
+    function showAnnotation(annotation) {
+        if (!validatePin(annotation)) {
+            console.warn('Skipping invalid pin:', annotation);
+            return;
+        }
+
+        const index = pins.findIndex(pin => pin.id === annotation.id);
+        const oldItem = pinsList.querySelector(`li[data-pin-id="${CSS.escape(annotation.id)}"]`);
+        const nextItem = oldItem ? oldItem.nextElementSibling : null;
+
+        if (index === -1) {
+            pins.push(annotation);
+        } else {
+            hideAnnotation(pins[index]);
+            pins[index] = annotation;
+        }
+
+        renderPin(annotation, { readOnly: !canEditAnnotation(annotation) });
+        const newItem = pinsList.querySelector(`li[data-pin-id="${CSS.escape(annotation.id)}"]`);
+        if (newItem && nextItem) {
+            pinsList.insertBefore(newItem, nextItem);
+        }
+
+        renderLayers();
+
+        // An open comment popover follows the annotation's new text and place
+        if (commentsPin && commentsPin.id === annotation.id) {
+            commentsPin = annotation;
+            commentPopoverTitle.textContent = annotation.text;
+            positionCommentPopover();
+        }
+    }
+
+    // Takes an annotation off the viewer and the list
+    function hideAnnotation(pin) {
+        if (isShapeType(pin.type)) {
+            shapeOverlay.remove(pin.id);
+        } else {
+            viewer.removeOverlay(pin.id);
+        }
+        const listItem = pinsList.querySelector(`li[data-pin-id="${CSS.escape(pin.id)}"]`);
+        if (listItem) {
+            listItem.remove();
+        }
+    }
+
+    function removeAnnotation(annotationId) {
+        const pin = pins.find(p => p.id === annotationId);
+        if (!pin) return;
+
+        hideAnnotation(pin);
+        pins = pins.filter(p => p.id !== annotationId);
+        if (focusedAnnotationId === annotationId) {
+            focusAnnotation(null);
+        }
+        if (commentsPin && commentsPin.id === annotationId) {
+            closeComments();
+        }
+        renderLayers();
+    }
+
+    // Brings the shown annotations in line with the server without clearing the viewer,
+    // after changes we may have missed (while reconnecting, or a bulk import)
+    async function syncAnnotations(imageId) {
+        try {
+            const response = await fetch(`/api/images/${imageId}/annotations`);
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const annotations = await response.json();
+            if (currentImageId !== imageId) return;
+
+            const ids = new Set(annotations.map(annotation => annotation.id));
+            pins.filter(pin => !ids.has(pin.id)).forEach(pin => removeAnnotation(pin.id));
+
+            const shown = new Map(pins.map(pin => [pin.id, JSON.stringify(pin)]));
+            annotations.forEach(annotation => {
+                if (shown.get(annotation.id) !== JSON.stringify(annotation)) {
+                    showAnnotation(annotation);
+                }
+            });
+        } catch (error) {
+            console.error('Failed to refresh annotations:', error);
+        }
+    }
+
+    // --- Live collaboration ---
+
+    // Joins the real-time channel of an image: annotation changes by others, and their cursors and views
+    function connectLive(imageId) {
+        disconnectLive();
+
+        live = { imageId, socket: openLiveSocket(imageId), attempts: 0, timer: null };
+        watchLiveSocket(live);
+    }
+
+    function openLiveSocket(imageId) {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return new WebSocket(`${protocol}//${window.location.host}/ws/images/${encodeURIComponent(imageId)}`);
+    }
+
+    function watchLiveSocket(channel) {
+        const { socket } = channel;
+
+        socket.addEventListener('message', (event) => {
+            if (live !== channel) return;
+            try {
+                handleLiveMessage(channel, JSON.parse(event.data));
+            } catch (error) {
+                console.error('Failed to apply live update:', error);
+            }
+        });
+
+        // Reconnect after a dropped connection, backing off, unless we were shut out of the image
+        socket.addEventListener('close', (event) => {
+            if (live !== channel) return;
+            clearPeers();
+            if (event.code === LIVE_ACCESS_REVOKED) {
+                live = null;
+                return;
+            }
+
+            const delay = LIVE_RECONNECT_DELAYS[Math.min(channel.attempts, LIVE_RECONNECT_DELAYS.length - 1)];
+            channel.attempts++;
+            channel.timer = setTimeout(() => {
+                if (live !== channel) return;
+                channel.socket = openLiveSocket(channel.imageId);
+                watchLiveSocket(channel);
+            }, delay);
+        });
+    }
+
+    function disconnectLive() {
+        if (!live) return;
+
+        const { socket, timer } = live;
+        live = null;
+        clearTimeout(timer);
+        socket.close();
+        clearPeers();
+    }
+
+    function handleLiveMessage(channel, message) {
+        switch (message.type) {
+            case 'welcome':
+                channel.attempts = 0;
+                message.peers.forEach(peer => {
+                    addPeer(peer);
+                    updatePeer(peer);
+                });
+                // Catch up on changes made before we joined (or while we were disconnected)
+                syncAnnotations(channel.imageId);
+                sendPresence();
+                break;
+            case 'peer.joined':
+                addPeer(message.peer);
+                break;
+            case 'peer.left':
+                removePeer(message.peerId);
+                break;
+            case 'presence':
+                updatePeer(message);
+                break;
+            case 'annotation.created':
+            case 'annotation.updated':
+                showAnnotation(message.annotation);
+                break;
+            case 'annotation.deleted':
+                removeAnnotation(message.annotationId);
+                break;
+            case 'annotations.changed':
+                syncAnnotations(channel.imageId);
+                break;
+            case 'categories.changed':
+                loadCategories();
+                break;
+            case 'scale.changed':
+                applyScale(message.scale);
+                break;
+            case 'comments.changed':
+                if (commentsPin && commentsPin.id === message.annotationId) {
+                    loadComments();
+                }
+                break;
+        }
+    }
+
+    // Each peer keeps one colour, picked from its id
+    function peerColor(peerId) {
+        const hue = parseInt(peerId.slice(0, 6), 16) % 360;
+        return `hsl(${hue}, 80%, 60%)`;
+    }
+
+    function addPeer({ peerId, username }) {
+        if (livePeers.has(peerId)) return;
+
+        const color = peerColor(peerId);
+        const name = username || 'Guest';
+
+        const cursorElement = document.createElement('div');
+        cursorElement.className = 'live-cursor';
+        cursorElement.style.setProperty('--peer-color', color);
+        const label = document.createElement('span');
+        label.textContent = name;
+        cursorElement.appendChild(label);
+
+        const viewElement = document.createElement('div');
+        viewElement.className = 'live-view';
+        viewElement.style.setProperty('--peer-color', color);
+        viewElement.title = `${name} is looking here`;
+
+        livePeers.set(peerId, { username, color, cursorElement, viewElement });
+        renderLivePeers();
+    }
+
+    // Moves a peer's cursor and view outline; either is hidden when the peer has none
+    function updatePeer({ peerId, cursor, view }) {
+        const peer = livePeers.get(peerId);
+        if (!peer || viewer.world.getItemCount() === 0) return;
+
+        placePeerOverlay(peer.cursorElement, cursor ? imageToViewportPoint(cursor) : null);
+        placePeerOverlay(peer.viewElement, view
+            ? viewer.viewport.imageToViewportRectangle(view.x, view.y, view.width, view.height)
+            : null);
+    }
+
+    // Overlays are dropped when annotations reload, so they are added again as needed
+    function placePeerOverlay(element, location) {
+        if (!location) {
+            viewer.removeOverlay(element);
+        } else if (viewer.getOverlayById(element)) {
+            viewer.updateOverlay(element, location, OpenSeadragon.Placement.TOP_LEFT);
+        } else {
+            viewer.addOverlay({ element, location, placement: OpenSeadragon.Placement.TOP_LEFT });
+        }
+    }
+
+    function removePeer(peerId) {
+        const peer = livePeers.get(peerId);
+        if (!peer) return;
+
+        viewer.removeOverlay(peer.cursorElement);
+        viewer.removeOverlay(peer.viewElement);
+        livePeers.delete(peerId);
+        renderLivePeers();
+    }
+
+    function clearPeers() {
+        Array.from(livePeers.keys()).forEach(removePeer);
+    }
+
+    // "Also here: alice, bob and 2 guests"
+    function renderLivePeers() {
+        const peers = Array.from(livePeers.values());
+        const names = peers.filter(peer => peer.username).map(peer => peer.username);
+        const guests = peers.length - names.length;
+        if (guests > 0) {
+            names.push(`${guests} guest${guests === 1 ? '' : 's'}`);
+        }
+
+        livePeersLabel.hidden = names.length === 0;
+        livePeersLabel.textContent = names.length <= 1
+            ? `Also here: ${names.join('')}`
+            : `Also here: ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    }
+
+    // Sends our cursor and view to the others, at most every LIVE_SEND_INTERVAL ms
+    function queuePresence() {
+        if (!presenceTimer) {
+            presenceTimer = setTimeout(sendPresence, LIVE_SEND_INTERVAL);
+        }
+    }
+
+    function sendPresence() {
+        clearTimeout(presenceTimer);
+        presenceTimer = null;
+        if (!live || live.socket.readyState !== WebSocket.OPEN || viewer.world.getItemCount() === 0) return;
+
+        const bounds = viewer.viewport.viewportToImageRectangle(viewer.viewport.getBounds(true));
+        live.socket.send(JSON.stringify({
+            type: 'presence',
+            cursor: localCursor,
+            view: {
+                x: Math.round(bounds.x),
+                y: Math.round(bounds.y),
+                width: Math.round(bounds.width),
+                height: Math.round(bounds.height)
+            }
+        }));
+    }
+
+    // Annotation points are full-resolution image pixels; the viewer works in viewport units
+    function imageToViewportPoint(point) {
+        return viewer.viewport.imageToViewportCoordinates(point.x, point.y);
+    }
+
+    // Image point under a pointer event on the viewer
+    function pointerImagePoint(event) {
+        const rect = viewer.element.getBoundingClientRect();
+        return viewer.viewport.viewerElementToImageCoordinates(
+            new OpenSeadragon.Point(event.clientX - rect.left, event.clientY - rect.top)
+        );
+    }
+
+    function viewportToImagePoint(location) {
+        return roundPoint(viewer.viewport.viewportToImageCoordinates(location));
+    }
+
+    function roundPoint(point) {
+        return { x: Math.round(point.x * 100) / 100, y: Math.round(point.y * 100) / 100 };
+    }
+
+    // Validates pin structure (point pins or region shapes)
+    function validatePin(pin) {
+        if (!pin || !pin.id || !pin.text) {
+            return false;
+        }
+
+        if (isShapeType(pin.type)) {
+            return isValidGeometry(pin.type, pin.geometry);
+        }
+
+        return (pin.type === undefined || pin.type === 'point') &&
+               pin.point && 
+               typeof pin.point.x === 'number' && 
+               typeof pin.point.y === 'number';
+    }
+    
+    // Renders a pin on the viewer and in the list, unless its layer is hidden; read-only pins cannot be edited
+    function renderPin(pin, { readOnly = false } = {}) {
+        if (isLayerHidden(pin)) return;
+
+        try {
+            if (isShapeType(pin.type)) {
+                // Region annotations are drawn on the SVG layer
+                colorAnnotationElement(shapeOverlay.add(pin), pin);
+                shapeOverlay.setTitle(pin.id, annotationTitle(pin));
+            } else {
+                // Create pin marker on viewer
+                const pinElement = document.createElement('div');
+                pinElement.id = pin.id;
+                pinElement.className = 'pin-marker';
+                pinElement.title = pin.text;
+                styleMarker(pinElement, pin);
+                
+                viewer.addOverlay({
+                    element: pinElement,
+                    location: imageToViewportPoint(pin.point),
+                    placement: OpenSeadragon.Placement.CENTER
+                });
+                trackPinMarker(pin, pinElement, !readOnly);
+            }
+
+            // Create list item
+            const category = categoryOf(pin);
+            const listItem = document.createElement('li');
+            listItem.dataset.pinId = pin.id;
+            listItem.title = ['Click to navigate to this annotation', category && `Category: ${category.name}`, describeAuthor(pin)]
+                .filter(Boolean).join('\n');
+            listItem.classList.toggle('focused', pin.id === focusedAnnotationId);
+            colorAnnotationElement(listItem, pin);
+
+            const typeIcon = document.createElement('span');
+            typeIcon.className = 'pin-type';
+            typeIcon.textContent = annotationStyle(pin).icon || TOOL_ICONS[pin.type || 'point'];
+            typeIcon.setAttribute('aria-hidden', 'true');
+
+            const textSpan = document.createElement('span');
+            textSpan.className = 'pin-text';
+            textSpan.textContent = pin.text;
+
+            // Measurements show their value in the current image scale
+            const measureSpan = document.createElement('span');
+            measureSpan.className = 'pin-measure';
+            measureSpan.textContent = isMeasurementType(pin.type) ? describeMeasurement(pin.type, pin.geometry, imageScaleOf()) : '';
+
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'pin-action';
+            renameBtn.textContent = '✏️';
+            renameBtn.title = 'Rename annotation';
+            renameBtn.setAttribute('aria-label', 'Rename annotation');
+
+            const styleBtn = document.createElement('button');
+            styleBtn.className = 'pin-action';
+            styleBtn.textContent = '🎨';
+            styleBtn.title = 'Category and style';
+            styleBtn.setAttribute('aria-label', 'Change category and style');
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'pin-action';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete annotation';
+            deleteBtn.setAttribute('aria-label', 'Delete annotation');
+
+            // Annotations from external manifests have no comments or history
+            const commentsBtn = document.createElement('button');
+            commentsBtn.className = 'pin-action';
+            commentsBtn.textContent = '💬';
+            commentsBtn.title = 'Comments';
+            commentsBtn.setAttribute('aria-label', 'Show comments');
+            commentsBtn.hidden = !currentImageId;
+            commentsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                flyToPin(pin);
+                openComments(pin);
+            });
+
+            const historyBtn = document.createElement('button');
+            historyBtn.className = 'pin-action';
+            historyBtn.textContent = '🕘';
+            historyBtn.title = 'Show history';
+            historyBtn.setAttribute('aria-label', 'Show annotation history');
+            historyBtn.hidden = !currentImageId;
+            historyBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleHistory(pin, listItem);
+            });
+
+            // Navigate to pin on click
+            listItem.addEventListener('click', () => flyToPin(pin));
+
+            if (readOnly) {
+                listItem.append(typeIcon, textSpan, measureSpan, commentsBtn, historyBtn);
+                pinsList.appendChild(listItem);
+                return;
+            }
+
+            listItem.append(typeIcon, textSpan, measureSpan, commentsBtn, historyBtn, renameBtn, styleBtn, deleteBtn);
+            pinsList.appendChild(listItem);
+
+            renameBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                startRenamingPin(pin, listItem);
+            });
+
+            styleBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleStyleEditor(pin, listItem);
+            });
+
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                deletePin(currentImageId, pin);
+            });
+
+        } catch (error) {
+            console.error('Failed to render pin:', error);
+        }
+    }
+
+    // "Added by alice on …" for annotations made by a signed-in user
+    function describeAuthor(pin) {
+        if (!pin.author) return '';
+        return pin.created
+            ? `Added by ${pin.author} on ${new Date(pin.created).toLocaleString()}`
+            : `Added by ${pin.author}`;
+    }
+
+    // Pans and zooms the viewer to a pin, or fits a shape in view
+    function flyToPin(pin) {
+        focusAnnotation(pin);
+
+        try {
+            // A compared image follows the main viewer to the annotation
+            compare.leader = viewer;
+
+            if (isShapeType(pin.type)) {
+                const bounds = getShapeBounds(pin.type, pin.geometry);
+                const rect = viewer.viewport.imageToViewportRectangle(
+                    bounds.x, bounds.y, Math.max(bounds.width, 1), Math.max(bounds.height, 1)
+                );
+                // Leave a margin around the shape
+                const margin = Math.max(rect.width, rect.height) * 0.25;
+                viewer.viewport.fitBoundsWithConstraints(new OpenSeadragon.Rect(
+                    rect.x - margin, rect.y - margin, rect.width + margin * 2, rect.height + margin * 2
+                ));
+                return;
+            }
+
+            const point = imageToViewportPoint(pin.point);
+            viewer.viewport.panTo(point, false);
+            viewer.viewport.zoomTo(viewer.viewport.getMaxZoom() * 0.8, point, false);
+        } catch (error) {
+            console.error('Failed to navigate to pin:', error);
+        }
+    }
+
+    // Highlights an annotation in the list; shared links to the view include it
+    function focusAnnotation(pin) {
+        focusedAnnotationId = pin ? pin.id : null;
+        pinsList.querySelectorAll('li').forEach(item => {
+            item.classList.toggle('focused', item.dataset.pinId === focusedAnnotationId);
+        });
+        if (pin) {
+            pinsList.querySelector(`li[data-pin-id="${CSS.escape(pin.id)}"]`)?.scrollIntoView({ block: 'nearest' });
+        }
+        scheduleViewUrlUpdate();
+    }
+
+    // Flies to the annotation a search result or shared link pointed at, once its image's pins are loaded
+    function focusPendingAnnotation(imageId) {
+        if (!pendingAnnotation || pendingAnnotation.imageId !== imageId) return;
+
+        const { annotationId, keepView } = pendingAnnotation;
+        const pin = pins.find(p => p.id === annotationId);
+        pendingAnnotation = null;
+        if (!pin) return;
+
+        if (keepView) {
+            focusAnnotation(pin);
+        } else {
+            flyToPin(pin);
+        }
+    }
+
+    // Searches image names, NASA metadata and annotation text on the server
+    async function searchLibrary(query) {
+        const requestId = ++searchRequest;
+
+        try {
+            const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            const { results } = await response.json();
+
+            // Ignore responses that arrive after a newer search was started
+            if (requestId === searchRequest) {
+                renderSearchResults(results);
+            }
+        } catch (error) {
+            console.error('Library search failed:', error);
+            if (requestId === searchRequest) {
+                librarySearchResults.innerHTML = '';
+                const item = document.createElement('li');
+                item.className = 'library-search-empty';
+                item.textContent = 'Search failed. Please try again.';
+                librarySearchResults.appendChild(item);
+                librarySearchResults.hidden = false;
+            }
+        }
+    }
+
+    function renderSearchResults(results) {
+        librarySearchResults.innerHTML = '';
+        librarySearchResults.hidden = false;
+
+        if (results.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'library-search-empty';
+            item.textContent = 'No matches';
+            librarySearchResults.appendChild(item);
+            return;
+        }
+
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.tabIndex = 0;
+
+            const icon = document.createElement('span');
+            icon.className = 'pin-type';
+            icon.textContent = result.type === 'annotation' ? TOOL_ICONS[result.annotationType || 'point'] : '🖼️';
+            icon.setAttribute('aria-hidden', 'true');
+
+            const text = document.createElement('div');
+            text.className = 'library-search-text';
+
+            const title = document.createElement('span');
+            title.className = 'library-search-title';
+            appendHighlighted(title, result.title);
+            text.appendChild(title);
+
+            // Annotations show which image they are on; images show the matching metadata
+            const detail = document.createElement('span');
+            detail.className = 'library-search-detail';
+            if (result.type === 'annotation') {
+                detail.textContent = result.rendition ? `${result.imageName} (${result.rendition})` : result.imageName;
+            } else {
+                appendHighlighted(detail, result.snippet);
+            }
+            if (detail.textContent) {
+                text.appendChild(detail);
+            }
+
+            item.append(icon, text);
+            item.addEventListener('click', () => openSearchResult(result));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') openSearchResult(result);
+            });
+            librarySearchResults.appendChild(item);
+        });
+    }
+
+    // Adds highlight segments ({ text, match }) to an element, marking the matched words
+    function appendHighlighted(element, segments) {
+        segments.forEach(segment => {
+            if (segment.match) {
+                const mark = document.createElement('mark');
+                mark.textContent = segment.text;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(segment.text));
+            }
+        });
+    }
+
+    // Opens the image of a search result and flies to its annotation
+    async function openSearchResult(result) {
+        pendingAnnotation = result.annotationId
+            ? { imageId: result.imageId, annotationId: result.annotationId }
+            : null;
+
+        if (result.imageId === currentImageId) {
+            if (pendingAnnotation) {
+                focusPendingAnnotation(currentImageId);
+            } else {
+                viewer.viewport.goHome();
+            }
+            return;
+        }
+
+        const image = await fetchImage(result.imageId);
+        if (!image) {
+            pendingAnnotation = null;
+            alert('This image is no longer in the library.');
+            return;
+        }
+        openImage(image);
+    }
+
+    // Clicking a pin marker opens its comments; editable pins can also be dragged to a new
+    // position, saving it on release
+    function trackPinMarker(pin, pinElement, draggable) {
+        let dragStartPoint = null;
+
+        new OpenSeadragon.MouseTracker({
+            element: pinElement,
+            preProcessEventHandler: (eventInfo) => {
+                // Keep the viewer from panning while a pin is being dragged
+                if (eventInfo.eventType === 'pointerdown' || eventInfo.eventType === 'pointerup') {
+                    eventInfo.stopPropagation = true;
+                    eventInfo.preventDefault = true;
+                }
+            },
+            clickHandler: (event) => {
+                if (event.quick) {
+                    openComments(pin);
+                }
+            },
+            dragHandler: (event) => {
+                const overlay = viewer.getOverlayById(pinElement);
+                if (!draggable || !overlay) return;
+
+                if (!dragStartPoint) {
+                    dragStartPoint = overlay.location;
+                }
+
+                const delta = viewer.viewport.deltaPointsFromPixels(event.delta);
+                viewer.updateOverlay(pinElement, overlay.location.plus(delta), OpenSeadragon.Placement.CENTER);
+            },
+            dragEndHandler: async () => {
+                const overlay = viewer.getOverlayById(pinElement);
+                if (!overlay || !dragStartPoint) return;
+
+                const previousPoint = dragStartPoint;
+                dragStartPoint = null;
+
+                const updated = await updatePin(currentImageId, pin, {
+                    point: viewportToImagePoint(overlay.location)
+                });
+
+                // Snap back if the server rejected the move
+                if (!updated) {
+                    viewer.updateOverlay(pinElement, previousPoint, OpenSeadragon.Placement.CENTER);
+                }
+            }
+        });
+    }
+
+    // Replaces a pin's list text with an inline editor
+    function startRenamingPin(pin, listItem) {
+        const textSpan = listItem.querySelector('.pin-text');
+        if (!textSpan || listItem.querySelector('.pin-rename-input')) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'pin-rename-input';
+        input.value = pin.text;
+        input.maxLength = MAX_ANNOTATION_LENGTH;
+        input.setAttribute('aria-label', 'Annotation text');
+
+        textSpan.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            finished = true;
+
+            const newText = input.value.trim();
+            input.replaceWith(textSpan);
+
+            if (save && newText && newText !== pin.text) {
+                const updated = await updatePin(currentImageId, pin, { text: newText });
+                if (updated) {
+                    textSpan.textContent = updated.text;
+                    const pinElement = document.getElementById(pin.id);
+                    if (pinElement) {
+                        pinElement.title = updated.text;
+                    }
+                    shapeOverlay.setTitle(pin.id, annotationTitle(updated));
+                }
+            }
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    // Sends changed fields of a pin to the server; returns the saved pin or null
+    async function updatePin(imageId, pin, changes) {
+        if (!imageId) return null;
+
+        try {
+            console.log(`Updating pin ${pin.id}`);
+            const response = await fetch(`/api/images/${imageId}/annotations/${encodeURIComponent(pin.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes),
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            const before = { ...pin };
+            const savedPin = await response.json();
+            Object.assign(pin, savedPin);
+            recordStep({ action: 'update', imageId, before, after: savedPin });
+            console.log('Pin updated successfully');
+            return pin;
+
+        } catch (error) {
+            console.error('Failed to update pin:', error);
+            alert(`Failed to update annotation: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Deletes a pin from the server, the viewer and the list
+    async function deletePin(imageId, pin) {
+        if (!imageId) return;
+
+        if (!confirm(`Delete the annotation "${pin.text}"?`)) {
+            return;
+        }
+
+        try {
+            console.log(`Deleting pin ${pin.id}`);
+            const response = await fetch(`/api/images/${imageId}/annotations/${encodeURIComponent(pin.id)}`, {
+                method: 'DELETE',
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            removeAnnotation(pin.id);
+            recordStep({ action: 'delete', imageId, before: { ...pin }, after: null });
+            refreshTrash();
+            console.log('Pin deleted successfully');
+
+        } catch (error) {
+            console.error('Failed to delete pin:', error);
+            alert(`Failed to delete annotation: ${error.message}`);
+        }
+    }
+
+    // Saves a new pin to the server
+    async function savePin(imageId, pin) {
+        if (!imageId || !validatePin(pin)) {
+            console.error('Invalid pin data:', { imageId, pin });
+            return;
+        }
+
+        try {
+            console.log(`Saving pin for image: ${imageId}`);
+            const response = await fetch(`/api/images/${imageId}/annotations`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(pin),
+            });
+
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+
+            // Others on the image get it over the live channel; that copy may arrive first
+            const savedPin = await response.json();
+            showAnnotation(savedPin);
+            recordStep({ action: 'create', imageId, before: null, after: savedPin });
+            console.log('Pin saved successfully');
+
+        } catch (error) {
+            console.error('Failed to save pin:', error);
+            alert(`Failed to save annotation: ${error.message}`);
+        }
+    }
+
+    // Shows or hides the versions of an annotation under its list item
+    async function toggleHistory(pin, listItem) {
+        const shown = listItem.querySelector('.pin-history');
+        if (shown) {
+            shown.remove();
+            listItem.classList.remove('showing-history');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/images/${currentImageId}/annotations/${encodeURIComponent(pin.id)}/history`);
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            const changes = await response.json();
+            if (!listItem.isConnected || listItem.querySelector('.pin-history')) return;
+
+            const list = document.createElement('ol');
+            list.className = 'pin-history';
+            list.addEventListener('click', (e) => e.stopPropagation());
+
+            if (changes.length === 0) {
+                const item = document.createElement('li');
+                item.textContent = 'Not changed since history began';
+                list.appendChild(item);
+            }
+            changes.forEach(change => {
+                const item = document.createElement('li');
+                item.value = change.version;
+                item.textContent = `${describeChange(change)} by ${change.user || 'unknown'}, ${new Date(change.time).toLocaleString()}`;
+                list.appendChild(item);
+            });
+
+            listItem.appendChild(list);
+            listItem.classList.add('showing-history');
+        } catch (error) {
+            console.error('Failed to load annotation history:', error);
+            alert(`Failed to load the annotation's history: ${error.message}`);
+        }
+    }
+
+    // "Renamed "a" to "b"", "Moved", "Created", ... for one version of an annotation
+    function describeChange({ action, before, after }) {
+        if (action === 'create') return 'Created';
+        if (action === 'delete') return 'Deleted';
+        if (action === 'restore') return 'Restored';
+
+        const changes = [];
+        if (before.text !== after.text) {
+            changes.push(`Renamed "${before.text}" to "${after.text}"`);
+        }
+        if (before.type !== after.type) {
+            changes.push(`Changed to ${after.type}`);
+        } else if (JSON.stringify(before.point || before.geometry) !== JSON.stringify(after.point || after.geometry)) {
+            changes.push(after.type === 'point' ? 'Moved' : 'Reshaped');
+        }
+        if ((before.category || null) !== (after.category || null)) {
+            const category = categories.find(c => c.id === after.category);
+            changes.push(after.category ? `Put in ${category ? category.name : 'a category'}` : 'Removed from its category');
+        }
+        if (JSON.stringify(before.style || null) !== JSON.stringify(after.style || null)) {
+            changes.push('Restyled');
+        }
+        return changes.join(', ') || 'Saved';
+    }
+
+    // --- Measurements and scale ---
+
+    // Scale of the open library image ({ pixelsPerUnit, unit }), or null if it has none
+    function imageScaleOf() {
+        return currentImageId && currentImage && currentImage.scale || null;
+    }
+
+    // Tooltip of a shape: its text, and for measurements their value
+    function annotationTitle(pin) {
+        return isMeasurementType(pin.type)
+            ? `${pin.text}: ${describeMeasurement(pin.type, pin.geometry, imageScaleOf())}`
+            : pin.text;
+    }
+
+    function renderScale() {
+        const scale = imageScaleOf();
+        imageScale.hidden = !currentImageId;
+        scaleLabel.textContent = scale
+            ? `Scale: ${formatLength(scale.pixelsPerUnit, scale)} = ${formatLength(scale.pixelsPerUnit, null)}`
+            : 'Scale: not calibrated';
+        calibrateScaleBtn.hidden = !currentImage || !canManageImage(currentImage);
+        clearScaleBtn.hidden = calibrateScaleBtn.hidden || !scale;
+    }
+
+    // Shows measurements in a new scale, after a calibration here or elsewhere
+    function applyScale(scale) {
+        if (!currentImage) return;
+        currentImage.scale = scale;
+        renderScale();
+        updateScaleBar();
+        redrawAnnotations();
+    }
+
+    async function saveScale(scale) {
+        const imageId = currentImageId;
+        try {
+            const response = await fetch(`/api/images/${encodeURIComponent(imageId)}/scale`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scale })
+            });
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            const saved = await response.json();
+            if (imageId === currentImageId) {
+                applyScale(saved.scale);
+            }
+        } catch (error) {
+            console.error('Failed to save scale:', error);
+            alert(`Failed to save the scale: ${error.message}`);
+        }
+    }
+
+    // Calibrates the scale from a line drawn along a feature of known length
+    function startCalibration() {
+        if (isPinningMode) {
+            resetPinningMode();
+        }
+        resetShapeTool();
+
+        activeShapeTool = 'calibrate';
+        calibrateScaleBtn.classList.add('active');
+        drawHint.textContent = 'Drag along a feature of known length to calibrate the scale. Press Esc to cancel.';
+        drawHint.hidden = false;
+
+        shapeOverlay.startDrawing('ruler', (type, geometry) => {
+            resetShapeTool();
+
+            const pixels = distance(geometry.points[0], geometry.points[1]);
+            const unit = imageScaleOf() ? imageScaleOf().unit : 'm';
+            const answer = prompt(`The line is ${formatLength(pixels, null)} long. How long is it on the ground or sky? (e.g. 250 m, 1.5 km or 30 arcsec)`);
+            if (answer === null) return;
+
+            const length = parseLength(answer, unit);
+            if (!length) {
+                alert('Please enter a length greater than zero in m, km or arcsec.');
+                return;
+            }
+            saveScale({ pixelsPerUnit: pixels / length.value, unit: length.unit });
+        });
+    }
+
+    // --- Scale bar and coordinate readout ---
+
+    function isReadoutShown() {
+        return readoutToggle.checked && viewer.world.getItemCount() > 0;
+    }
+
+    // The largest 1, 2 or 5 × 10ⁿ that is not above value
+    function roundLength(value) {
+        const power = 10 ** Math.floor(Math.log10(value));
+        const leading = value / power;
+        return (leading >= 5 ? 5 : leading >= 2 ? 2 : 1) * power;
+    }
+
+    // Fits the scale bar and zoom to the current view; lengths are in the image scale, or pixels without one
+    function updateScaleBar() {
+        viewerReadout.hidden = !isReadoutShown();
+        if (viewerReadout.hidden) return;
+
+        // Screen pixels per image pixel, so 100% shows the image at full resolution
+        const zoom = viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+        readoutZoom.textContent = `${(zoom * 100).toLocaleString(undefined, { maximumSignificantDigits: 3 })}%`;
+
+        const scale = imageScaleOf();
+        const pixelsPerUnit = scale ? scale.pixelsPerUnit : 1;
+        const length = roundLength(SCALE_BAR_WIDTH / zoom / pixelsPerUnit);
+        scaleBar.style.width = `${length * pixelsPerUnit * zoom}px`;
+        scaleBarLabel.textContent = formatLength(length * pixelsPerUnit, scale);
+    }
+
+    // Shows the image point under the cursor, or nothing when it is off the viewer
+    function updateCursorReadout(point) {
+        if (!point || !isReadoutShown()) {
+            readoutCursor.textContent = '';
+            return;
+        }
+
+        const scale = imageScaleOf();
+        const pixels = `x ${Math.round(point.x)}, y ${Math.round(point.y)} px`;
+        readoutCursor.textContent = scale
+            ? `${pixels} · ${formatLength(point.x, scale)}, ${formatLength(point.y, scale)}`
+            : pixels;
+    }
+
+    // --- Categories and layers ---
+
+    // Loads the annotation categories, then redraws the annotations in their colors
+    async function loadCategories() {
+        try {
+            const response = await fetch('/api/categories');
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            categories = await response.json();
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+            return;
+        }
+
+        fillCategorySelect(annotationCategorySelect, annotationCategorySelect.value);
+        redrawAnnotations();
+    }
+
+    // The category of an annotation, or null (also for one that has since been deleted)
+    function categoryOf(pin) {
+        return categories.find(category => category.id === pin.category) || null;
+    }
+
+    // An annotation's own color and icon where it has them, else its category's
+    function annotationStyle(pin) {
+        const category = categoryOf(pin);
+        const style = pin.style || {};
+        return {
+            color: style.color || (category && category.color) || null,
+            icon: style.icon || (category && category.icon) || null
+        };
+    }
+
+    function colorAnnotationElement(element, pin) {
+        const { color } = annotationStyle(pin);
+        if (color) {
+            element.style.setProperty('--annotation-color', color);
+        } else {
+            element.style.removeProperty('--annotation-color');
+        }
+    }
+
+    function styleMarker(marker, pin) {
+        const { icon } = annotationStyle(pin);
+        colorAnnotationElement(marker, pin);
+        marker.classList.toggle('has-icon', Boolean(icon));
+        marker.textContent = icon || '';
+    }
+
+    function isLayerHidden(pin) {
+        const category = categoryOf(pin);
+        return hiddenLayers.has(category ? category.id : UNCATEGORIZED_LAYER);
+    }
+
+    // "No category" and the categories, keeping the selected one if it still exists
+    function fillCategorySelect(select, value) {
+        select.innerHTML = '';
+        [{ id: '', name: 'No category', icon: null }, ...categories].forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = category.icon ? `${category.icon} ${category.name}` : category.name;
+            select.appendChild(option);
+        });
+        select.value = categories.some(category => category.id === value) ? value : '';
+    }
+
+    // Draws the annotations again after their categories or the hidden layers changed
+    function redrawAnnotations() {
+        pins.forEach(hideAnnotation);
+        pins.forEach(pin => {
+            if (validatePin(pin)) {
+                renderPin(pin, { readOnly: !currentImageId || !canEditAnnotation(pin) });
+            }
+        });
+        renderLayers();
+
+        if (compare.image) {
+            loadCompareAnnotations(compare.image.id);
+        }
+    }
+
+    // One row per category (and one for annotations without), with how many the open image has;
+    // unticking a row hides its annotations from the viewer and the list
+    function renderLayers() {
+        const counts = new Map();
+        pins.forEach(pin => {
+            const category = categoryOf(pin);
+            const layer = category ? category.id : UNCATEGORIZED_LAYER;
+            counts.set(layer, (counts.get(layer) || 0) + 1);
+        });
+
+        layersList.innerHTML = '';
+        [...categories, null].forEach(category => {
+            const layer = category ? category.id : UNCATEGORIZED_LAYER;
+            const item = document.createElement('li');
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !hiddenLayers.has(layer);
+            checkbox.addEventListener('change', () => setLayerHidden(layer, !checkbox.checked));
+
+            const swatch = document.createElement('span');
+            swatch.className = 'layer-swatch';
+            swatch.textContent = category && category.icon ? category.icon : '';
+            if (category) {
+                swatch.style.setProperty('--annotation-color', category.color);
+            }
+
+            const name = document.createElement('span');
+            name.className = 'admin-list-name';
+            name.textContent = category ? category.name : 'No category';
+
+            const count = document.createElement('span');
+            count.className = 'layer-count';
+            count.textContent = counts.get(layer) || 0;
+
+            label.append(checkbox, swatch, name, count);
+            item.appendChild(label);
+
+            if (category) {
+                const colorInput = document.createElement('input');
+                colorInput.type = 'color';
+                colorInput.className = 'requires-admin';
+                colorInput.value = category.color;
+                colorInput.title = 'Category color';
+                colorInput.setAttribute('aria-label', `Color of ${category.name}`);
+                colorInput.addEventListener('change', () => saveCategory(category, { color: colorInput.value }));
+
+                const editBtn = document.createElement('button');
+                editBtn.className = 'pin-action requires-admin';
+                editBtn.textContent = '✏️';
+                editBtn.title = 'Rename or change icon';
+                editBtn.setAttribute('aria-label', `Edit category ${category.name}`);
+                editBtn.addEventListener('click', () => editCategory(category));
+
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'pin-action requires-admin';
+                deleteBtn.textContent = '🗑️';
+                deleteBtn.title = 'Delete category';
+                deleteBtn.setAttribute('aria-label', `Delete category ${category.name}`);
+                deleteBtn.addEventListener('click', () => deleteCategory(category));
+
+                item.append(colorInput, editBtn, deleteBtn);
+            }
+            layersList.appendChild(item);
+        });
+    }
+
+    function setLayerHidden(layer, hidden) {
+        if (hidden) {
+            hiddenLayers.add(layer);
+        } else {
+            hiddenLayers.delete(layer);
+        }
+        localStorage.setItem(LAYERS_PREFERENCE_KEY, JSON.stringify(Array.from(hiddenLayers)));
+
+        const focused = pins.find(pin => pin.id === focusedAnnotationId);
+        if (focused && isLayerHidden(focused)) {
+            focusAnnotation(null);
+        }
+        redrawAnnotations();
+    }
+
+    function restoreLayerPreferences() {
+        try {
+            (JSON.parse(localStorage.getItem(LAYERS_PREFERENCE_KEY)) || []).forEach(layer => hiddenLayers.add(layer));
+        } catch (error) {
+            console.warn('Ignoring saved layer preferences:', error);
+        }
+    }
+
+    async function createCategory() {
+        const name = prompt('Name of the new category:');
+        if (!name || !name.trim()) return;
+        const icon = prompt(`Icon for ${name.trim()} (an emoji, or leave empty):`, '');
+        if (icon === null) return;
+
+        try {
+            const response = await fetch('/api/categories', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: name.trim(),
+                    color: CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length],
+                    icon: icon.trim() || null
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadCategories();
+        } catch (error) {
+            console.error('Failed to create category:', error);
+            alert(`Failed to create category: ${error.message}`);
+        }
+    }
+
+    async function editCategory(category) {
+        const name = prompt('Name of the category:', category.name);
+        if (!name || !name.trim()) return;
+        const icon = prompt(`Icon for ${name.trim()} (an emoji, or leave empty):`, category.icon || '');
+        if (icon === null) return;
+
+        saveCategory(category, { name: name.trim(), icon: icon.trim() || null });
+    }
+
+    async function saveCategory(category, changes) {
+        try {
+            const response = await fetch(`/api/categories/${encodeURIComponent(category.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Failed to update category:', error);
+            alert(`Failed to update category: ${error.message}`);
+        }
+        loadCategories();
+    }
+
+    async function deleteCategory(category) {
+        if (!confirm(`Delete the category "${category.name}"? Its annotations are kept, without a category.`)) return;
+
+        try {
+            const response = await fetch(`/api/categories/${encodeURIComponent(category.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            hiddenLayers.delete(category.id);
+            localStorage.setItem(LAYERS_PREFERENCE_KEY, JSON.stringify(Array.from(hiddenLayers)));
+            loadCategories();
+        } catch (error) {
+            console.error('Failed to delete category:', error);
+            alert(`Failed to delete category: ${error.message}`);
+        }
+    }
+
+    // Shows or hides an editor for an annotation's category and its own color and icon under its list item
+    function toggleStyleEditor(pin, listItem) {
+        const shown = listItem.querySelector('.pin-style-editor');
+        if (shown) {
+            shown.remove();
+            listItem.classList.remove('editing-style');
+            return;
+        }
+
+        const editor = document.createElement('div');
+        editor.className = 'pin-style-editor';
+        editor.addEventListener('click', (e) => e.stopPropagation());
+
+        const categorySelect = document.createElement('select');
+        categorySelect.setAttribute('aria-label', 'Category');
+        fillCategorySelect(categorySelect, pin.category);
+
+        const style = pin.style || {};
+        const ownColorLabel = document.createElement('label');
+        const ownColorToggle = document.createElement('input');
+        ownColorToggle.type = 'checkbox';
+        ownColorToggle.checked = Boolean(style.color);
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = annotationStyle(pin).color || '#ff4757';
+        colorInput.setAttribute('aria-label', 'Color');
+        colorInput.addEventListener('input', () => {
+            ownColorToggle.checked = true;
+        });
+        ownColorLabel.append(ownColorToggle, 'Own color', colorInput);
+
+        const iconInput = document.createElement('input');
+        iconInput.type = 'text';
+        iconInput.maxLength = MAX_ICON_LENGTH;
+        iconInput.value = style.icon || '';
+        iconInput.placeholder = 'Icon';
+        iconInput.title = 'Own icon (an emoji); leave empty for the category icon';
+        iconInput.setAttribute('aria-label', 'Icon');
+
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'button';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', async () => {
+            const ownStyle = {};
+            if (ownColorToggle.checked) ownStyle.color = colorInput.value;
+            if (iconInput.value.trim()) ownStyle.icon = iconInput.value.trim();
+
+            saveBtn.disabled = true;
+            const updated = await updatePin(currentImageId, pin, {
+                category: categorySelect.value || null,
+                style: Object.keys(ownStyle).length > 0 ? ownStyle : null
+            });
+            if (updated) {
+                showAnnotation(updated);
+            } else {
+                saveBtn.disabled = false;
+            }
+        });
+
+        editor.append(categorySelect, ownColorLabel, iconInput, saveBtn);
+        listItem.appendChild(editor);
+        listItem.classList.add('editing-style');
+    }
+
+    // --- Comments ---
+
+    function commentsUrl(pin, commentId) {
+        const url = `/api/images/${currentImageId}/annotations/${encodeURIComponent(pin.id)}/comments`;
+        return commentId ? `${url}/${encodeURIComponent(commentId)}` : url;
+    }
+
+    // Opens the comment threads of an annotation in a popover beside it
+    function openComments(pin) {
+        if (!currentImageId) return;
+
+        commentsPin = pin;
+        commentPopoverTitle.textContent = pin.text;
+        commentThreads.innerHTML = '';
+        commentInput.value = '';
+        commentPopover.hidden = false;
+        positionCommentPopover();
+        loadComments();
+    }
+
+    function closeComments() {
+        commentsPin = null;
+        commentPopover.hidden = true;
+        commentThreads.innerHTML = '';
+    }
+
+    // Keeps the popover next to its annotation (a shape's centre) as the view moves, inside the viewer
+    function positionCommentPopover() {
+        if (!commentsPin || viewer.world.getItemCount() === 0) return;
+
+        let anchor = commentsPin.point;
+        if (isShapeType(commentsPin.type)) {
+            const bounds = getShapeBounds(commentsPin.type, commentsPin.geometry);
+            anchor = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+        }
+
+        const pixel = viewer.viewport.pixelFromPoint(imageToViewportPoint(anchor), true);
+        const canvas = viewer.container.getBoundingClientRect();
+        const area = viewportElement.getBoundingClientRect();
+        const margin = 8;
+        const left = canvas.left - area.left + pixel.x + 16;
+        const top = canvas.top - area.top + pixel.y - 20;
+
+        commentPopover.style.left = `${Math.max(margin, Math.min(left, area.width - commentPopover.offsetWidth - margin))}px`;
+        commentPopover.style.top = `${Math.max(margin, Math.min(top, area.height - commentPopover.offsetHeight - margin))}px`;
+    }
+
+    async function loadComments() {
+        const pin = commentsPin;
+
+        try {
+            const response = await fetch(commentsUrl(pin));
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            const threads = await response.json();
+
+            // The popover may have moved on to another annotation meanwhile
+            if (!commentsPin || commentsPin.id !== pin.id) return;
+
+            renderThreads(threads);
+            positionCommentPopover();
+        } catch (error) {
+            console.error('Failed to load comments:', error);
+            alert(`Failed to load comments: ${error.message}`);
+        }
+    }
+
+    function renderThreads(threads) {
+        commentThreads.innerHTML = '';
+
+        threads.forEach(thread => {
+            const item = document.createElement('li');
+            item.className = 'comment-thread';
+            item.classList.toggle('resolved', thread.resolved);
+            item.appendChild(renderComment(thread, item));
+
+            if (thread.replies.length > 0) {
+                const replies = document.createElement('ul');
+                replies.className = 'comment-replies';
+                thread.replies.forEach(reply => {
+                    const replyItem = document.createElement('li');
+                    replyItem.appendChild(renderComment(reply, replyItem));
+                    replies.appendChild(replyItem);
+                });
+                item.appendChild(replies);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'comment-thread-actions';
+            if (thread.resolved) {
+                const status = document.createElement('span');
+                status.textContent = thread.resolvedBy ? `✓ Resolved by ${thread.resolvedBy}` : '✓ Resolved';
+                actions.appendChild(status);
+            }
+            if (hasRole('annotator')) {
+                const replyBtn = document.createElement('button');
+                replyBtn.type = 'button';
+                replyBtn.textContent = 'Reply';
+                replyBtn.addEventListener('click', () => {
+                    showCommentEditor(item, '', 'Reply', body => postComment(body, thread.id));
+                });
+
+                const resolveBtn = document.createElement('button');
+                resolveBtn.type = 'button';
+                resolveBtn.textContent = thread.resolved ? 'Reopen' : 'Resolve';
+                resolveBtn.addEventListener('click', () => updateComment(thread, { resolved: !thread.resolved }));
+
+                actions.append(replyBtn, resolveBtn);
+            }
+            item.appendChild(actions);
+            commentThreads.appendChild(item);
+        });
+    }
+
+    // A comment with its author, time and formatted text; editors are shown in container
+    function renderComment(comment, container) {
+        const element = document.createElement('div');
+        element.className = 'comment';
+
+        const meta = document.createElement('div');
+        meta.className = 'comment-meta';
+        const author = document.createElement('strong');
+        author.textContent = comment.author || 'Unknown';
+        const time = document.createElement('span');
+        time.textContent = `· ${new Date(comment.created).toLocaleString()}${comment.updated !== comment.created ? ' (edited)' : ''}`;
+        meta.append(author, time);
+
+        const body = document.createElement('div');
+        body.className = 'comment-body';
+        body.appendChild(renderMarkdownLite(comment.body));
+
+        // Like annotations, comments can be changed by their author or an admin
+        if (canEditAnnotation(comment)) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'pin-action';
+            editBtn.textContent = '✏️';
+            editBtn.title = 'Edit comment';
+            editBtn.setAttribute('aria-label', 'Edit comment');
+            editBtn.addEventListener('click', () => {
+                showCommentEditor(container, comment.body, 'Save', text => updateComment(comment, { body: text }));
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'pin-action';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete comment';
+            deleteBtn.setAttribute('aria-label', 'Delete comment');
+            deleteBtn.addEventListener('click', () => deleteComment(comment));
+
+            meta.append(editBtn, deleteBtn);
+        }
+
+        element.append(meta, body);
+        return element;
+    }
+
+    // Inline form for a reply or an edit at the end of container; onSubmit resolves to true once saved
+    function showCommentEditor(container, text, label, onSubmit) {
+        if (container.querySelector(':scope > .comment-inline-form')) return;
+
+        const form = document.createElement('form');
+        form.className = 'comment-form comment-inline-form';
+
+        const input = document.createElement('textarea');
+        input.rows = 2;
+        input.maxLength = MAX_COMMENT_LENGTH;
+        input.value = text;
+        input.setAttribute('aria-label', label);
+
+        const submitBtn = document.createElement('button');
+        submitBtn.type = 'submit';
+        submitBtn.textContent = label;
+
+        form.append(input, submitBtn);
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const body = input.value.trim();
+            if (!body) return;
+
+            submitBtn.disabled = true;
+            if (await onSubmit(body)) {
+                form.remove();
+            } else {
+                submitBtn.disabled = false;
+            }
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                form.remove();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                form.requestSubmit();
+            }
+        });
+
+        container.appendChild(form);
+        input.focus();
+    }
+
+    // Starts a thread, or replies to one; returns whether it was saved
+    async function postComment(body, parentId) {
+        try {
+            const response = await fetch(commentsUrl(commentsPin), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body, parentId })
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadComments();
+            return true;
+        } catch (error) {
+            console.error('Failed to save comment:', error);
+            alert(`Failed to save comment: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Changes a comment's text, or resolves or reopens a thread; returns whether it was saved
+    async function updateComment(comment, changes) {
+        try {
+            const response = await fetch(commentsUrl(commentsPin, comment.id), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadComments();
+            return true;
+        } catch (error) {
+            console.error('Failed to update comment:', error);
+            alert(`Failed to update comment: ${error.message}`);
+            return false;
+        }
+    }
+
+    async function deleteComment(comment) {
+        const question = comment.parentId ? 'Delete this reply?' : 'Delete this comment and its replies?';
+        if (!confirm(question)) return;
+
+        try {
+            const response = await fetch(commentsUrl(commentsPin, comment.id), { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            loadComments();
+        } catch (error) {
+            console.error('Failed to delete comment:', error);
+            alert(`Failed to delete comment: ${error.message}`);
+        }
+    }
+
+    // --- Undo and redo ---
+
+    // Remembers a change to an annotation so it can be undone; a new change clears what could be redone
+    function recordStep(step) {
+        undoHistory.undo.push(step);
+        undoHistory.redo = [];
+        updateUndoButtons();
+    }
+
+    function clearUndoHistory() {
+        undoHistory.undo = [];
+        undoHistory.redo = [];
+        updateUndoButtons();
+    }
+
+    function updateUndoButtons() {
+        undoBtn.disabled = undoHistory.busy || undoHistory.undo.length === 0;
+        redoBtn.disabled = undoHistory.busy || undoHistory.redo.length === 0;
+    }
+
+    // Puts an annotation back as it was before (undo) or after (redo) a step. Created and
+    // deleted annotations go to the trash and come back from it; edited ones are replaced.
+    async function applyStep(step, undo) {
+        const { imageId } = step;
+        const target = undo ? step.before : step.after;
+        const annotationId = encodeURIComponent((step.before || step.after).id);
+
+        let response;
+        if (step.action === 'update') {
+            const { type, text, point, geometry, category, style } = target;
+            response = await fetch(`/api/images/${imageId}/annotations/${annotationId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ type, text, point, geometry, category, style })
+            });
+        } else if (target) {
+            response = await fetch(`/api/trash/images/${imageId}/annotations/${annotationId}/restore`, { method: 'POST' });
+        } else {
+            response = await fetch(`/api/images/${imageId}/annotations/${annotationId}`, { method: 'DELETE' });
+        }
+
+        if (!response.ok) {
+            throw new Error(await response.text() || `Server returned ${response.status}`);
+        }
+        if (currentImageId !== imageId) return;
+
+        if (target) {
+            showAnnotation(await response.json());
+        } else {
+            removeAnnotation(step.before.id);
+        }
+        refreshTrash();
+    }
+
+    async function undoOrRedo(undo) {
+        const from = undo ? undoHistory.undo : undoHistory.redo;
+        if (undoHistory.busy || from.length === 0) return;
+
+        const step = from.pop();
+        undoHistory.busy = true;
+        updateUndoButtons();
+
+        try {
+            await applyStep(step, undo);
+            if (step.imageId === currentImageId) {
+                (undo ? undoHistory.redo : undoHistory.undo).push(step);
             }
+        } catch (error) {
+            // Someone else changed the annotation in the meantime; the step is dropped
+            console.error(`Failed to ${undo ? 'undo' : 'redo'}:`, error);
+            alert(`Could not ${undo ? 'undo' : 'redo'} the change: ${error.message}`);
+        } finally {
+            undoHistory.busy = false;
+            updateUndoButtons();
+        }
+    }
 
-            pins = loadedPins;
-            pinCounter = pins.length;
-            
-            pins.forEach(pin => {
-                if (validatePin(pin)) {
-                    renderPin(pin);
-                } else {
-                    console.warn('Skipping invalid pin:', pin);
-                }
-            });
+    // --- Trash ---
 
-            console.log(`Loaded ${pins.length} annotations`);
+    async function loadTrash() {
+        try {
+            const response = await fetch('/api/trash');
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            const trash = await response.json();
+
+            trashNote.textContent = `Deleted images and annotations can be restored for ${trash.retentionDays} days.`;
+            trashImagesList.innerHTML = '';
+            trashAnnotationsList.innerHTML = '';
+
+            trash.images.forEach(image => renderTrashItem(trashImagesList, image.name, image,
+                () => restoreTrashedImage(image), () => deleteTrashedImage(image)));
+            trash.annotations.forEach(trashed => renderTrashItem(trashAnnotationsList,
+                `${trashed.annotation.text} (${trashed.imageName})`, trashed,
+                () => restoreTrashedAnnotation(trashed), () => deleteTrashedAnnotation(trashed)));
 
+            [[trashImagesList, 'No deleted images'], [trashAnnotationsList, 'No deleted annotations']].forEach(([list, text]) => {
+                if (list.children.length > 0) return;
+                const item = document.createElement('li');
+                item.className = 'admin-list-empty';
+                item.textContent = text;
+                list.appendChild(item);
+            });
         } catch (error) {
-            console.error('Failed to load annotations:', error);
-            // Don't alert for annotation load failures - not critical
+            console.error('Failed to load trash:', error);
+            trashNote.textContent = `Failed to load the trash: ${error.message}`;
         }
     }
 
-    // Validates pin structure
-    function validatePin(pin) {
-        return pin && 
-               pin.id && 
-               pin.text && 
-               pin.point && 
-               typeof pin.point.x === 'number' && 
-               typeof pin.point.y === 'number';
+    function refreshTrash() {
+        if (trashPanel.open) loadTrash();
     }
-    
-    // Renders a pin on the viewer and in the list
-    function renderPin(pin) {
-        try {
-            // Create pin marker on viewer
-            const pinElement = document.createElement('div');
-            pinElement.id = pin.id;
-            pinElement.className = 'pin-marker';
-            pinElement.title = pin.text;
-            
-            viewer.addOverlay({
-                element: pinElement,
-                location: new OpenSeadragon.Point(pin.point.x, pin.point.y),
-                placement: OpenSeadragon.Placement.CENTER
-            });
 
-            // Create list item
-            const listItem = document.createElement('li');
-            listItem.textContent = pin.text;
-            listItem.dataset.pinId = pin.id;
-            listItem.title = 'Click to navigate to this pin';
-            pinsList.appendChild(listItem);
+    function renderTrashItem(list, label, trashed, onRestore, onDelete) {
+        const item = document.createElement('li');
 
-            // Navigate to pin on click
-            listItem.addEventListener('click', () => {
-                try {
-                    const point = new OpenSeadragon.Point(pin.point.x, pin.point.y);
-                    viewer.viewport.panTo(point, false);
-                    viewer.viewport.zoomTo(viewer.viewport.getMaxZoom() * 0.8, point, false);
-                } catch (error) {
-                    console.error('Failed to navigate to pin:', error);
-                }
-            });
+        const name = document.createElement('span');
+        name.className = 'admin-list-name';
+        name.textContent = label;
+        name.title = `Deleted${trashed.deletedBy ? ` by ${trashed.deletedBy}` : ''} on ${new Date(trashed.deleted).toLocaleString()}\n` +
+            `Removed for good on ${new Date(trashed.expires).toLocaleDateString()}`;
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'pin-action';
+        restoreBtn.textContent = '↩️';
+        restoreBtn.title = 'Restore';
+        restoreBtn.setAttribute('aria-label', `Restore ${label}`);
+        restoreBtn.addEventListener('click', onRestore);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'pin-action';
+        deleteBtn.textContent = '✖️';
+        deleteBtn.title = 'Delete forever';
+        deleteBtn.setAttribute('aria-label', `Delete ${label} forever`);
+        deleteBtn.addEventListener('click', onDelete);
+
+        item.append(name, restoreBtn, deleteBtn);
+        list.appendChild(item);
+    }
 
+    // Sends a trash request; returns the response body, or null after reporting a failure
+    async function trashRequest(url, method, failure) {
+        try {
+            const response = await fetch(url, { method });
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+            return await response.json();
         } catch (error) {
-            console.error('Failed to render pin:', error);
+            console.error(`${failure}:`, error);
+            alert(`${failure}: ${error.message}`);
+            return null;
+        } finally {
+            loadTrash();
         }
     }
 
-    // Saves a new pin to the server
-    async function savePin(imageId, pin) {
-        if (!imageId || !validatePin(pin)) {
-            console.error('Invalid pin data:', { imageId, pin });
+    async function restoreTrashedImage(image) {
+        const restored = await trashRequest(`/api/trash/images/${encodeURIComponent(image.id)}/restore`, 'POST',
+            'Failed to restore image');
+        if (!restored) return;
+
+        await loadLibrary();
+        loadCollections();
+        loadTags();
+    }
+
+    async function deleteTrashedImage(image) {
+        if (!confirm(`Delete "${image.name}" forever?\n\nIts tiles and annotations will be removed. This cannot be undone.`)) {
+            return;
+        }
+        await trashRequest(`/api/trash/images/${encodeURIComponent(image.id)}`, 'DELETE', 'Failed to delete image');
+    }
+
+    async function restoreTrashedAnnotation({ imageId, annotation }) {
+        const restored = await trashRequest(
+            `/api/trash/images/${encodeURIComponent(imageId)}/annotations/${encodeURIComponent(annotation.id)}/restore`,
+            'POST', 'Failed to restore annotation'
+        );
+        if (restored && imageId === currentImageId) {
+            showAnnotation(restored);
+        }
+    }
+
+    async function deleteTrashedAnnotation({ imageId, annotation }) {
+        if (!confirm(`Delete the annotation "${annotation.text}" forever?\n\nThis cannot be undone.`)) {
             return;
         }
+        await trashRequest(
+            `/api/trash/images/${encodeURIComponent(imageId)}/annotations/${encodeURIComponent(annotation.id)}`,
+            'DELETE', 'Failed to delete annotation'
+        );
+    }
 
+    // Downloads the current image's annotations as a Web Annotation collection
+    async function exportAnnotations(imageId) {
         try {
-            console.log(`Saving pin for image: ${imageId}`);
-            const response = await fetch(`/api/images/${imageId}/annotations`, {
+            console.log(`Exporting annotations for image: ${imageId}`);
+            const response = await fetch(`/api/images/${imageId}/annotations/export`);
+
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const imageName = currentImage ? displayName(currentImage) : imageId;
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${imageName}-annotations.jsonld`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+
+        } catch (error) {
+            console.error('Failed to export annotations:', error);
+            alert(`Failed to export annotations: ${error.message}`);
+        }
+    }
+
+    // Uploads a Web Annotation file and reloads the annotations
+    async function importAnnotations(imageId, file) {
+        try {
+            let payload;
+            try {
+                payload = JSON.parse(await file.text());
+            } catch (parseError) {
+                throw new Error('The file is not valid JSON.');
+            }
+
+            console.log(`Importing annotations for image: ${imageId}`);
+            const response = await fetch(`/api/images/${imageId}/annotations/import`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(pin),
+                headers: { 'Content-Type': 'application/ld+json' },
+                body: JSON.stringify(payload),
             });
 
             if (!response.ok) {
-                throw new Error(`Server returned ${response.status}`);
+                throw new Error(await response.text() || `Server returned ${response.status}`);
             }
 
-            const savedPin = await response.json();
-            pins.push(savedPin);
-            renderPin(savedPin);
-            console.log('Pin saved successfully');
+            const result = await response.json();
+            await loadAnnotations(imageId);
+
+            let message = `Imported ${result.imported} new and updated ${result.updated} existing annotation(s).`;
+            if (result.skipped.length > 0) {
+                message += `\n\nSkipped ${result.skipped.length}:\n` +
+                    result.skipped.slice(0, 5).map(s => `• #${s.index + 1}: ${s.reason}`).join('\n');
+            }
+            alert(message);
 
         } catch (error) {
-            console.error('Failed to save pin:', error);
-            alert(`Failed to save annotation: ${error.message}`);
+            console.error('Failed to import annotations:', error);
+            alert(`Failed to import annotations: ${error.message}`);
         }
     }
 
@@ -295,39 +3542,346 @@ document.addEventListener('DOMContentLoaded', () => {
         addPinBtn.style.backgroundColor = '';
     }
 
+    // Buttons of the shape and measurement toolbars
+    function drawingToolButtons() {
+        return [...shapeTools.querySelectorAll('button'), ...measureTools.querySelectorAll('button')];
+    }
+
+    // Activates a shape drawing tool; each finished shape is saved as an annotation
+    function selectShapeTool(tool) {
+        if (isPinningMode) {
+            resetPinningMode();
+        }
+        resetShapeTool();
+
+        activeShapeTool = tool;
+        drawingToolButtons().forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+        drawHint.textContent = `${TOOL_HINTS[tool]} Press Esc to cancel.`;
+        drawHint.hidden = false;
+
+        // Measurements show their value while they are drawn
+        const showMeasurement = isMeasurementType(tool) ? (geometry) => {
+            if (isValidGeometry(tool, geometry)) {
+                drawHint.textContent = `${TOOL_HINTS[tool]} ${TOOL_LABELS[tool]}: ${describeMeasurement(tool, geometry, imageScaleOf())}. Press Esc to cancel.`;
+            }
+        } : undefined;
+
+        shapeOverlay.startDrawing(tool, (type, geometry) => {
+            pinCounter++;
+            savePin(currentImageId, {
+                id: `shape-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                text: `${TOOL_LABELS[type]} #${pinCounter}`,
+                type,
+                geometry,
+                category: annotationCategorySelect.value || null
+            });
+            resetShapeTool();
+        }, showMeasurement);
+    }
+
+    // Leaves shape drawing mode
+    function resetShapeTool() {
+        activeShapeTool = null;
+        shapeOverlay.cancelDrawing();
+        drawingToolButtons().forEach(button => button.classList.remove('active'));
+        calibrateScaleBtn.classList.remove('active');
+        drawHint.hidden = true;
+    }
+
+    function setAnnotationToolsEnabled(enabled) {
+        addPinBtn.disabled = !enabled;
+        exportAnnotationsBtn.disabled = !enabled;
+        importAnnotationsBtn.disabled = !enabled;
+        drawingToolButtons().forEach(button => {
+            button.disabled = !enabled;
+        });
+    }
+
     // --- EVENT LISTENERS ---
     
+    // Accounts: come back to the current view after signing in
+    signInLink.addEventListener('click', () => {
+        signInLink.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+    });
+
+    signOutBtn.addEventListener('click', signOut);
+
     // Toggle sidebar
     sidebarToggle.addEventListener('click', () => {
         sidebar.classList.toggle('collapsed');
     });
 
     // Change selected image
+    // Change canvas of an external manifest
     imageSelector.addEventListener('change', (e) => {
-        const selectedOption = e.target.options[e.target.selectedIndex];
-        if (selectedOption) {
-            switchImage(selectedOption.value, selectedOption.dataset.path);
+        if (manifest) {
+            openManifestCanvas(e.target.selectedIndex);
+        }
+    });
+
+    // Library browser: sort, filter, layout and paging
+    librarySort.addEventListener('change', () => {
+        library.sort = librarySort.value;
+        library.order = library.sort === 'name' || library.sort === 'source' ? 'asc' : 'desc';
+        library.page = 1;
+        saveLibraryPreferences();
+        updateLibraryControls();
+        loadLibrary();
+    });
+
+    libraryOrderBtn.addEventListener('click', () => {
+        library.order = library.order === 'asc' ? 'desc' : 'asc';
+        library.page = 1;
+        saveLibraryPreferences();
+        updateLibraryControls();
+        loadLibrary();
+    });
+
+    librarySource.addEventListener('change', () => {
+        library.source = librarySource.value;
+        library.page = 1;
+        saveLibraryPreferences();
+        loadLibrary();
+    });
+
+    libraryTag.addEventListener('change', () => {
+        library.tag = libraryTag.value;
+        library.page = 1;
+        saveLibraryPreferences();
+        loadLibrary();
+    });
+
+    // Tags of the current image: Enter adds one (or several, comma-separated)
+    imageTagInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !currentImage || !canManageImage(currentImage)) return;
+        e.preventDefault();
+
+        const existing = currentImage.tags || [];
+        const added = imageTagInput.value.split(',')
+            .map(tag => tag.trim())
+            .filter(tag => tag && !existing.some(t => t.toLowerCase() === tag.toLowerCase()));
+        imageTagInput.value = '';
+
+        if (added.length > 0) {
+            saveImageTags([...existing, ...added]);
+        }
+    });
+
+    // Collections
+    newCollectionBtn.addEventListener('click', createCollection);
+
+    visibilitySelect.addEventListener('change', () => {
+        shareTargets.hidden = visibilitySelect.value !== 'shared';
+    });
+    saveSharingBtn.addEventListener('click', saveSharing);
+
+    adminPanel.addEventListener('toggle', () => {
+        if (adminPanel.open) loadAdminPanel();
+    });
+    newUserBtn.addEventListener('click', createAccount);
+    newGroupBtn.addEventListener('click', createGroup);
+
+    trashPanel.addEventListener('toggle', () => {
+        if (trashPanel.open) loadTrash();
+    });
+
+    collectionCloseBtn.addEventListener('click', () => {
+        openImage(currentImage);
+    });
+
+    collectionRemoveBtn.addEventListener('click', async () => {
+        if (!activeCollection || !currentImage) return;
+        const { id, index, images } = activeCollection;
+
+        try {
+            const response = await fetch(`/api/collections/${id}/images/${currentImage.id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(await response.text() || `Server returned ${response.status}`);
+            }
+
+            if (images.length > 1) {
+                openCollection(id, Math.min(index, images.length - 2));
+            } else {
+                openImage(currentImage);
+            }
+            loadCollections();
+        } catch (error) {
+            console.error('Failed to remove image from collection:', error);
+            alert(`Failed to remove image from collection: ${error.message}`);
+        }
+    });
+
+    // Compare mode: pick an image in the library, then choose how to show the two
+    compareBtn.addEventListener('click', () => {
+        if (compare.image) {
+            stopCompare();
+        } else if (compare.picking) {
+            stopPickingCompare();
+        } else if (!currentImage) {
+            alert('Please select an image first.');
+        } else {
+            compare.picking = true;
+            compareHint.hidden = false;
+            compareBtn.classList.add('active');
+        }
+    });
+
+    compareModes.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-mode]');
+        if (button) {
+            setCompareMode(button.dataset.mode);
+        }
+    });
+
+    compareSlider.addEventListener('input', updateCompareOverlay);
+    window.addEventListener('resize', updateCompareOverlay);
+
+    compareLockToggle.addEventListener('change', () => {
+        compare.leader = viewer;
+        matchViewport(viewer, compareViewer);
+    });
+
+    compareSwapBtn.addEventListener('click', () => {
+        const other = compare.image;
+        const current = currentImage;
+        if (!other || !current) return;
+
+        openImage(other);
+        startCompare(current);
+    });
+
+    compareCloseBtn.addEventListener('click', stopCompare);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && compare.picking) {
+            stopPickingCompare();
+        }
+    });
+
+    trackCompareLeader(viewer);
+    viewer.addHandler('viewport-change', () => {
+        if (compare.leader === viewer) {
+            matchViewport(viewer, compareViewer);
+        }
+    });
+    viewer.addHandler('resize', () => matchViewport(viewer, compareViewer));
+
+    // Keep the address bar pointing at the current view
+    viewer.addHandler('viewport-change', scheduleViewUrlUpdate);
+
+    // Share our cursor and view with the others on the image
+    viewer.addHandler('viewport-change', () => {
+        if (live) queuePresence();
+    });
+    viewer.element.addEventListener('pointermove', (e) => {
+        if (!live || viewer.world.getItemCount() === 0) return;
+        localCursor = roundPoint(pointerImagePoint(e));
+        queuePresence();
+    });
+    viewer.element.addEventListener('pointerleave', () => {
+        localCursor = null;
+        if (live) queuePresence();
+    });
+
+    // Scale bar, zoom and cursor coordinates over the viewer
+    ['open', 'close', 'update-viewport'].forEach(eventName => viewer.addHandler(eventName, updateScaleBar));
+    viewer.element.addEventListener('pointermove', (e) => {
+        if (isReadoutShown()) {
+            updateCursorReadout(pointerImagePoint(e));
+        }
+    });
+    viewer.element.addEventListener('pointerleave', () => updateCursorReadout(null));
+    readoutToggle.addEventListener('change', () => {
+        localStorage.setItem(READOUT_PREFERENCE_KEY, readoutToggle.checked ? '1' : '0');
+        updateCursorReadout(null);
+        updateScaleBar();
+    });
+
+    // Stepping through a collection with the viewer's previous/next buttons
+    viewer.addHandler('page', (event) => {
+        if (!activeCollection) return;
+
+        activeCollection.index = event.page;
+        updateCollectionPosition();
+        openImage(activeCollection.images[event.page], { inSequence: true });
+    });
+
+    libraryViewBtn.addEventListener('click', () => {
+        library.view = library.view === 'grid' ? 'list' : 'grid';
+        saveLibraryPreferences();
+        updateLibraryControls();
+    });
+
+    libraryPrevBtn.addEventListener('click', () => {
+        if (library.page > 1) {
+            library.page--;
+            loadLibrary();
+        }
+    });
+
+    libraryNextBtn.addEventListener('click', () => {
+        if (library.page < library.pages) {
+            library.page++;
+            loadLibrary();
+        }
+    });
+
+    // Search the library as the user types
+    librarySearchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        const query = librarySearchInput.value.trim();
+
+        if (!query) {
+            searchRequest++;
+            librarySearchResults.hidden = true;
+            librarySearchResults.innerHTML = '';
+            return;
+        }
+        searchTimer = setTimeout(() => searchLibrary(query), SEARCH_DELAY);
+    });
+
+    // Copy a link that reopens this image at the current view
+    copyViewLinkBtn.addEventListener('click', async () => {
+        if (!currentImageId) {
+            alert('Please select an image first.');
+            return;
+        }
+
+        updateViewUrl();
+        const link = window.location.href;
+        const originalText = copyViewLinkBtn.textContent;
+
+        try {
+            await navigator.clipboard.writeText(link);
+            copyViewLinkBtn.disabled = true;
+            copyViewLinkBtn.textContent = '✓ Link copied';
+            setTimeout(() => {
+                copyViewLinkBtn.disabled = false;
+                copyViewLinkBtn.textContent = originalText;
+            }, 2000);
+        } catch (error) {
+            // The clipboard API needs a secure context; let the user copy it by hand
+            console.error('Failed to copy link:', error);
+            prompt('Copy this link to the current view:', link);
         }
     });
 
     // Delete image button
     deleteImageBtn.addEventListener('click', async () => {
-        const selectedOption = imageSelector.options[imageSelector.selectedIndex];
-        
-        if (!selectedOption) {
+        if (!currentImage) {
             alert('No image selected to delete.');
             return;
         }
 
-        const imageId = selectedOption.value;
-        const imageName = selectedOption.textContent;
+        const imageId = currentImage.id;
+        const imageName = displayName(currentImage);
 
         const confirmed = confirm(
-            `Are you sure you want to permanently delete "${imageName}"?\n\n` +
-            `This will remove:\n` +
-            `• The image and all its tiles\n` +
-            `• All annotations for this image\n\n` +
-            `This action cannot be undone.`
+            `Move "${imageName}" to the trash?\n\n` +
+            `The image and its annotations can be restored from the Trash panel ` +
+            `until they are removed for good.`
         );
 
         if (!confirmed) {
@@ -350,10 +3904,17 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error(errorText || 'Failed to delete the image from the server.');
             }
             
-            console.log('Image deleted successfully');
-            
-            // Reload the library to reflect the change
+            console.log('Image moved to trash');
+            deleteImageBtn.textContent = originalText;
+
+            // Reload the library to reflect the change and open another image
+            stopCompare();
+            currentImageId = null;
+            currentImage = null;
             await loadLibrary();
+            loadCollections();
+            loadTags();
+            refreshTrash();
 
         } catch (error) {
             console.error('Deletion failed:', error);
@@ -373,6 +3934,7 @@ document.addEventListener('DOMContentLoaded', () => {
         isPinningMode = !isPinningMode;
         
         if (isPinningMode) {
+            resetShapeTool();
             addPinBtn.textContent = '📍 Click on image to place pin...';
             addPinBtn.style.backgroundColor = '#ffa500';
         } else {
@@ -380,6 +3942,129 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Switch between DZI and IIIF tile sources, reopening the current image
+    useIiifToggle.addEventListener('change', () => {
+        localStorage.setItem(IIIF_PREFERENCE_KEY, useIiifToggle.checked ? '1' : '0');
+
+        if (activeCollection) {
+            openCollection(activeCollection.id, activeCollection.index);
+        } else if (currentImage) {
+            currentImageId = null;
+            switchImage(currentImage.id, tileSourceFor(currentImage));
+        }
+        if (compare.image) {
+            startCompare(compare.image);
+        }
+    });
+
+    // Undo and redo: Ctrl+Z, and Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS); text fields keep their own
+    undoBtn.addEventListener('click', () => undoOrRedo(true));
+    redoBtn.addEventListener('click', () => undoOrRedo(false));
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.matches('input, textarea, select, [contenteditable]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+            e.preventDefault();
+            undoOrRedo(key === 'z' && !e.shiftKey);
+        }
+    });
+
+    // Categories and layers
+    newCategoryBtn.addEventListener('click', createCategory);
+
+    // Comment popover: Ctrl+Enter (Cmd on macOS) posts, Escape or a click elsewhere on the image closes it
+    commentPopoverClose.addEventListener('click', closeComments);
+    commentForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = commentInput.value.trim();
+        if (!body || !commentsPin) return;
+
+        if (await postComment(body, null)) {
+            commentInput.value = '';
+        }
+    });
+    commentInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            commentForm.requestSubmit();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && commentsPin && !activeShapeTool && !e.target.matches('input, textarea, select')) {
+            closeComments();
+        }
+    });
+    viewer.addHandler('update-viewport', positionCommentPopover);
+    viewer.addHandler('canvas-click', (event) => {
+        if (event.quick && commentsPin) {
+            closeComments();
+        }
+    });
+
+    // Annotation export / import
+    exportAnnotationsBtn.addEventListener('click', () => {
+        if (currentImageId) {
+            exportAnnotations(currentImageId);
+        }
+    });
+
+    importAnnotationsBtn.addEventListener('click', () => {
+        if (currentImageId) {
+            importAnnotationsInput.click();
+        }
+    });
+
+    importAnnotationsInput.addEventListener('change', async () => {
+        const file = importAnnotationsInput.files[0];
+        importAnnotationsInput.value = '';
+        if (file && currentImageId) {
+            await importAnnotations(currentImageId, file);
+        }
+    });
+
+    // Shape and measurement tool buttons
+    [shapeTools, measureTools].forEach(toolbar => toolbar.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-tool]');
+        if (!button) return;
+
+        if (!currentImageId) {
+            alert('Please select an image first.');
+            return;
+        }
+
+        if (activeShapeTool === button.dataset.tool) {
+            resetShapeTool();
+        } else {
+            selectShapeTool(button.dataset.tool);
+        }
+    }));
+
+    // Scale calibration
+    calibrateScaleBtn.addEventListener('click', () => {
+        if (activeShapeTool === 'calibrate') {
+            resetShapeTool();
+        } else if (currentImageId) {
+            startCalibration();
+        }
+    });
+
+    clearScaleBtn.addEventListener('click', () => {
+        if (currentImageId && confirm('Remove the scale of this image? Measurements will be shown in pixels.')) {
+            saveScale(null);
+        }
+    });
+
+    // Keyboard shortcuts while drawing: Enter finishes, Escape cancels
+    document.addEventListener('keydown', (e) => {
+        if (!activeShapeTool || e.target.matches('input, textarea, select')) return;
+
+        if (e.key === 'Escape') {
+            resetShapeTool();
+        } else if (e.key === 'Enter') {
+            shapeOverlay.finishDrawing();
+        }
+    });
+
     // Canvas click handler for placing pins
     viewer.addHandler('canvas-click', (event) => {
         if (!isPinningMode || !currentImageId) {
@@ -387,16 +4072,14 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         try {
-            const viewportPoint = viewer.viewport.pointFromPixel(event.position);
+            const imagePoint = viewer.viewport.viewerElementToImageCoordinates(event.position);
             pinCounter++;
             
             const newPin = {
                 id: `pin-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
                 text: `Annotation #${pinCounter}`,
-                point: { 
-                    x: viewportPoint.x, 
-                    y: viewportPoint.y 
-                }
+                point: roundPoint(imagePoint),
+                category: annotationCategorySelect.value || null
             };
             
             savePin(currentImageId, newPin);
@@ -416,5 +4099,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- INITIAL LOAD ---
     console.log('Initializing application...');
-    loadLibrary();
+    useIiifToggle.checked = localStorage.getItem(IIIF_PREFERENCE_KEY) === '1';
+    readoutToggle.checked = localStorage.getItem(READOUT_PREFERENCE_KEY) !== '0';
+    restoreLayerPreferences();
+    loadCategories();
+
+    // Annotations are rendered editable or read-only depending on who is signed in
+    loadCurrentUser().then(() => {
+        const manifestUrl = new URLSearchParams(window.location.search).get('manifest');
+        if (manifestUrl) {
+            loadManifest(manifestUrl);
+        } else {
+            restoreLibraryPreferences();
+            loadTags().then(loadLibrary);
+            loadCollections();
+        }
+    });
 });
\ No newline at end of file
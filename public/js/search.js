@@ -2,26 +2,91 @@ document.addEventListener('DOMContentLoaded', () => {
     const unifiedSearchForm = document.getElementById('unifiedSearchForm');
     const unifiedSearchInput = document.getElementById('unifiedSearchInput');
     const resultsContainer = document.getElementById('results');
+    const uploadDropZone = document.getElementById('uploadDropZone');
+    const uploadInput = document.getElementById('uploadInput');
+    const signInNotice = document.getElementById('signInNotice');
+    const roleNotice = document.getElementById('roleNotice');
+    const filterInputs = {
+        center: document.getElementById('filterCenter'),
+        photographer: document.getElementById('filterPhotographer'),
+        year_start: document.getElementById('filterYearStart'),
+        year_end: document.getElementById('filterYearEnd'),
+        keywords: document.getElementById('filterKeywords')
+    };
+
+    const JOB_POLL_INTERVAL = 2000;
+    const UPLOAD_EXTENSIONS = /\.(jpe?g|png|tiff?|btf|tf8|gif|bmp)$/i;
+    const RENDITION_LABELS = { orig: 'Original', large: 'Large', medium: 'Medium', small: 'Small' };
 
     // --- MAIN EVENT LISTENER ---
 
     unifiedSearchForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const query = unifiedSearchInput.value.trim();
-        if (!query) return;
+        const filters = readSearchFilters();
+        if (!query && Object.keys(filters).length === 0) return;
 
-        // Check if the input is a URL
-        if (isUrl(query)) {
+        // Check if the input is a URL; IIIF manifests open directly in the viewer
+        if (isManifestUrl(query)) {
+            openManifest(query);
+        } else if (isUrl(query)) {
             await processDirectUrl(query);
         } else {
-            await searchNasa(query);
+            await searchNasa({ ...filters, ...(query ? { q: query } : {}) });
+        }
+    });
+
+    // Upload area: click (or Enter/Space) to pick a file, or drop one on it
+    uploadDropZone.addEventListener('click', () => uploadInput.click());
+    uploadDropZone.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            uploadInput.click();
         }
     });
 
+    uploadInput.addEventListener('change', () => {
+        const file = uploadInput.files[0];
+        uploadInput.value = '';
+        if (file) uploadFile(file);
+    });
+
+    uploadDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        uploadDropZone.classList.add('drag-over');
+    });
+
+    uploadDropZone.addEventListener('dragleave', () => {
+        uploadDropZone.classList.remove('drag-over');
+    });
+
+    uploadDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        uploadDropZone.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) uploadFile(file);
+    });
+
+    checkSignedIn();
+
     // --- API FUNCTIONS ---
 
+    // Imports need a signed-in annotator; say so up front to visitors and viewers
+    async function checkSignedIn() {
+        try {
+            const response = await fetch('/api/auth/me');
+            if (response.ok) {
+                const { user } = await response.json();
+                signInNotice.hidden = Boolean(user);
+                roleNotice.hidden = !user || user.role !== 'viewer';
+            }
+        } catch (error) {
+            console.error('Failed to check sign-in status:', error);
+        }
+    }
+
     async function processDirectUrl(imageUrl) {
-        displayStatus(`Processing image from URL. This may take a moment...`);
+        displayStatus(`Submitting image URL for processing...`);
         try {
             const response = await fetch('/api/process-url', {
                 method: 'POST',
@@ -33,64 +98,268 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error(await response.text());
             }
 
-            const processedImage = await response.json();
-            window.location.href = `/?image_id=${processedImage.id}`;
+            await handleProcessResponse(response, imageUrl);
         } catch (error) {
             displayError(error.message, true);
         }
     }
 
-    async function searchNasa(query) {
-        displayStatus('Searching NASA for images...');
+    // Sends a local file to the server; XMLHttpRequest is used because fetch cannot report upload progress
+    function uploadFile(file) {
+        if (!UPLOAD_EXTENSIONS.test(file.name)) {
+            displayError(`"${file.name}" is not a supported image file.`);
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('title', file.name);
+        formData.append('file', file);
+
+        const request = new XMLHttpRequest();
+        request.open('POST', '/api/upload');
+
+        request.upload.addEventListener('progress', (e) => {
+            displayJobProgress({
+                status: 'uploading',
+                bytesDownloaded: e.loaded,
+                totalBytes: e.lengthComputable ? e.total : null,
+                percent: e.lengthComputable ? Math.round((e.loaded / e.total) * 100) : 0
+            }, file.name);
+        });
+
+        request.addEventListener('load', () => {
+            if (request.status >= 400) {
+                displayError(request.responseText || `Upload failed (${request.status}).`);
+                return;
+            }
+            try {
+                handleProcessResult(request.status, JSON.parse(request.responseText), file.name);
+            } catch (error) {
+                displayError('Unexpected response from the server.');
+            }
+        });
+
+        request.addEventListener('error', () => displayError('Upload failed. Please check your connection.'));
+
+        displayStatus('Uploading ', textElement('strong', file.name), '...');
+        request.send(formData);
+    }
+
+    // A 202 response carries a background job to follow; anything else is already tiled
+    async function handleProcessResponse(response, label) {
+        handleProcessResult(response.status, await response.json(), label);
+    }
+
+    function handleProcessResult(status, result, label) {
+        if (status === 202 && result.jobId) {
+            trackJob(result, label);
+        } else {
+            openImage(result.id);
+        }
+    }
+
+    // Follows a processing job over server-sent events, falling back to polling
+    function trackJob(job, label) {
+        displayJobProgress(job, label);
+
+        if (!window.EventSource) {
+            pollJob(job.jobId, label);
+            return;
+        }
+
+        const events = new EventSource(`/api/jobs/${job.jobId}/events`);
+        events.onmessage = (e) => {
+            const update = JSON.parse(e.data);
+            if (handleJobUpdate(update, label)) {
+                events.close();
+            }
+        };
+        events.onerror = () => {
+            events.close();
+            pollJob(job.jobId, label);
+        };
+    }
+
+    async function pollJob(jobId, label) {
         try {
-            const response = await fetch(`/api/nasa/search?q=${encodeURIComponent(query)}`);
+            const response = await fetch(`/api/jobs/${jobId}`);
+            if (!response.ok) {
+                throw new Error(`Lost track of the processing job: ${await response.text()}`);
+            }
+            if (!handleJobUpdate(await response.json(), label)) {
+                setTimeout(() => pollJob(jobId, label), JOB_POLL_INTERVAL);
+            }
+        } catch (error) {
+            displayError(error.message, true);
+        }
+    }
+
+    // Returns true once the job has finished, successfully or not
+    function handleJobUpdate(job, label) {
+        if (job.status === 'done') {
+            openImage(job.imageId);
+            return true;
+        }
+        if (job.status === 'failed') {
+            displayError(job.error || 'Processing failed.', true);
+            return true;
+        }
+        displayJobProgress(job, label);
+        return false;
+    }
+
+    // Runs a NASA search; page > 1 appends the next page to the current results
+    async function searchNasa(params, page = 1) {
+        const loadMoreButton = resultsContainer.querySelector('.load-more-button');
+        if (page === 1) {
+            displayStatus('Searching NASA for images...');
+        } else if (loadMoreButton) {
+            loadMoreButton.disabled = true;
+            loadMoreButton.textContent = 'Loading...';
+        }
+
+        try {
+            const queryString = new URLSearchParams({ ...params, page }).toString();
+            const response = await fetch(`/api/nasa/search?${queryString}`);
             if (!response.ok) {
                 throw new Error(`Search failed: ${await response.text()}`);
             }
             const results = await response.json();
-            displayNasaResults(results);
+            displayNasaResults(results, params);
         } catch (error) {
-            displayError(error.message);
+            if (page === 1) {
+                displayError(error.message);
+            } else {
+                alert(error.message);
+                if (loadMoreButton) {
+                    loadMoreButton.disabled = false;
+                    loadMoreButton.textContent = 'Load more';
+                }
+            }
         }
     }
 
+    // Filter fields that have a value, keyed by NASA API parameter name
+    function readSearchFilters() {
+        const filters = {};
+        Object.entries(filterInputs).forEach(([name, input]) => {
+            const value = input.value.trim();
+            if (value) filters[name] = value;
+        });
+        return filters;
+    }
+
     // Listener for NASA search result clicks (delegated to results container)
     resultsContainer.addEventListener('click', async (e) => {
+        const option = e.target.closest('.rendition-option');
+        if (option) {
+            const chooser = option.closest('.rendition-chooser');
+            await processNasaRendition(chooser.dataset, option.dataset.rendition);
+            return;
+        }
+        if (e.target.closest('.rendition-cancel')) {
+            e.target.closest('.rendition-chooser').remove();
+            return;
+        }
+
         const clickedItem = e.target.closest('.nasa-item');
         if (!clickedItem) return;
 
-        const nasaId = clickedItem.dataset.nasaId;
-        const title = clickedItem.dataset.title;
+        await showRenditionChooser(clickedItem);
+    });
+
+    // Lists the available renditions of a NASA image under its result so the user can pick one
+    async function showRenditionChooser(item) {
+        resultsContainer.querySelector('.rendition-chooser')?.remove();
+
+        const chooser = document.createElement('div');
+        chooser.className = 'rendition-chooser';
+        chooser.dataset.nasaId = item.dataset.nasaId;
+        chooser.dataset.title = item.dataset.title;
+        chooser.dataset.description = item.dataset.description;
+        const checking = document.createElement('p');
+        checking.append('Checking resolutions for: ', textElement('strong', item.dataset.title), '...');
+        chooser.appendChild(checking);
+        item.after(chooser);
 
         try {
-            displayStatus(`Checking resolutions for: <strong>${title}</strong>...`);
-            const infoResponse = await fetch(`/api/nasa/asset-info/${nasaId}`);
+            const infoResponse = await fetch(`/api/nasa/asset-info/${encodeURIComponent(item.dataset.nasaId)}`);
             if (!infoResponse.ok) throw new Error('Could not get image info.');
 
             const assetInfo = await infoResponse.json();
-            let urlToProcess = assetInfo.highResUrl || assetInfo.ordinaryUrl;
+            const renditions = assetInfo.renditions || [];
+            if (renditions.length === 0) throw new Error('No downloadable image version found.');
+
+            chooser.replaceChildren(textElement('p', 'Choose a resolution to import:', 'rendition-heading'));
+            renditions.forEach(rendition => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'rendition-option';
+                button.dataset.rendition = rendition.rendition;
+
+                const name = document.createElement('span');
+                name.className = 'rendition-name';
+                name.textContent = RENDITION_LABELS[rendition.rendition] || rendition.rendition;
+
+                const details = document.createElement('span');
+                details.className = 'rendition-details';
+                details.textContent = [
+                    rendition.width && rendition.height ? `${rendition.width} × ${rendition.height} px` : null,
+                    rendition.sizeMB !== null ? `${rendition.sizeMB} MB` : null
+                ].filter(Boolean).join(' · ') || 'Size unknown';
 
-            if (!urlToProcess) throw new Error('No downloadable image version found.');
-            
-            displayStatus(`Processing: <strong>${title}</strong>. This may take a moment...`);
+                button.append(name, details);
+                chooser.appendChild(button);
+            });
+
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.className = 'rendition-cancel';
+            cancelButton.textContent = 'Cancel';
+            chooser.appendChild(cancelButton);
+        } catch (error) {
+            chooser.replaceChildren(textElement('p', error.message, 'error'));
+        }
+    }
+
+    async function processNasaRendition({ nasaId, title, description }, rendition) {
+        try {
+            displayStatus('Submitting ', textElement('strong', title), ' for processing...');
             const processResponse = await fetch('/api/process-nasa-image', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ nasa_id: nasaId, title: title, imageUrl: urlToProcess }),
+                body: JSON.stringify({ nasa_id: nasaId, title, description, rendition }),
             });
 
             if (!processResponse.ok) {
                 throw new Error(`Could not process image. Server said: ${await processResponse.text()}`);
             }
-            const processedImage = await processResponse.json();
-            window.location.href = `/?image_id=${processedImage.id}`;
+            await handleProcessResponse(processResponse, title);
         } catch (error) {
             displayError(error.message, true);
         }
-    });
+    }
 
     // --- HELPER & DISPLAY FUNCTIONS ---
 
+    // An element showing text as typed; titles and messages from the NASA API are never parsed as HTML
+    function textElement(tag, text, className) {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        if (className) {
+            element.className = className;
+        }
+        return element;
+    }
+
+    function openImage(imageId) {
+        window.location.href = `/?image_id=${imageId}`;
+    }
+
+    function openManifest(manifestUrl) {
+        window.location.href = `/?manifest=${encodeURIComponent(manifestUrl)}`;
+    }
+
     function isUrl(str) {
         try {
             new URL(str);
@@ -100,26 +369,115 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    function displayNasaResults(items) {
-        resultsContainer.innerHTML = '';
-        if (items.length === 0) {
-            displayStatus('No results found for your query.');
-            return;
+    // IIIF manifests are JSON documents, usually named .../manifest or manifest.json
+    function isManifestUrl(str) {
+        if (!isUrl(str)) return false;
+        const { pathname } = new URL(str);
+        return /manifest/i.test(pathname) || /\.json$/i.test(pathname);
+    }
+
+    // Renders one page of search results; later pages are appended below the earlier ones
+    function displayNasaResults(results, params) {
+        const { items, totalHits, page, nextPage } = results;
+
+        if (page === 1) {
+            resultsContainer.innerHTML = '';
+            if (items.length === 0) {
+                displayStatus('No results found for your query.');
+                return;
+            }
+            const summary = document.createElement('p');
+            summary.className = 'results-summary';
+            summary.textContent = `${totalHits.toLocaleString()} result${totalHits === 1 ? '' : 's'}`;
+            resultsContainer.appendChild(summary);
         }
+
+        resultsContainer.querySelector('.load-more-button')?.remove();
+
         items.forEach(item => {
             const resultItem = document.createElement('div');
             resultItem.className = 'nasa-item';
             resultItem.dataset.nasaId = item.nasa_id;
             resultItem.dataset.title = item.title;
-            resultItem.innerHTML = `<img src="${item.thumbnail}" alt="${item.title}" onerror="this.style.display='none'"><span class="nasa-item-title">${item.title}</span>`;
+            resultItem.dataset.description = item.description;
+            const thumbnail = document.createElement('img');
+            thumbnail.src = item.thumbnail;
+            thumbnail.alt = item.title;
+            thumbnail.addEventListener('error', () => {
+                thumbnail.style.display = 'none';
+            });
+            resultItem.append(thumbnail, textElement('span', item.title, 'nasa-item-title'));
             resultsContainer.appendChild(resultItem);
         });
+
+        if (nextPage) {
+            const loadMoreButton = document.createElement('button');
+            loadMoreButton.type = 'button';
+            loadMoreButton.className = 'load-more-button';
+            loadMoreButton.textContent = 'Load more';
+            loadMoreButton.addEventListener('click', () => searchNasa(params, nextPage));
+            resultsContainer.appendChild(loadMoreButton);
+        }
+    }
+
+    function displayJobProgress(job, label) {
+        let detail;
+        switch (job.status) {
+            case 'queued':
+                detail = 'Waiting for a free processing slot...';
+                break;
+            case 'uploading':
+                detail = job.totalBytes
+                    ? `Uploading... ${formatBytes(job.bytesDownloaded)} of ${formatBytes(job.totalBytes)}`
+                    : `Uploading... ${formatBytes(job.bytesDownloaded)}`;
+                break;
+            case 'downloading':
+                detail = job.totalBytes
+                    ? `Downloading... ${formatBytes(job.bytesDownloaded)} of ${formatBytes(job.totalBytes)}`
+                    : `Downloading... ${formatBytes(job.bytesDownloaded)}`;
+                break;
+            case 'tiling':
+                detail = 'Generating zoom tiles...';
+                break;
+            default:
+                detail = 'Processing...';
+        }
+
+        // An unknown download size gets an indeterminate bar
+        const knownPercent = (job.status !== 'downloading' && job.status !== 'uploading') || job.totalBytes;
+        const bar = knownPercent
+            ? `<progress max="100" value="${job.percent}"></progress><span>${job.percent}%</span>`
+            : '<progress></progress>';
+
+        resultsContainer.innerHTML = `
+            <div class="job-progress">
+                <p>Processing: <strong class="job-progress-label"></strong></p>
+                <p class="job-progress-detail">${detail}</p>
+                <div class="job-progress-bar">${bar}</div>
+                <p class="job-progress-hint">${job.status === 'uploading'
+                    ? 'Keep this page open until the upload finishes.'
+                    : 'You can leave this page; processing continues on the server.'}</p>
+            </div>`;
+        resultsContainer.querySelector('.job-progress-label').textContent = label;
     }
 
-    function displayStatus(message) { resultsContainer.innerHTML = `<p>${message}</p>`; }
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+
+    // Shows a status line made of text and elements, such as a title in textElement('strong', title)
+    function displayStatus(...parts) {
+        const status = document.createElement('p');
+        status.append(...parts);
+        resultsContainer.replaceChildren(status);
+    }
 
     function displayError(message, showHelpText = false) {
-        let helpText = showHelpText ? '<p>Please check the URL or try a different search term.</p>' : '';
-        resultsContainer.innerHTML = `<p class="error">${message}</p>${helpText}`;
+        resultsContainer.replaceChildren(textElement('p', message, 'error'));
+        if (showHelpText) {
+            resultsContainer.appendChild(textElement('p', 'Please check the URL or try a different search term.'));
+        }
     }
 });
@@ -0,0 +1,346 @@
+// SVG layer for region annotations drawn over the OpenSeadragon viewer.
+// Geometry is kept in full-resolution image pixels; the layer's transform is
+// recomputed whenever the viewport moves so shapes track pan, zoom and rotation.
+(function () {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const SHAPE_TYPES = ['rectangle', 'ellipse', 'polygon', 'polyline', 'freehand', 'ruler', 'area', 'angle'];
+    const DRAG_TOOLS = ['rectangle', 'ellipse', 'freehand', 'ruler'];
+    const MIN_POINTS = { polygon: 3, polyline: 2, freehand: 2, area: 3 };
+    const EXACT_POINTS = { ruler: 2, angle: 3 }; // measurements with a fixed number of points
+    const MIN_SCREEN_DISTANCE = 4; // px between recorded vertices / freehand samples
+
+    function isShapeType(type) {
+        return SHAPE_TYPES.includes(type);
+    }
+
+    // Checks a shape geometry in the same way the server does
+    function isValidGeometry(type, geometry) {
+        if (!geometry || typeof geometry !== 'object') return false;
+        const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+        switch (type) {
+            case 'rectangle':
+                return [geometry.x, geometry.y, geometry.width, geometry.height].every(isNumber) &&
+                       geometry.width > 0 && geometry.height > 0;
+            case 'ellipse':
+                return [geometry.cx, geometry.cy, geometry.rx, geometry.ry].every(isNumber) &&
+                       geometry.rx > 0 && geometry.ry > 0;
+            case 'polygon':
+            case 'polyline':
+            case 'freehand':
+            case 'area':
+                return Array.isArray(geometry.points) &&
+                       geometry.points.length >= MIN_POINTS[type] &&
+                       geometry.points.every(p => p && isNumber(p.x) && isNumber(p.y));
+            case 'ruler':
+            case 'angle':
+                return Array.isArray(geometry.points) &&
+                       geometry.points.length === EXACT_POINTS[type] &&
+                       geometry.points.every(p => p && isNumber(p.x) && isNumber(p.y));
+            default:
+                return false;
+        }
+    }
+
+    // Bounding box of a shape in image pixels
+    function getShapeBounds(type, geometry) {
+        switch (type) {
+            case 'rectangle':
+                return { x: geometry.x, y: geometry.y, width: geometry.width, height: geometry.height };
+            case 'ellipse':
+                return {
+                    x: geometry.cx - geometry.rx,
+                    y: geometry.cy - geometry.ry,
+                    width: geometry.rx * 2,
+                    height: geometry.ry * 2
+                };
+            default: {
+                const xs = geometry.points.map(p => p.x);
+                const ys = geometry.points.map(p => p.y);
+                const minX = Math.min(...xs);
+                const minY = Math.min(...ys);
+                return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+            }
+        }
+    }
+
+    function createSvgElement(type) {
+        const tagName = { rectangle: 'rect', ellipse: 'ellipse', polygon: 'polygon', area: 'polygon' }[type] || 'polyline';
+        const element = document.createElementNS(SVG_NS, tagName);
+        element.setAttribute('vector-effect', 'non-scaling-stroke');
+        element.setAttribute('class', `shape-annotation shape-${type}`);
+        return element;
+    }
+
+    function setElementGeometry(element, type, geometry) {
+        switch (type) {
+            case 'rectangle':
+                element.setAttribute('x', geometry.x);
+                element.setAttribute('y', geometry.y);
+                element.setAttribute('width', geometry.width);
+                element.setAttribute('height', geometry.height);
+                break;
+            case 'ellipse':
+                element.setAttribute('cx', geometry.cx);
+                element.setAttribute('cy', geometry.cy);
+                element.setAttribute('rx', geometry.rx);
+                element.setAttribute('ry', geometry.ry);
+                break;
+            default:
+                element.setAttribute('points', geometry.points.map(p => `${p.x},${p.y}`).join(' '));
+        }
+    }
+
+    // Geometry spanned by a drag from `start` to `end` (both image points)
+    function dragGeometry(type, start, end) {
+        if (type === 'ruler') {
+            return { points: [start, end] };
+        }
+
+        const x = Math.min(start.x, end.x);
+        const y = Math.min(start.y, end.y);
+        const width = Math.abs(end.x - start.x);
+        const height = Math.abs(end.y - start.y);
+
+        if (type === 'ellipse') {
+            return { cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 };
+        }
+        return { x, y, width, height };
+    }
+
+    function roundPoint(point) {
+        return { x: Math.round(point.x * 100) / 100, y: Math.round(point.y * 100) / 100 };
+    }
+
+    function createShapeOverlay(viewer) {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', 'shape-layer');
+        const group = document.createElementNS(SVG_NS, 'g');
+        svg.appendChild(group);
+
+        // Sit below the pin overlays so markers stay clickable
+        viewer.canvas.insertBefore(svg, viewer.overlaysContainer);
+
+        const shapes = new Map();
+        let drawing = null;
+
+        // Maps image pixels to viewer element pixels as an SVG matrix
+        function updateTransform() {
+            const item = viewer.world.getItemAt(0);
+            if (!item) return;
+
+            const unit = 1000;
+            const origin = item.imageToViewerElementCoordinates(new OpenSeadragon.Point(0, 0));
+            const xAxis = item.imageToViewerElementCoordinates(new OpenSeadragon.Point(unit, 0));
+            const yAxis = item.imageToViewerElementCoordinates(new OpenSeadragon.Point(0, unit));
+
+            group.setAttribute('transform', `matrix(${[
+                (xAxis.x - origin.x) / unit, (xAxis.y - origin.y) / unit,
+                (yAxis.x - origin.x) / unit, (yAxis.y - origin.y) / unit,
+                origin.x, origin.y
+            ].join(' ')})`);
+        }
+
+        ['open', 'resize', 'update-viewport'].forEach(eventName => viewer.addHandler(eventName, updateTransform));
+
+        function toImagePoint(position) {
+            return roundPoint(viewer.viewport.viewerElementToImageCoordinates(position));
+        }
+
+        function add(annotation) {
+            remove(annotation.id);
+
+            const element = createSvgElement(annotation.type);
+            setElementGeometry(element, annotation.type, annotation.geometry);
+            element.dataset.annotationId = annotation.id;
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = annotation.text;
+            element.appendChild(title);
+
+            group.appendChild(element);
+            shapes.set(annotation.id, element);
+            return element;
+        }
+
+        function remove(id) {
+            const element = shapes.get(id);
+            if (element) {
+                element.remove();
+                shapes.delete(id);
+            }
+        }
+
+        function setTitle(id, text) {
+            const title = shapes.get(id)?.querySelector('title');
+            if (title) {
+                title.textContent = text;
+            }
+        }
+
+        function clear() {
+            cancelDrawing();
+            shapes.forEach(element => element.remove());
+            shapes.clear();
+        }
+
+        // --- Drawing ---
+
+        // Starts drawing a shape; onComplete(type, geometry) fires once it is finished and
+        // the optional onPreview(geometry) whenever the shape in progress changes
+        function startDrawing(type, onComplete, onPreview) {
+            cancelDrawing();
+            drawing = {
+                type,
+                onComplete,
+                onPreview,
+                points: [],
+                lastScreenPoint: null,
+                start: null,
+                end: null,
+                preview: null
+            };
+            viewer.canvas.classList.add('drawing-shape');
+        }
+
+        function cancelDrawing() {
+            if (drawing?.preview) {
+                drawing.preview.remove();
+            }
+            drawing = null;
+            viewer.canvas.classList.remove('drawing-shape');
+        }
+
+        function isDrawing() {
+            return drawing !== null;
+        }
+
+        function updatePreview(geometry) {
+            if (!drawing.preview) {
+                drawing.preview = createSvgElement(drawing.type);
+                drawing.preview.classList.add('shape-preview');
+                group.appendChild(drawing.preview);
+            }
+            setElementGeometry(drawing.preview, drawing.type, geometry);
+            if (drawing.onPreview) {
+                drawing.onPreview(geometry);
+            }
+        }
+
+        function farEnoughFrom(lastScreenPoint, position) {
+            return !lastScreenPoint || lastScreenPoint.distanceTo(position) >= MIN_SCREEN_DISTANCE;
+        }
+
+        // Completes the current shape if it has enough extent; returns true when finished
+        function finishDrawing() {
+            if (!drawing) return false;
+
+            const { type, onComplete } = drawing;
+            let geometry;
+
+            if (type === 'rectangle' || type === 'ellipse' || type === 'ruler') {
+                if (!drawing.start || !drawing.end) return false;
+                geometry = dragGeometry(type, drawing.start, drawing.end);
+            } else {
+                geometry = { points: drawing.points.slice() };
+            }
+
+            if (!isValidGeometry(type, geometry)) {
+                return false;
+            }
+
+            cancelDrawing();
+            onComplete(type, geometry);
+            return true;
+        }
+
+        viewer.addHandler('canvas-press', (event) => {
+            if (!drawing || !DRAG_TOOLS.includes(drawing.type)) return;
+
+            drawing.start = toImagePoint(event.position);
+            drawing.end = null;
+            drawing.points = [drawing.start];
+            drawing.lastScreenPoint = event.position;
+        });
+
+        viewer.addHandler('canvas-drag', (event) => {
+            if (!drawing || !DRAG_TOOLS.includes(drawing.type) || !drawing.start) return;
+
+            // Drawing replaces panning while a drag tool is active
+            event.preventDefaultAction = true;
+
+            if (drawing.type === 'freehand') {
+                if (farEnoughFrom(drawing.lastScreenPoint, event.position)) {
+                    drawing.points.push(toImagePoint(event.position));
+                    drawing.lastScreenPoint = event.position;
+                    updatePreview({ points: drawing.points });
+                }
+            } else {
+                drawing.end = toImagePoint(event.position);
+                updatePreview(dragGeometry(drawing.type, drawing.start, drawing.end));
+            }
+        });
+
+        viewer.addHandler('canvas-release', () => {
+            if (!drawing || !DRAG_TOOLS.includes(drawing.type) || !drawing.start) return;
+
+            if (!finishDrawing() && drawing) {
+                // Too small to keep; wait for another attempt
+                if (drawing.preview) {
+                    drawing.preview.remove();
+                    drawing.preview = null;
+                }
+                drawing.start = null;
+                drawing.points = [];
+            }
+        });
+
+        viewer.addHandler('canvas-click', (event) => {
+            if (!drawing) return;
+            event.preventDefaultAction = true;
+
+            if (DRAG_TOOLS.includes(drawing.type) || !event.quick) return;
+
+            // The clicks of a double-click land on the same spot; record the vertex once
+            if (farEnoughFrom(drawing.lastScreenPoint, event.position)) {
+                drawing.points.push(toImagePoint(event.position));
+                drawing.lastScreenPoint = event.position;
+                updatePreview({ points: drawing.points });
+            }
+
+            // An angle is done at its third point
+            if (drawing.points.length === EXACT_POINTS[drawing.type]) {
+                finishDrawing();
+            }
+        });
+
+        viewer.addHandler('canvas-double-click', (event) => {
+            if (!drawing) return;
+            event.preventDefaultAction = true;
+
+            if (!DRAG_TOOLS.includes(drawing.type)) {
+                finishDrawing();
+            }
+        });
+
+        return {
+            add,
+            remove,
+            setTitle,
+            clear,
+            startDrawing,
+            finishDrawing,
+            cancelDrawing,
+            isDrawing
+        };
+    }
+
+    window.ShapeAnnotations = {
+        SHAPE_TYPES,
+        isShapeType,
+        isValidGeometry,
+        getShapeBounds,
+        createShapeOverlay
+    };
+})();